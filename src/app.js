@@ -3,27 +3,86 @@
  */
 import { renderHeader } from './components/Header.js';
 import { renderFileUpload } from './components/FileUpload.js';
-import { renderSummaryCards, getSummaryData } from './components/SummaryCards.js';
+import { renderSummaryCards, renderAccountCards, getSummaryData } from './components/SummaryCards.js';
 import { renderCharts, destroyCharts, getCategoryData, getMonthlyData } from './components/Charts.js';
 import { renderTransactionTable, resetTableState } from './components/TransactionTable.js';
 import { renderFilterBar } from './components/FilterBar.js';
-import { saveTransactions, loadTransactions, clearTransactions } from './utils/storage.js';
-import { exportToExcel, exportSummaryReport } from './utils/exportData.js';
+import { showImportReview } from './components/ImportReview.js';
+import { showAccountManager } from './components/AccountManager.js';
+import { showTransferReview } from './components/TransferReview.js';
+import { renderLockScreen } from './components/LockScreen.js';
+import { showSecuritySettings } from './components/SecuritySettings.js';
+import { showRestoreBackup } from './components/RestoreBackup.js';
+import { showTransactionForm } from './components/TransactionForm.js';
+import { showRulesEditor } from './components/RulesEditor.js';
+import { showSuggestionReview } from './components/SuggestionReview.js';
+import { showPayeeAliases } from './components/PayeeAliases.js';
+import { showCategoryManager } from './components/CategoryManager.js';
+import {
+    saveTransactions,
+    putTransactions,
+    deleteTransactions,
+    loadTransactions,
+    clearTransactions,
+    saveAccounts,
+    loadAccounts,
+    loadSettings,
+    saveSettings,
+    loadImportProfiles,
+    saveImportProfiles,
+    loadRules,
+    saveRules,
+    loadPayeeAliases,
+    savePayeeAliases,
+    loadCategoryStyles,
+    saveCategoryStyles,
+    getEncryptionStatus,
+    unlockStorage,
+    lockStorage,
+    eraseStorage,
+    hasLegacyDataError,
+    isStorageLocked
+} from './utils/storage.js';
+import { startAutoLock, stopAutoLock } from './utils/autoLock.js';
+import { assignAccounts } from './utils/accounts.js';
+import { applyRules } from './utils/rules.js';
+import { applyPayees, getPayee } from './utils/payees.js';
+import { mapCategory, moveCategories, moveCategoryStyles, assignCategoryColors } from './utils/categories.js';
+import { suggestCategories, getSuggestionQueue, resolveSuggestions } from './utils/classifier.js';
+import {
+    detectTransfers,
+    linkTransfers,
+    getTransferPairs,
+    resolveTransfers,
+    removeTransactions
+} from './utils/transfers.js';
+import { reviewImport, mergeTransactions } from './utils/duplicates.js';
+import { createBackup, parseBackupFile, summarizeBackup, prepareBackupMerge } from './utils/backup.js';
+import { exportToExcel, exportSummaryReport, exportBackup } from './utils/exportData.js';
+import { formatCurrency, NUMBER_FORMATS, DATE_ORDERS } from './utils/formatters.js';
 import {
     filterByDateRange,
     filterByCategory,
     filterByType,
-    searchTransactions
+    filterBySheet,
+    filterBySourceFile,
+    filterByAccount,
+    searchTransactions,
+    getUniqueCategories
 } from './utils/calculations.js';
 
 // Application state
 let state = {
     transactions: [],
     filteredTransactions: [],
+    accounts: [],
     filters: {
         search: '',
         category: 'all',
         type: 'all',
+        account: 'all',
+        sheet: 'all',
+        sourceFile: 'all',
         dateFrom: '',
         dateTo: ''
     },
@@ -33,13 +92,45 @@ let state = {
 /**
  * Initialize the application
  */
-export function initApp() {
-    // Check for stored data
-    const stored = loadTransactions();
+export async function initApp() {
+    // Encrypted data stays locked until the passphrase is entered
+    let status = 'off';
+    try {
+        status = await getEncryptionStatus();
+    } catch (error) {
+        console.error('Failed to read encryption status:', error);
+        showToast(`Could not load saved data: ${error.message}`, 'error');
+    }
+
+    if (status === 'locked') {
+        renderLockView();
+        return;
+    }
+
+    await loadStoredData();
+    applyAutoLock(status === 'unlocked');
+}
+
+/**
+ * Load stored transactions and accounts and show the matching view
+ */
+async function loadStoredData() {
+    let stored = null;
+    try {
+        stored = await loadTransactions();
+        state.accounts = await loadAccounts();
+    } catch (error) {
+        console.error('Failed to load transactions:', error);
+        showToast(`Could not load saved data: ${error.message}`, 'error');
+    }
+
+    if (hasLegacyDataError()) {
+        showToast('Transactions saved by an earlier version could not be read. They have been kept in this browser, not deleted.', 'error');
+    }
 
     if (stored && stored.transactions && stored.transactions.length > 0) {
-        state.transactions = stored.transactions;
-        state.filteredTransactions = stored.transactions;
+        state.transactions = await namePayees(stored.transactions);
+        state.filteredTransactions = state.transactions;
         state.isLoaded = true;
         renderDashboard();
     } else {
@@ -48,7 +139,99 @@ export function initApp() {
 }
 
 /**
- * Render the upload view (initial state)
+ * Give stored transactions the payee their description gets now, e.g. after the
+ * built-in aliases changed or for data saved before payees existed. Failing to save
+ * them only means doing it again next time.
+ * @param {Array} transactions - Stored transactions
+ * @returns {Promise<Array>} Transactions with payees
+ */
+async function namePayees(transactions) {
+    const { transactions: named, changed } = applyPayees(transactions, loadPayeeAliases());
+    if (changed.length > 0) {
+        try {
+            await putTransactions(changed);
+        } catch (error) {
+            console.error('Failed to save payees:', error);
+        }
+    }
+    return named;
+}
+
+/**
+ * Give new categories their own colour before they are drawn, so the chart keeps
+ * showing them in it
+ */
+function colourCategories() {
+    const styles = assignCategoryColors(getUniqueCategories(state.transactions), loadCategoryStyles());
+    if (styles) saveCategoryStyles(styles);
+}
+
+/**
+ * Render the lock screen in place of the upload and dashboard views
+ */
+function renderLockView() {
+    document.getElementById('upload-section')?.classList.add('hidden');
+    document.getElementById('dashboard-section')?.classList.add('hidden');
+    document.getElementById('lock-section')?.classList.remove('hidden');
+
+    renderHeader({ locked: true });
+    renderLockScreen({
+        onUnlock: handleUnlock,
+        onErase: handleEraseData
+    });
+}
+
+/**
+ * Unlock encrypted data and show it
+ * @param {string} passphrase - Passphrase entered on the lock screen
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+async function handleUnlock(passphrase) {
+    if (!await unlockStorage(passphrase)) return false;
+
+    // Do not leave the passphrase in the page
+    document.getElementById('lock-container').innerHTML = '';
+
+    await loadStoredData();
+    applyAutoLock(true);
+    return true;
+}
+
+/**
+ * Lock encrypted data: forget the key and remove everything decrypted from the page
+ */
+function lockApp() {
+    lockStorage();
+    stopAutoLock();
+
+    // Dismiss open dialogs so pending actions are cancelled rather than left waiting
+    document.querySelectorAll('.modal-overlay [data-modal-close]').forEach(btn => btn.click());
+
+    resetState();
+    destroyCharts();
+    resetTableState();
+    ['filter-bar', 'summary-cards', 'account-cards', 'table-container', 'upload-container'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) container.innerHTML = '';
+    });
+
+    renderLockView();
+}
+
+/**
+ * Start or stop the inactivity lock to match the encryption state
+ * @param {boolean} encrypted - Whether encryption is on
+ */
+function applyAutoLock(encrypted) {
+    if (encrypted) {
+        startAutoLock(loadSettings().autoLockMinutes, lockApp);
+    } else {
+        stopAutoLock();
+    }
+}
+
+/**
+ * Render the upload view (initial state, or adding to loaded data)
  */
 function renderUploadView() {
     const uploadSection = document.getElementById('upload-section');
@@ -56,11 +239,15 @@ function renderUploadView() {
 
     uploadSection?.classList.remove('hidden');
     dashboardSection?.classList.add('hidden');
+    document.getElementById('lock-section')?.classList.add('hidden');
 
-    renderHeader({ hasData: false });
+    renderHeader({ hasData: false, onSecurity: handleSecurity, onRestore: handleRestore });
     renderFileUpload({
         onFileLoaded: handleFileLoaded,
-        onError: handleError
+        onError: handleError,
+        hasData: state.isLoaded,
+        onCancel: renderDashboard,
+        accounts: state.accounts
     });
 }
 
@@ -68,41 +255,164 @@ function renderUploadView() {
  * Render the dashboard view
  */
 function renderDashboard() {
+    colourCategories();
+
     const uploadSection = document.getElementById('upload-section');
     const dashboardSection = document.getElementById('dashboard-section');
 
     uploadSection?.classList.add('hidden');
     dashboardSection?.classList.remove('hidden');
+    document.getElementById('lock-section')?.classList.add('hidden');
 
     renderHeader({
         hasData: true,
         onClearData: handleClearData,
-        onExport: handleExport
+        onExport: handleExport,
+        onAddData: renderUploadView,
+        onManageAccounts: handleManageAccounts,
+        onReviewTransfers: handleReviewTransfers,
+        onManageCategories: handleManageCategories,
+        onManageRules: handleManageRules,
+        onReviewSuggestions: handleReviewSuggestions,
+        onManagePayees: handleManagePayees,
+        onSecurity: handleSecurity,
+        onBackup: handleBackup,
+        onRestore: handleRestore
     });
 
-    renderFilterBar(state.transactions, state.filters, handleFilterChange);
+    renderFilterBar(state.transactions, state.filters, handleFilterChange, state.accounts);
     renderSummaryCards(state.filteredTransactions);
-    renderCharts(state.filteredTransactions);
-    renderTransactionTable(state.filteredTransactions, { resetPage: true });
+    renderAccountCards(state.accounts, state.transactions);
+    renderCharts(state.filteredTransactions, loadCategoryStyles());
+    renderTable(true);
+}
+
+/**
+ * Render the transaction table for the filtered transactions
+ * @param {boolean} resetPage - Go back to the first page
+ */
+function renderTable(resetPage) {
+    renderTransactionTable(state.filteredTransactions, {
+        resetPage,
+        categories: getUniqueCategories(state.transactions),
+        categoryStyles: loadCategoryStyles(),
+        onAdd: handleAddTransaction,
+        onUpdate: handleUpdateTransaction,
+        onDelete: handleDeleteTransaction
+    });
 }
 
 /**
  * Handle successful file load
  * @param {Object} result - Parse result
+ * @param {string} mode - 'append' to merge into the loaded data, 'replace' to overwrite it
+ * @param {Object|null} account - Account for rows without an Account column: { id } or { name }
  */
-function handleFileLoaded(result) {
-    state.transactions = result.transactions;
-    state.filteredTransactions = result.transactions;
+async function handleFileLoaded(result, mode = 'replace', account = null) {
+    let summary = `Loaded ${result.parsedRows} transactions from ${result.fileName}`;
+    let appended = false;
+
+    // Resolve account names before the review so duplicates are matched per account
+    const newAccounts = assignAccounts(result.transactions, state.accounts, account, loadSettings().currency);
+    const accounts = [...state.accounts, ...newAccounts];
+
+    const named = applyPayees(result.transactions, loadPayeeAliases());
+
+    // Categorise with the rules, which can match on the accounts resolved above
+    const categorized = applyRules(named.transactions, loadRules());
+
+    // Whatever the rules left uncategorised is classified from the categories already in use
+    const suggested = suggestCategories([...state.transactions, ...categorized.transactions], categorized.transactions);
+    result.transactions = suggested.transactions;
+    let transactions = result.transactions;
+
+    if (mode === 'append' && state.transactions.length > 0) {
+        const review = reviewImport(state.transactions, result.transactions);
+        const decision = await showImportReview({ fileName: result.fileName, review });
+
+        // Review cancelled: keep the upload view open. Locked meanwhile: the state
+        // this import was merged into is gone, so stop quietly
+        if (!decision || await isStorageLocked()) return;
+
+        transactions = mergeTransactions(state.transactions, decision.additions, decision.replacements);
+        appended = true;
+
+        const skipped = result.transactions.length - decision.additions.length - decision.replacements.length;
+        summary = `Added ${decision.additions.length} transactions from ${result.fileName}`;
+        if (decision.replacements.length > 0) summary += `, replaced ${decision.replacements.length}`;
+        if (skipped > 0) summary += `, skipped ${skipped}`;
+    }
+
+    // Pair up transfers between own accounts, including with earlier imports
+    const transferPairs = detectTransfers(transactions);
+    transactions = linkTransfers(transactions, transferPairs).transactions;
+
+    // An append only writes the added, replaced and newly linked rows
+    const existing = new Set(state.transactions);
+    const changed = appended ? transactions.filter(t => !existing.has(t)) : null;
+
+    // Save before updating the dashboard so it never shows data that was not stored
+    try {
+        await (changed ? putTransactions(changed) : saveTransactions(transactions));
+        if (newAccounts.length > 0) await saveAccounts(accounts);
+    } catch (error) {
+        console.error('Failed to save transactions:', error);
+        if (!(await isStorageLocked())) showToast(`Import not saved. ${error.message}`, 'error');
+        return;
+    }
+    if (await isStorageLocked()) return;
+
+    state.transactions = transactions;
+    state.filteredTransactions = transactions;
+    state.accounts = accounts;
     state.isLoaded = true;
 
-    // Save to local storage
-    saveTransactions(result.transactions);
+    // Show import summary toast
+    const details = [];
+    if (result.profileName) details.push(`profile "${result.profileName}"`);
+    if (result.delimiter) details.push(`${result.delimiter}-separated, ${result.encoding}`);
+    if (result.numberFormat) details.push(`amounts as ${NUMBER_FORMATS[result.numberFormat].label}`);
+    if (result.dateOrder) details.push(`dates as ${DATE_ORDERS[result.dateOrder].label}`);
+    if (categorized.changed.length > 0) details.push(`${categorized.changed.length} categorised by rules`);
+    if (suggested.applied > 0) details.push(`${suggested.applied} categorised from history`);
+    if (suggested.queued > 0) details.push(`${suggested.queued} suggestion${suggested.queued === 1 ? '' : 's'} to review`);
+    if (transferPairs.length > 0) details.push(`${transferPairs.length} transfer${transferPairs.length === 1 ? '' : 's'} detected`);
+    if (newAccounts.length > 0) details.push(`new account${newAccounts.length === 1 ? '' : 's'} ${newAccounts.map(a => a.name).join(', ')}`);
+    const detailNote = details.length > 0 ? ` (${details.join('; ')})` : '';
+    const skippedRows = (result.rejected || []).length;
+    const skippedNote = skippedRows > 0 ? `, ${skippedRows} row${skippedRows === 1 ? '' : 's'} skipped` : '';
+    const failedNote = result.failedFiles ? `; could not read ${result.failedFiles.join(', ')}` : '';
+    const message = `${summary}${detailNote}${skippedNote}${failedNote}`;
 
-    // Show success toast
-    showToast(`Loaded ${result.parsedRows} transactions from ${result.fileName}`, 'success');
+    // Statement formats carry opening/closing balances to check the entries against
+    const unreconciled = (result.statements || []).filter(s => s.matches === false);
+    if (unreconciled.length > 0) {
+        const statement = unreconciled[0];
+        showToast(
+            `${message}, but the statement does not reconcile: closing balance ` +
+            `${formatCurrency(statement.closing.amount, statement.currency || 'USD')}, entries add up to ` +
+            `${formatCurrency(statement.computedClosing, statement.currency || 'USD')}`,
+            'error'
+        );
+    } else if ((result.statements || []).some(s => s.matches)) {
+        showToast(`${message}; statement balances reconcile`, 'success');
+    } else {
+        showToast(message, 'success');
+    }
 
     // Render dashboard
     renderDashboard();
+
+    // Newly paired transfers need the user's confirmation
+    if (transferPairs.length > 0) {
+        await handleReviewTransfers();
+        if (await isStorageLocked()) return;
+    }
+
+    // Less confident category suggestions wait for the user
+    if (getSuggestionQueue(state.transactions).length > 0) {
+        await handleReviewSuggestions();
+    }
 }
 
 /**
@@ -124,8 +434,9 @@ function handleFilterChange(filters) {
 
 /**
  * Apply current filters to transactions
+ * @param {boolean} resetPage - Go back to the first page of the table
  */
-function applyFilters() {
+function applyFilters(resetPage = true) {
     let filtered = [...state.transactions];
 
     // Search
@@ -143,6 +454,21 @@ function applyFilters() {
         filtered = filterByType(filtered, state.filters.type);
     }
 
+    // Account
+    if (state.filters.account && state.filters.account !== 'all') {
+        filtered = filterByAccount(filtered, state.filters.account);
+    }
+
+    // Source sheet
+    if (state.filters.sheet && state.filters.sheet !== 'all') {
+        filtered = filterBySheet(filtered, state.filters.sheet);
+    }
+
+    // Source file
+    if (state.filters.sourceFile && state.filters.sourceFile !== 'all') {
+        filtered = filterBySourceFile(filtered, state.filters.sourceFile);
+    }
+
     // Date range
     if (state.filters.dateFrom || state.filters.dateTo) {
         const startDate = state.filters.dateFrom
@@ -158,8 +484,361 @@ function applyFilters() {
 
     // Update views
     renderSummaryCards(state.filteredTransactions);
-    renderCharts(state.filteredTransactions);
-    renderTransactionTable(state.filteredTransactions, { resetPage: true });
+    renderCharts(state.filteredTransactions, loadCategoryStyles());
+    renderTable(resetPage);
+}
+
+/**
+ * Open the account manager and save its changes. Transactions of removed
+ * accounts are kept without an account.
+ */
+async function handleManageAccounts() {
+    const accounts = await showAccountManager({
+        accounts: state.accounts,
+        transactions: state.transactions,
+        currency: loadSettings().currency
+    });
+    if (!accounts) return;
+
+    const kept = new Set(accounts.map(a => a.id));
+    const orphaned = state.transactions
+        .filter(t => t.account !== undefined && !kept.has(t.account))
+        .map(t => {
+            const copy = { ...t };
+            delete copy.account;
+            return copy;
+        });
+
+    try {
+        await saveAccounts(accounts);
+        if (orphaned.length > 0) await putTransactions(orphaned);
+    } catch (error) {
+        console.error('Failed to save accounts:', error);
+        showToast(`Accounts not saved. ${error.message}`, 'error');
+        return;
+    }
+
+    const updated = new Map(orphaned.map(t => [t.id, t]));
+    state.transactions = state.transactions.map(t => updated.get(t.id) || t);
+    state.accounts = accounts;
+    if (state.filters.account !== 'all' && state.filters.account !== 'none' && !kept.has(parseInt(state.filters.account))) {
+        state.filters.account = 'all';
+    }
+
+    refreshDashboard();
+    showToast('Accounts saved', 'success');
+}
+
+/**
+ * Open the transfer review and save confirmed and unlinked pairs
+ */
+async function handleReviewTransfers() {
+    const pairs = getTransferPairs(state.transactions);
+    if (pairs.length === 0) {
+        showToast('No transfers between your accounts were found', 'success');
+        return;
+    }
+
+    const decisions = await showTransferReview({ pairs, accounts: state.accounts });
+    if (!decisions || (decisions.confirmed.length === 0 && decisions.unlinked.length === 0)) return;
+
+    const { transactions, changed } = resolveTransfers(state.transactions, decisions);
+
+    try {
+        await putTransactions(changed);
+    } catch (error) {
+        console.error('Failed to save transfers:', error);
+        showToast(`Transfers not saved. ${error.message}`, 'error');
+        return;
+    }
+
+    state.transactions = transactions;
+    refreshDashboard();
+
+    const parts = [];
+    if (decisions.confirmed.length > 0) parts.push(`${decisions.confirmed.length} confirmed`);
+    if (decisions.unlinked.length > 0) parts.push(`${decisions.unlinked.length} unlinked`);
+    showToast(`Transfers updated: ${parts.join(', ')}`, 'success');
+}
+
+/**
+ * Open the security settings and apply the chosen action
+ */
+async function handleSecurity() {
+    let encrypted;
+    try {
+        encrypted = await getEncryptionStatus() === 'unlocked';
+    } catch (error) {
+        console.error('Failed to read encryption status:', error);
+        showToast(`Could not open security settings: ${error.message}`, 'error');
+        return;
+    }
+
+    const result = await showSecuritySettings({ encrypted });
+
+    if (result === 'lock') {
+        lockApp();
+        return;
+    }
+
+    // Also picks up a changed auto-lock delay
+    applyAutoLock(result === 'enabled' || (encrypted && result !== 'disabled'));
+
+    if (result === 'enabled') {
+        showToast('Encryption turned on. You will need your passphrase to open the dashboard.', 'success');
+    } else if (result === 'changed') {
+        showToast('Passphrase changed', 'success');
+    } else if (result === 'disabled') {
+        showToast('Encryption turned off', 'success');
+    }
+}
+
+/**
+ * Open the rules editor, save the rules and optionally re-apply them to history
+ */
+async function handleManageRules() {
+    const result = await showRulesEditor({
+        rules: loadRules(),
+        transactions: state.transactions,
+        accounts: state.accounts,
+        categories: getUniqueCategories(state.transactions)
+    });
+    if (!result) return;
+
+    if (!(await saveRules(result.rules))) {
+        showToast('Rules not saved', 'error');
+        return;
+    }
+    if (!result.reapply) {
+        showToast('Rules saved', 'success');
+        return;
+    }
+
+    const { transactions, changed } = applyRules(state.transactions, result.rules, {
+        onlyUncategorized: !result.overwrite
+    });
+
+    try {
+        await putTransactions(changed);
+    } catch (error) {
+        console.error('Failed to save recategorised transactions:', error);
+        showToast(`Rules saved, but transactions not updated. ${error.message}`, 'error');
+        return;
+    }
+
+    state.transactions = transactions;
+    refreshDashboard(false);
+    showToast(`Rules saved; ${changed.length} transaction${changed.length === 1 ? '' : 's'} recategorised`, 'success');
+}
+
+/**
+ * Open the review of suggested categories and save the decisions
+ */
+async function handleReviewSuggestions() {
+    const queue = getSuggestionQueue(state.transactions);
+    if (queue.length === 0) {
+        showToast('No category suggestions to review', 'success');
+        return;
+    }
+
+    const decisions = await showSuggestionReview({
+        transactions: queue,
+        categories: getUniqueCategories(state.transactions)
+    });
+    if (!decisions || (decisions.accepted.length === 0 && decisions.dismissed.length === 0)) return;
+
+    const { transactions, changed } = resolveSuggestions(state.transactions, decisions);
+
+    try {
+        await putTransactions(changed);
+    } catch (error) {
+        console.error('Failed to save categories:', error);
+        showToast(`Categories not saved. ${error.message}`, 'error');
+        return;
+    }
+
+    state.transactions = transactions;
+    refreshDashboard(false);
+
+    const parts = [];
+    if (decisions.accepted.length > 0) parts.push(`${decisions.accepted.length} categorised`);
+    if (decisions.dismissed.length > 0) parts.push(`${decisions.dismissed.length} left uncategorised`);
+    showToast(`Suggestions reviewed: ${parts.join(', ')}`, 'success');
+}
+
+/**
+ * Open the category manager, save colours and icons and apply a rename, merge or
+ * delete to the transactions and rules. The manager opens again after a change.
+ */
+async function handleManageCategories() {
+    const result = await showCategoryManager({
+        transactions: state.transactions,
+        styles: loadCategoryStyles()
+    });
+    if (!result) return;
+
+    const { change } = result;
+    if (!change) {
+        if (await saveCategoryStyles(result.styles)) {
+            refreshDashboard(false);
+            showToast('Categories saved', 'success');
+        } else {
+            showToast('Categories not saved', 'error');
+        }
+        return;
+    }
+
+    // Deleting moves subcategories into the target too; renaming and merging keep them
+    const keepSubcategories = change.action !== 'delete';
+    const { transactions, changed } = moveCategories(state.transactions, change.sources, change.target, keepSubcategories);
+
+    try {
+        await putTransactions(changed);
+    } catch (error) {
+        console.error('Failed to save categories:', error);
+        showToast(`Categories not saved. ${error.message}`, 'error');
+        return;
+    }
+
+    // Rules would bring the old names back with the next import
+    const rules = loadRules().map(rule => ({
+        ...rule,
+        category: mapCategory(rule.category, change.sources, change.target, keepSubcategories) ?? rule.category
+    }));
+    const saved = (await Promise.all([
+        saveRules(rules),
+        saveCategoryStyles(moveCategoryStyles(result.styles, change.sources, change.target, keepSubcategories))
+    ])).every(Boolean);
+
+    // A filter on a category that no longer exists would hide everything
+    if (state.filters.category !== 'all' && mapCategory(state.filters.category, change.sources, change.target, keepSubcategories) !== null) {
+        state.filters.category = 'all';
+    }
+
+    state.transactions = transactions;
+    refreshDashboard(false);
+
+    const verbs = { rename: 'renamed', merge: 'merged', delete: 'deleted' };
+    const message = `${change.sources.length === 1 ? `"${change.sources[0]}"` : `${change.sources.length} categories`} ${verbs[change.action]}; ${changed.length} transaction${changed.length === 1 ? '' : 's'} moved to "${change.target}"`;
+    if (saved) {
+        showToast(message, 'success');
+    } else {
+        showToast(`${message}, but the rules and colours were not saved`, 'error');
+    }
+
+    await handleManageCategories();
+}
+
+/**
+ * Open the payee aliases, save them and rename the payees they change
+ */
+async function handleManagePayees() {
+    const aliases = await showPayeeAliases({
+        aliases: loadPayeeAliases(),
+        transactions: state.transactions
+    });
+    if (!aliases) return;
+
+    if (!(await savePayeeAliases(aliases))) {
+        showToast('Payee aliases not saved', 'error');
+        return;
+    }
+
+    const { transactions, changed } = applyPayees(state.transactions, aliases);
+
+    try {
+        await putTransactions(changed);
+    } catch (error) {
+        console.error('Failed to save payees:', error);
+        showToast(`Payee aliases saved, but transactions not updated. ${error.message}`, 'error');
+        return;
+    }
+
+    state.transactions = transactions;
+    refreshDashboard(false);
+    showToast(`Payee aliases saved; ${changed.length} transaction${changed.length === 1 ? '' : 's'} renamed`, 'success');
+}
+
+/**
+ * Re-render the data-driven parts of the dashboard after the dataset changes,
+ * keeping the current filters
+ * @param {boolean} resetPage - Go back to the first page of the table
+ */
+function refreshDashboard(resetPage = true) {
+    colourCategories();
+    renderFilterBar(state.transactions, state.filters, handleFilterChange, state.accounts);
+    renderAccountCards(state.accounts, state.transactions);
+    applyFilters(resetPage);
+}
+
+/**
+ * Add a transaction entered by hand
+ */
+async function handleAddTransaction() {
+    const transaction = await showTransactionForm({
+        categories: getUniqueCategories(state.transactions),
+        accounts: state.accounts
+    });
+    if (!transaction) return;
+
+    transaction.id = state.transactions.reduce((max, t) => Math.max(max, Number(t.id) || 0), 0) + 1;
+    transaction.payee = getPayee(transaction.description, loadPayeeAliases());
+
+    try {
+        await putTransactions([transaction]);
+    } catch (error) {
+        console.error('Failed to save transaction:', error);
+        showToast(`Transaction not saved. ${error.message}`, 'error');
+        return;
+    }
+
+    state.transactions = [...state.transactions, transaction];
+    refreshDashboard(false);
+    showToast('Transaction added', 'success');
+}
+
+/**
+ * Save a transaction edited in the table
+ * @param {Object} original - Transaction before editing
+ * @param {Object} fields - Validated date, description, category, amount and type
+ * @returns {Promise<boolean>} True if saved
+ */
+async function handleUpdateTransaction(original, fields) {
+    const updated = { ...original, ...fields, payee: getPayee(fields.description, loadPayeeAliases()) };
+
+    try {
+        await putTransactions([updated]);
+    } catch (error) {
+        console.error('Failed to save transaction:', error);
+        showToast(`Changes not saved. ${error.message}`, 'error');
+        return false;
+    }
+
+    state.transactions = state.transactions.map(t => (t.id === original.id ? updated : t));
+    refreshDashboard(false);
+    showToast('Transaction updated', 'success');
+    return true;
+}
+
+/**
+ * Delete a transaction; the other side of a transfer is kept as a normal transaction
+ * @param {Object} transaction - Transaction to delete
+ */
+async function handleDeleteTransaction(transaction) {
+    const { transactions, changed } = removeTransactions(state.transactions, [transaction.id]);
+
+    try {
+        await deleteTransactions([transaction.id]);
+        if (changed.length > 0) await putTransactions(changed);
+    } catch (error) {
+        console.error('Failed to delete transaction:', error);
+        showToast(`Transaction not deleted. ${error.message}`, 'error');
+        return;
+    }
+
+    state.transactions = transactions;
+    refreshDashboard(false);
+    showToast('Transaction deleted', 'success');
 }
 
 /**
@@ -187,24 +866,184 @@ function handleExport(format) {
     }
 }
 
+/**
+ * Download a backup of all transactions, accounts, settings and import profiles
+ */
+function handleBackup() {
+    try {
+        const backup = createBackup({
+            transactions: state.transactions,
+            accounts: state.accounts,
+            settings: loadSettings(),
+            importProfiles: loadImportProfiles(),
+            rules: loadRules(),
+            payeeAliases: loadPayeeAliases(),
+            categoryStyles: loadCategoryStyles()
+        });
+        exportBackup(backup, `finance_backup_${new Date().toISOString().slice(0, 10)}`);
+        showToast(`Backup saved with ${state.transactions.length} transactions`, 'success');
+    } catch (error) {
+        showToast('Failed to create backup', 'error');
+        console.error('Backup error:', error);
+    }
+}
+
+/**
+ * Validate a backup file, preview it and restore it by replacing or merging
+ * @param {File} file - Backup file
+ */
+async function handleRestore(file) {
+    let backup;
+    try {
+        backup = await parseBackupFile(file);
+    } catch (error) {
+        console.error('Failed to read backup:', error);
+        showToast(`Could not restore ${file.name}: ${error.message}`, 'error');
+        return;
+    }
+
+    const mode = await showRestoreBackup({
+        fileName: file.name,
+        backup,
+        summary: summarizeBackup(backup),
+        hasData: state.isLoaded
+    });
+    if (!mode) return;
+
+    if (mode === 'merge') {
+        await mergeBackup(file.name, backup);
+    } else {
+        await replaceWithBackup(file.name, backup);
+    }
+}
+
+/**
+ * Replace all data and settings with a backup
+ * @param {string} fileName - Backup file name
+ * @param {Object} backup - Result of parseBackupFile()
+ */
+async function replaceWithBackup(fileName, backup) {
+    // Backups from before payees existed have transactions without one
+    const { transactions } = applyPayees(backup.transactions, backup.payeeAliases);
+
+    try {
+        await saveTransactions(transactions);
+        await saveAccounts(backup.accounts);
+    } catch (error) {
+        console.error('Failed to restore backup:', error);
+        showToast(`Backup not restored. ${error.message}`, 'error');
+        return;
+    }
+
+    const saved = (await Promise.all([
+        saveSettings(backup.settings),
+        saveImportProfiles(backup.importProfiles),
+        saveRules(backup.rules),
+        savePayeeAliases(backup.payeeAliases),
+        saveCategoryStyles(backup.categoryStyles)
+    ])).every(Boolean);
+
+    resetState();
+    state.transactions = transactions;
+    state.filteredTransactions = transactions;
+    state.accounts = backup.accounts;
+    state.isLoaded = backup.transactions.length > 0;
+
+    destroyCharts();
+    resetTableState();
+    if (state.isLoaded) {
+        renderDashboard();
+    } else {
+        renderUploadView();
+    }
+
+    // The restored settings may have a different auto-lock delay
+    if (await getEncryptionStatus() === 'unlocked') applyAutoLock(true);
+
+    if (saved) {
+        showToast(`Restored ${backup.transactions.length} transactions from ${fileName}`, 'success');
+    } else {
+        showToast(`Restored ${backup.transactions.length} transactions from ${fileName}, but the settings were not all saved`, 'error');
+    }
+}
+
+/**
+ * Merge a backup into the current data, reviewing rows that are already here
+ * @param {string} fileName - Backup file name
+ * @param {Object} backup - Result of parseBackupFile()
+ */
+async function mergeBackup(fileName, backup) {
+    const merge = prepareBackupMerge(backup, {
+        accounts: state.accounts,
+        importProfiles: loadImportProfiles(),
+        rules: loadRules(),
+        payeeAliases: loadPayeeAliases(),
+        categoryStyles: loadCategoryStyles()
+    });
+
+    const review = reviewImport(state.transactions, applyPayees(merge.transactions, merge.payeeAliases).transactions);
+    const decision = await showImportReview({ fileName, review });
+    if (!decision) return;
+
+    let transactions = mergeTransactions(state.transactions, decision.additions, decision.replacements);
+
+    // Merged rows have new ids, so pair up their transfers again
+    const transferPairs = detectTransfers(transactions);
+    transactions = linkTransfers(transactions, transferPairs).transactions;
+
+    const existing = new Set(state.transactions);
+    const changed = transactions.filter(t => !existing.has(t));
+
+    try {
+        await putTransactions(changed);
+        if (merge.created.length > 0) await saveAccounts(merge.accounts);
+    } catch (error) {
+        console.error('Failed to merge backup:', error);
+        showToast(`Backup not merged. ${error.message}`, 'error');
+        return;
+    }
+
+    const saved = (await Promise.all([
+        saveImportProfiles(merge.importProfiles),
+        saveRules(merge.rules),
+        savePayeeAliases(merge.payeeAliases),
+        saveCategoryStyles(merge.categoryStyles)
+    ])).every(Boolean);
+
+    state.transactions = transactions;
+    state.accounts = merge.accounts;
+    refreshDashboard();
+
+    let summary = `Merged ${decision.additions.length} transactions from ${fileName}`;
+    if (decision.replacements.length > 0) summary += `, replaced ${decision.replacements.length}`;
+    if (merge.created.length > 0) summary += ` (new account${merge.created.length === 1 ? '' : 's'} ${merge.created.map(a => a.name).join(', ')})`;
+    if (saved) {
+        showToast(summary, 'success');
+    } else {
+        showToast(`${summary}, but the profiles, rules, aliases and colours were not all saved`, 'error');
+    }
+
+    if (transferPairs.length > 0) {
+        await handleReviewTransfers();
+    }
+}
+
 /**
  * Handle clear data action
  */
-function handleClearData() {
-    // Clear state
-    state.transactions = [];
-    state.filteredTransactions = [];
-    state.filters = {
-        search: '',
-        category: 'all',
-        type: 'all',
-        dateFrom: '',
-        dateTo: ''
-    };
-    state.isLoaded = false;
+async function handleClearData() {
+    // Clear storage first so the data does not come back on reload
+    try {
+        await clearTransactions();
+        await saveAccounts([]);
+    } catch (error) {
+        console.error('Failed to clear transactions:', error);
+        showToast(`Could not clear data: ${error.message}`, 'error');
+        return;
+    }
 
-    // Clear storage
-    clearTransactions();
+    // Clear state
+    resetState();
 
     // Destroy charts
     destroyCharts();
@@ -218,6 +1057,43 @@ function handleClearData() {
     showToast('All data cleared', 'success');
 }
 
+/**
+ * Erase all data after the passphrase was forgotten, and start over
+ */
+async function handleEraseData() {
+    try {
+        await eraseStorage();
+    } catch (error) {
+        console.error('Failed to erase data:', error);
+        showToast(`Could not erase data: ${error.message}`, 'error');
+        return;
+    }
+
+    resetState();
+    renderUploadView();
+    showToast('All data erased', 'success');
+}
+
+/**
+ * Reset the application state to an empty dataset
+ */
+function resetState() {
+    state.transactions = [];
+    state.filteredTransactions = [];
+    state.accounts = [];
+    state.filters = {
+        search: '',
+        category: 'all',
+        type: 'all',
+        account: 'all',
+        sheet: 'all',
+        sourceFile: 'all',
+        dateFrom: '',
+        dateTo: ''
+    };
+    state.isLoaded = false;
+}
+
 /**
  * Show toast notification
  * @param {string} message - Message to display
@@ -239,8 +1115,10 @@ function showToast(message, type = 'success') {
             : '<circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line>'
         }
     </svg>
-    <span>${message}</span>
+    <span></span>
   `;
+    // Messages carry file contents such as account names, so never parse them as HTML
+    toast.querySelector('span').textContent = message;
 
     document.body.appendChild(toast);
 
@@ -0,0 +1,139 @@
+/**
+ * Account Manager Component - add, edit and remove accounts
+ */
+import { openModal } from './Modal.js';
+import { escapeHtml, escapeAttribute, formatNumber } from '../utils/formatters.js';
+import { ACCOUNT_TYPES, buildAccount, getNextAccountId } from '../utils/accounts.js';
+
+/**
+ * Show the account manager
+ * @param {Object} options - Manager options
+ * @param {Array} options.accounts - Current accounts
+ * @param {Array} options.transactions - All transactions, for per-account counts
+ * @param {string} options.currency - Currency suggested for new accounts
+ * @returns {Promise<Array|null>} Updated accounts, or null if cancelled. Transactions of a
+ *   removed account become unassigned.
+ */
+export function showAccountManager(options) {
+    return new Promise((resolve) => {
+        const { accounts, transactions, currency } = options;
+        let nextId = getNextAccountId(accounts);
+
+        const counts = new Map();
+        transactions.forEach(t => {
+            if (t.account !== undefined) counts.set(t.account, (counts.get(t.account) || 0) + 1);
+        });
+
+        const modal = openModal({
+            title: 'Accounts',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Each account's balance is its opening balance plus its transactions.
+          Removing an account keeps its transactions but leaves them without an account.
+        </p>
+        <div class="table-wrapper">
+          <table class="table account-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Opening Balance</th>
+                <th>Currency</th>
+                <th style="text-align: right;">Transactions</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="account-rows">
+              ${accounts.map(account => renderAccountRow(account, counts.get(account.id) || 0)).join('')}
+            </tbody>
+          </table>
+        </div>
+        <button class="btn btn-secondary btn-sm account-add" id="account-add">Add Account</button>
+        <p class="form-error hidden" id="account-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="account-cancel">Cancel</button>
+        <button class="btn btn-primary" id="account-save">Save</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const rows = modal.element.querySelector('#account-rows');
+        const errorEl = modal.element.querySelector('#account-error');
+
+        modal.element.querySelector('#account-add').addEventListener('click', () => {
+            rows.insertAdjacentHTML('beforeend', renderAccountRow({
+                id: nextId++,
+                name: '',
+                type: 'checking',
+                openingBalance: 0,
+                currency
+            }, 0));
+            rows.lastElementChild.querySelector('.account-name').focus();
+        });
+
+        rows.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.account-remove');
+            if (removeBtn) removeBtn.closest('tr').remove();
+        });
+
+        modal.element.querySelector('#account-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#account-save').addEventListener('click', () => {
+            const updated = [];
+
+            for (const tr of rows.querySelectorAll('tr[data-id]')) {
+                const { account, error } = buildAccount({
+                    id: parseInt(tr.dataset.id),
+                    name: tr.querySelector('.account-name').value,
+                    type: tr.querySelector('.account-type').value,
+                    openingBalance: tr.querySelector('.account-opening').value,
+                    currency: tr.querySelector('.account-currency').value
+                }, updated);
+
+                if (error) {
+                    errorEl.textContent = `${error}.`;
+                    errorEl.classList.remove('hidden');
+                    tr.querySelector('.account-name').focus();
+                    return;
+                }
+
+                updated.push(account);
+            }
+
+            modal.close();
+            resolve(updated);
+        });
+    });
+}
+
+/**
+ * Render an editable account row
+ * @param {Object} account - Account
+ * @param {number} count - Number of transactions in the account
+ * @returns {string} HTML
+ */
+function renderAccountRow(account, count) {
+    return `
+    <tr data-id="${account.id}">
+      <td><input type="text" class="input account-name" value="${escapeAttribute(account.name)}" placeholder="e.g. Checking"></td>
+      <td>
+        <select class="input select account-type">
+          ${Object.entries(ACCOUNT_TYPES).map(([key, { label }]) => `
+            <option value="${key}" ${account.type === key ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      </td>
+      <td><input type="number" step="0.01" class="input account-opening" value="${account.openingBalance}"></td>
+      <td><input type="text" class="input account-currency" value="${escapeAttribute(account.currency)}" maxlength="3"></td>
+      <td style="text-align: right;">${formatNumber(count)}</td>
+      <td>
+        <button class="btn btn-ghost btn-sm account-remove" aria-label="Remove ${escapeAttribute(account.name || 'account')}">Remove</button>
+      </td>
+    </tr>
+  `;
+}
@@ -0,0 +1,237 @@
+/**
+ * Category Manager Component - counts and totals per category, colours and icons,
+ * and renaming, merging and deleting categories
+ */
+import { openModal } from './Modal.js';
+import { formatCurrency, formatNumber, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import {
+    getCategoryTree,
+    getCategoryStats,
+    getCategoryColor,
+    getCategoryIcon,
+    buildCategoryStyle,
+    normalizeCategoryName,
+    isInCategory
+} from '../utils/categories.js';
+import { getUniqueCategories } from '../utils/calculations.js';
+
+/**
+ * Show the category manager
+ * @param {Object} options - Manager options
+ * @param {Array} options.transactions - All transactions
+ * @param {Object} options.styles - Map of category name to { color, icon }
+ * @returns {Promise<Object|null>} Object with the styles to save and the change to
+ *   apply ({ action: 'rename' | 'merge' | 'delete', sources, target }, or null when only
+ *   colours and icons were edited), or null if cancelled
+ */
+export function showCategoryManager(options) {
+    return new Promise((resolve) => {
+        const { transactions, styles } = options;
+        const tree = getCategoryTree(getUniqueCategories(transactions));
+        const stats = getCategoryStats(transactions);
+
+        const modal = openModal({
+            title: 'Categories',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Subcategories are listed under their parent, and a parent's count and total include them.
+          Renaming, merging and deleting change every stored transaction and the categorisation
+          rules; a parent's subcategories move with it.
+        </p>
+        <div class="table-wrapper review-table-wrapper">
+          <table class="table category-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Category</th>
+                <th>Colour</th>
+                <th>Icon</th>
+                <th style="text-align: right;">Transactions</th>
+                <th style="text-align: right;">Total</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="category-rows">
+              ${tree.map(category => renderCategoryRow(category, stats.get(category.name), styles)).join('')}
+            </tbody>
+          </table>
+        </div>
+        <button class="btn btn-secondary btn-sm category-merge" id="category-merge" disabled>Merge Selected</button>
+        <div class="category-action hidden" id="category-action">
+          <label class="label" for="category-target" id="category-action-label"></label>
+          <div class="category-action-row">
+            <input type="text" class="input" id="category-target" list="category-names">
+            <button class="btn btn-primary btn-sm" id="category-apply">Apply</button>
+            <button class="btn btn-ghost btn-sm" id="category-action-cancel">Cancel</button>
+          </div>
+        </div>
+        <datalist id="category-names">
+          ${tree.map(c => `<option value="${escapeAttribute(c.name)}"></option>`).join('')}
+        </datalist>
+        <p class="form-error hidden" id="category-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="category-cancel">Cancel</button>
+        <button class="btn btn-primary" id="category-save">Save</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const el = modal.element;
+        const rows = el.querySelector('#category-rows');
+        const mergeBtn = el.querySelector('#category-merge');
+        const actionEl = el.querySelector('#category-action');
+        const actionLabel = el.querySelector('#category-action-label');
+        const targetInput = el.querySelector('#category-target');
+        const errorEl = el.querySelector('#category-error');
+
+        // Change being prepared: { action, sources }
+        let pending = null;
+
+        const showError = (message) => {
+            errorEl.textContent = `${message}.`;
+            errorEl.classList.remove('hidden');
+        };
+
+        const getSelected = () => [...rows.querySelectorAll('.category-select:checked')]
+            .map(input => input.closest('tr').dataset.name);
+
+        const startAction = (action, sources, label, target) => {
+            pending = { action, sources };
+            errorEl.classList.add('hidden');
+            actionLabel.textContent = label;
+            targetInput.value = target;
+            actionEl.classList.remove('hidden');
+            targetInput.focus();
+            targetInput.select();
+        };
+
+        rows.addEventListener('change', (e) => {
+            if (e.target.closest('.category-select')) {
+                mergeBtn.disabled = getSelected().length < 2;
+            }
+        });
+
+        // Only colours actually picked are saved; the others keep following the name
+        rows.addEventListener('input', (e) => {
+            if (e.target.closest('.category-color')) e.target.dataset.changed = 'true';
+        });
+
+        rows.addEventListener('click', (e) => {
+            const tr = e.target.closest('tr');
+            if (!tr) return;
+            const name = tr.dataset.name;
+            const count = stats.get(name)?.count || 0;
+
+            if (e.target.closest('.category-rename')) {
+                startAction('rename', [name], `Rename "${name}" to`, name);
+            } else if (e.target.closest('.category-delete')) {
+                startAction('delete', [name], `Delete "${name}" and move its ${formatNumber(count)} transaction${count === 1 ? '' : 's'} to`, 'Uncategorized');
+            }
+        });
+
+        mergeBtn.addEventListener('click', () => {
+            const selected = getSelected();
+            const largest = selected.reduce((a, b) => ((stats.get(b)?.count || 0) > (stats.get(a)?.count || 0) ? b : a));
+            startAction('merge', selected, `Merge ${formatNumber(selected.length)} categories into`, largest);
+        });
+
+        el.querySelector('#category-action-cancel').addEventListener('click', () => {
+            pending = null;
+            actionEl.classList.add('hidden');
+            errorEl.classList.add('hidden');
+        });
+
+        el.querySelector('#category-apply').addEventListener('click', () => {
+            const target = targetInput.value.trim() ? normalizeCategoryName(targetInput.value) : '';
+            const { action, sources } = pending;
+
+            if (!target) {
+                showError('Enter a category name');
+                targetInput.focus();
+                return;
+            }
+            if (action === 'rename' && target === sources[0]) {
+                showError('Enter a different name');
+                targetInput.focus();
+                return;
+            }
+            if (action === 'delete' && isInCategory(target, sources[0])) {
+                showError(`Choose a category outside "${sources[0]}"`);
+                targetInput.focus();
+                return;
+            }
+
+            modal.close();
+            resolve({ styles: readStyles(rows, styles), change: { action, sources, target } });
+        });
+
+        el.querySelector('#category-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        el.querySelector('#category-save').addEventListener('click', () => {
+            modal.close();
+            resolve({ styles: readStyles(rows, styles), change: null });
+        });
+    });
+}
+
+/**
+ * Read the colours and icons from the category rows
+ * @param {HTMLElement} rows - Table body
+ * @param {Object} styles - Styles the manager was opened with
+ * @returns {Object} Map of category name to { color, icon }
+ */
+function readStyles(rows, styles) {
+    // Keep styles of categories no longer in use, e.g. for a category a rule assigns
+    const result = { ...styles };
+
+    rows.querySelectorAll('tr[data-name]').forEach(tr => {
+        const name = tr.dataset.name;
+        const colorInput = tr.querySelector('.category-color');
+        const style = buildCategoryStyle({
+            color: (styles[name]?.color || colorInput.dataset.changed) ? colorInput.value : '',
+            icon: tr.querySelector('.category-icon').value
+        });
+
+        if (style) {
+            result[name] = style;
+        } else {
+            delete result[name];
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Render a category row
+ * @param {Object} category - Entry from getCategoryTree()
+ * @param {Object} stat - Count and total from getCategoryStats()
+ * @param {Object} styles - Map of category name to { color, icon }
+ * @returns {string} HTML
+ */
+function renderCategoryRow(category, stat, styles) {
+    const { name, label, depth } = category;
+    const { count, total } = stat || { count: 0, total: 0 };
+
+    return `
+    <tr data-name="${escapeAttribute(name)}">
+      <td><input type="checkbox" class="category-select" aria-label="Select ${escapeAttribute(name)}"></td>
+      <td class="category-name" style="padding-left: calc(var(--space-4) * ${depth + 1});" title="${escapeAttribute(name)}">
+        ${escapeHtml(label)}
+      </td>
+      <td><input type="color" class="category-color" value="${getCategoryColor(name, styles)}" aria-label="Colour of ${escapeAttribute(name)}"></td>
+      <td><input type="text" class="input category-icon" value="${escapeAttribute(getCategoryIcon(name, styles))}" maxlength="8" aria-label="Icon of ${escapeAttribute(name)}"></td>
+      <td style="text-align: right;">${formatNumber(count)}</td>
+      <td class="amount-cell ${total < 0 ? 'amount-expense' : 'amount-income'}" style="text-align: right;">${formatCurrency(total)}</td>
+      <td class="table-actions">
+        <button class="btn btn-ghost btn-sm category-rename">Rename</button>
+        ${name === 'Uncategorized' ? '' : '<button class="btn btn-ghost btn-sm category-delete">Delete</button>'}
+      </td>
+    </tr>
+  `;
+}
@@ -2,12 +2,24 @@
  * Charts Component using Chart.js
  */
 import Chart from 'chart.js/auto';
-import { calculateByMonth, calculateByCategory } from '../utils/calculations.js';
+import { calculateByMonth, calculateByCategory, getUniqueCategories } from '../utils/calculations.js';
+import {
+    getCategoryTree,
+    getCategoryLabel,
+    getCategoryPath,
+    getCategoryColor,
+    getCategoryIcon,
+    isInCategory,
+    CATEGORY_SEPARATOR
+} from '../utils/categories.js';
 import { getMonthName } from '../utils/formatters.js';
 
 let monthlyChart = null;
 let categoryChart = null;
 
+// Category whose children the doughnut shows; null for the top level
+let categoryParent = null;
+
 // Chart.js default configuration
 const chartDefaults = {
     responsive: true,
@@ -41,25 +53,14 @@ const chartDefaults = {
     }
 };
 
-// Color palette
-const chartColors = [
-    '#4c9aff',
-    '#10b981',
-    '#f59e0b',
-    '#ef4444',
-    '#8b5cf6',
-    '#ec4899',
-    '#06b6d4',
-    '#84cc16'
-];
-
 /**
  * Render charts
  * @param {Array} transactions - Array of transaction objects
+ * @param {Object} categoryStyles - Map of category name to { color, icon }
  */
-export function renderCharts(transactions) {
+export function renderCharts(transactions, categoryStyles = {}) {
     renderMonthlyChart(transactions);
-    renderCategoryChart(transactions);
+    renderCategoryChart(transactions, categoryStyles);
 }
 
 /**
@@ -153,10 +154,12 @@ function renderMonthlyChart(transactions) {
 }
 
 /**
- * Render category breakdown chart
+ * Render category breakdown chart. It starts at the top level of the category tree;
+ * clicking a category with subcategories shows those instead.
  * @param {Array} transactions - Array of transaction objects
+ * @param {Object} styles - Map of category name to { color, icon }
  */
-function renderCategoryChart(transactions) {
+function renderCategoryChart(transactions, styles) {
     const canvas = document.getElementById('category-chart');
     if (!canvas) return;
 
@@ -167,12 +170,27 @@ function renderCategoryChart(transactions) {
         categoryChart.destroy();
     }
 
-    const categoryData = calculateByCategory(transactions, 'expense');
+    const expenses = transactions.filter(t => t.type.toLowerCase() === 'expense');
+
+    // Back to the top when the filters leave nothing in the category shown
+    if (categoryParent !== null && !expenses.some(t => isInCategory(t.category, categoryParent))) {
+        categoryParent = null;
+    }
+    renderCategoryHeader(transactions, styles);
+
+    const parents = new Set(getCategoryTree(getUniqueCategories(expenses)).filter(c => c.hasChildren).map(c => c.name));
+
+    const categoryData = calculateByCategory(expenses, 'expense', { parent: categoryParent });
     const sortedCategories = Object.entries(categoryData)
         .sort((a, b) => b[1] - a[1])
         .slice(0, 8); // Top 8 categories
 
-    const labels = sortedCategories.map(([category]) => category);
+    const categories = sortedCategories.map(([category]) => category);
+    const labels = categories.map(category => {
+        const icon = getCategoryIcon(category, styles);
+        const label = category === categoryParent ? `${getCategoryLabel(category)} (other)` : getCategoryLabel(category);
+        return icon ? `${icon} ${label}` : label;
+    });
     const data = sortedCategories.map(([, amount]) => amount);
     const total = data.reduce((sum, val) => sum + val, 0);
 
@@ -182,7 +200,7 @@ function renderCategoryChart(transactions) {
             labels,
             datasets: [{
                 data,
-                backgroundColor: chartColors.slice(0, data.length),
+                backgroundColor: categories.map(category => getCategoryColor(category, styles)),
                 borderColor: '#1e2530',
                 borderWidth: 3,
                 hoverOffset: 8
@@ -191,6 +209,19 @@ function renderCategoryChart(transactions) {
         options: {
             ...chartDefaults,
             cutout: '65%',
+            onClick: (event, elements) => {
+                const category = elements.length > 0 ? categories[elements[0].index] : null;
+                if (category && category !== categoryParent && parents.has(category)) {
+                    categoryParent = category;
+                    renderCategoryChart(transactions, styles);
+                }
+            },
+            onHover: (event, elements) => {
+                const category = elements.length > 0 ? categories[elements[0].index] : null;
+                event.native.target.style.cursor = category && category !== categoryParent && parents.has(category)
+                    ? 'pointer'
+                    : 'default';
+            },
             plugins: {
                 ...chartDefaults.plugins,
                 legend: {
@@ -218,6 +249,27 @@ function renderCategoryChart(transactions) {
     });
 }
 
+/**
+ * Show the category being drilled into and the way back up
+ * @param {Array} transactions - Array of transaction objects, to render again from
+ * @param {Object} styles - Map of category name to { color, icon }
+ */
+function renderCategoryHeader(transactions, styles) {
+    const title = document.getElementById('category-chart-title');
+    const upButton = document.getElementById('category-chart-up');
+    if (!title || !upButton) return;
+
+    title.textContent = categoryParent === null ? 'Spending by Category' : `Spending in ${categoryParent}`;
+    upButton.classList.toggle('hidden', categoryParent === null);
+
+    const path = getCategoryPath(categoryParent);
+    upButton.textContent = path.length > 1 ? `Back to ${path[path.length - 2]}` : 'All categories';
+    upButton.onclick = () => {
+        categoryParent = path.length > 1 ? path.slice(0, -1).join(CATEGORY_SEPARATOR) : null;
+        renderCategoryChart(transactions, styles);
+    };
+}
+
 /**
  * Destroy all charts
  */
@@ -230,6 +282,7 @@ export function destroyCharts() {
         categoryChart.destroy();
         categoryChart = null;
     }
+    categoryParent = null;
 }
 
 /**
@@ -0,0 +1,171 @@
+/**
+ * Column Mapping Wizard Component
+ */
+import { openModal } from './Modal.js';
+import { formatDate, escapeHtml, escapeAttribute, NUMBER_FORMATS, DATE_ORDERS } from '../utils/formatters.js';
+import { hasRequiredFields } from '../utils/excelParser.js';
+
+// Fields a column can be assigned to
+export const FIELD_OPTIONS = [
+    { value: 'date', label: 'Date' },
+    { value: 'description', label: 'Description' },
+    { value: 'category', label: 'Category' },
+    { value: 'account', label: 'Account' },
+    { value: 'amount', label: 'Amount' },
+    { value: 'debit', label: 'Debit (money out)' },
+    { value: 'credit', label: 'Credit (money in)' },
+    { value: 'type', label: 'Type (Income/Expense)' }
+];
+
+/**
+ * Show the column mapping wizard
+ * @param {Object} preview - Mapping preview from the parser
+ * @param {string} preview.fileName - Source file name
+ * @param {Array} preview.headers - Header row
+ * @param {Array} preview.sampleRows - First few data rows
+ * @param {Object} preview.columnMap - Detected column index mapping
+ * @returns {Promise<Object|null>} Object with columnMap, profileName, numberFormat and dateOrder, or null if cancelled
+ */
+export function showColumnMapper(preview) {
+    return new Promise((resolve) => {
+        const { fileName, headers, sampleRows, columnMap } = preview;
+
+        // Invert the detected mapping so each column knows its field
+        const assigned = headers.map((_, index) =>
+            Object.keys(columnMap).find(field => columnMap[field] === index) || ''
+        );
+
+        const modal = openModal({
+            title: 'Map Columns',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Some columns in <strong>${escapeHtml(fileName)}</strong> could not be matched automatically.
+          Choose what each column contains. Columns left as "Ignore" are not imported.
+        </p>
+        <div class="table-wrapper mapping-table-wrapper">
+          <table class="table mapping-table">
+            <thead>
+              <tr>
+                ${headers.map((header, index) => `
+                  <th>
+                    <select class="input select mapping-select" data-column="${index}">
+                      <option value="">Ignore</option>
+                      ${FIELD_OPTIONS.map(f => `
+                        <option value="${f.value}" ${assigned[index] === f.value ? 'selected' : ''}>${f.label}</option>
+                      `).join('')}
+                    </select>
+                    <span class="mapping-header">${escapeHtml(header || `Column ${index + 1}`)}</span>
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${sampleRows.map(row => `
+                <tr>
+                  ${headers.map((_, index) => `<td>${escapeHtml(formatSampleValue(row[index]))}</td>`).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div class="form-field">
+          <label class="label" for="mapping-number-format">Number format</label>
+          <select class="input select" id="mapping-number-format">
+            <option value="">Detect automatically</option>
+            ${Object.entries(NUMBER_FORMATS).map(([key, f]) => `
+              <option value="${key}">${escapeHtml(f.label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-field">
+          <label class="label" for="mapping-date-order">Date format</label>
+          <select class="input select" id="mapping-date-order">
+            <option value="">Detect automatically</option>
+            ${Object.entries(DATE_ORDERS).map(([key, f]) => `
+              <option value="${key}">${f.label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-field">
+          <label class="label" for="mapping-profile-name">Save as import profile</label>
+          <input type="text" class="input" id="mapping-profile-name" value="${escapeAttribute(getDefaultProfileName(fileName))}">
+          <p class="form-hint">Files with the same columns will be mapped automatically next time. Leave empty to skip saving.</p>
+        </div>
+        <p class="form-error hidden" id="mapping-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="mapping-cancel">Cancel</button>
+        <button class="btn btn-primary" id="mapping-confirm">Import</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const selects = modal.element.querySelectorAll('.mapping-select');
+        const errorEl = modal.element.querySelector('#mapping-error');
+
+        // A field can only be assigned to one column
+        selects.forEach(select => {
+            select.addEventListener('change', () => {
+                if (!select.value) return;
+                selects.forEach(other => {
+                    if (other !== select && other.value === select.value) {
+                        other.value = '';
+                    }
+                });
+            });
+        });
+
+        modal.element.querySelector('#mapping-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#mapping-confirm').addEventListener('click', () => {
+            const result = {};
+            FIELD_OPTIONS.forEach(f => {
+                result[f.value] = -1;
+            });
+            selects.forEach(select => {
+                if (select.value) {
+                    result[select.value] = parseInt(select.dataset.column);
+                }
+            });
+
+            if (!hasRequiredFields(result)) {
+                errorEl.textContent = 'Please choose a Date column and either an Amount column or Debit/Credit columns.';
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
+            modal.close();
+            resolve({
+                columnMap: result,
+                profileName: modal.element.querySelector('#mapping-profile-name').value.trim(),
+                numberFormat: modal.element.querySelector('#mapping-number-format').value,
+                dateOrder: modal.element.querySelector('#mapping-date-order').value
+            });
+        });
+    });
+}
+
+/**
+ * Format a raw cell value for the preview grid
+ * @param {*} value - Cell value
+ * @returns {string} Display string
+ */
+function formatSampleValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return formatDate(value, 'medium');
+    return String(value);
+}
+
+/**
+ * Derive a profile name from the file name
+ * @param {string} fileName - Source file name
+ * @returns {string} Profile name
+ */
+function getDefaultProfileName(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(0, dot) : fileName;
+}
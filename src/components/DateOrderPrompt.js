@@ -0,0 +1,77 @@
+/**
+ * Date Order Prompt Component for files whose dates read both ways
+ */
+import { openModal } from './Modal.js';
+import { parseDate, formatDate, escapeHtml, DATE_ORDERS } from '../utils/formatters.js';
+
+/**
+ * Ask whether a file's dates are day-first or month-first
+ * @param {Object} preview - Date preview from the parser
+ * @param {string} preview.fileName - Source file name
+ * @param {Array} preview.samples - Example date strings from the file
+ * @returns {Promise<string|null>} 'DMY' or 'MDY', or null if cancelled
+ */
+export function showDateOrderPrompt(preview) {
+    return new Promise((resolve) => {
+        const { fileName, samples } = preview;
+        const orders = Object.keys(DATE_ORDERS);
+
+        const modal = openModal({
+            title: 'Choose Date Format',
+            content: `
+        <p class="modal-text">
+          Every date in <strong>${escapeHtml(fileName)}</strong> could be read as either day-first or month-first.
+          Choose how the dates are written.
+        </p>
+        <div class="table-wrapper">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>In the file</th>
+                ${orders.map(order => `<th>Read as ${DATE_ORDERS[order].label}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${samples.map(sample => `
+                <tr>
+                  <td>${escapeHtml(sample)}</td>
+                  ${orders.map(order => `<td>${formatSample(sample, order)}</td>`).join('')}
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="date-order-cancel">Cancel</button>
+        ${orders.map(order => `
+          <button class="btn btn-primary" data-order="${order}">${DATE_ORDERS[order].label}</button>
+        `).join('')}
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        modal.element.querySelector('#date-order-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelectorAll('[data-order]').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.close();
+                resolve(button.dataset.order);
+            });
+        });
+    });
+}
+
+/**
+ * Show how a sample date reads in a given order
+ * @param {string} sample - Date string
+ * @param {string} order - 'DMY' or 'MDY'
+ * @returns {string} Formatted date, or a dash if invalid in that order
+ */
+function formatSample(sample, order) {
+    const date = parseDate(sample, order);
+    return date ? formatDate(date, 'medium') : '—';
+}
@@ -1,24 +1,64 @@
 /**
  * File Upload Component with drag-and-drop
  */
-import { parseExcelFile, isValidExcelFile } from '../utils/excelParser.js';
+import { isSupportedFile, mergeImportResults, SUPPORTED_EXTENSIONS } from '../utils/importer.js';
+import { startImport } from '../utils/backgroundImport.js';
 import { downloadSampleTemplate } from '../utils/exportData.js';
+import { findImportProfile, saveImportProfile, isStorageLocked } from '../utils/storage.js';
+import { showColumnMapper } from './ColumnMapper.js';
+import { showSheetPicker } from './SheetPicker.js';
+import { showDateOrderPrompt } from './DateOrderPrompt.js';
+import { showImportReport } from './ImportReport.js';
+import { showPasteImport } from './PasteImport.js';
+import { parsePastedRows } from '../utils/clipboardParser.js';
+import { getImportWarnings } from '../utils/validation.js';
+import { formatNumber, escapeHtml } from '../utils/formatters.js';
 
 /**
  * Render the file upload component
  * @param {Object} options - Component options
- * @param {Function} options.onFileLoaded - Callback when file is successfully parsed
+ * @param {Function} options.onFileLoaded - Callback when file is successfully parsed, receiving
+ *   the parse result, the import mode ('append' or 'replace') and the account chosen for
+ *   the import ({ id }, { name } for a new account, or null)
  * @param {Function} options.onError - Callback for errors
+ * @param {boolean} options.hasData - Whether data is already loaded; offers the append/replace choice
+ * @param {Function} options.onCancel - Callback for returning to the dashboard
+ * @param {Array} options.accounts - Existing accounts to import into
  */
 export function renderFileUpload(options = {}) {
     const container = document.getElementById('upload-container');
     if (!container) return;
 
-    const { onFileLoaded, onError } = options;
+    const { onFileLoaded, onError, hasData = false, onCancel, accounts = [] } = options;
 
     container.innerHTML = `
+    ${hasData ? `
+      <div class="upload-mode">
+        <label class="upload-mode-option">
+          <input type="radio" name="upload-mode" value="append" checked>
+          Add to existing data
+        </label>
+        <label class="upload-mode-option">
+          <input type="radio" name="upload-mode" value="replace">
+          Replace existing data
+        </label>
+        <button class="btn btn-ghost btn-sm" id="btn-upload-cancel">Back to dashboard</button>
+      </div>
+    ` : ''}
+    <div class="upload-account">
+      <label class="filter-label" for="upload-account">Account:</label>
+      <select class="input select" id="upload-account">
+        <option value="">No account</option>
+        ${accounts.map(account => `
+          <option value="${account.id}">${escapeHtml(account.name)}</option>
+        `).join('')}
+        <option value="new">New account…</option>
+      </select>
+      <input type="text" class="input hidden" id="upload-account-name" placeholder="Account name">
+      <span class="form-hint">Rows with an Account column go to the account named there</span>
+    </div>
     <div class="upload-zone" id="upload-zone">
-      <input type="file" id="file-input" accept=".xlsx,.xls,.xlsm" class="visually-hidden">
+      <input type="file" id="file-input" accept="${SUPPORTED_EXTENSIONS.join(',')}" class="visually-hidden" multiple>
       <div class="upload-zone-icon">
         <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
@@ -27,8 +67,8 @@ export function renderFileUpload(options = {}) {
         </svg>
       </div>
       <h3 class="upload-zone-title">Upload Your Finance Data</h3>
-      <p class="upload-zone-subtitle">Drag and drop your Excel file here, or click to browse</p>
-      <p class="upload-zone-formats">Supported formats: .xlsx, .xls</p>
+      <p class="upload-zone-subtitle">Drag and drop your spreadsheets or bank statements here, or click to browse</p>
+      <p class="upload-zone-formats">Supported formats: Excel, CSV/TSV, OFX/QFX, QIF, CAMT.053, MT940</p>
     </div>
     
     <div class="upload-info">
@@ -56,7 +96,7 @@ export function renderFileUpload(options = {}) {
           <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <polyline points="20 6 9 17 4 12"></polyline>
           </svg>
-          Amount column (required)
+          Amount column, or separate Debit/Credit columns (required)
         </li>
       </ul>
       <button class="btn btn-secondary" id="btn-download-sample" style="margin-top: 1rem;">
@@ -67,12 +107,46 @@ export function renderFileUpload(options = {}) {
         </svg>
         Download Sample Template
       </button>
+      <button class="btn btn-secondary" id="btn-paste" style="margin-top: 1rem;">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"></path>
+          <rect x="8" y="2" width="8" height="4" rx="1" ry="1"></rect>
+        </svg>
+        Paste Transactions
+      </button>
     </div>
   `;
 
     const uploadZone = document.getElementById('upload-zone');
     const fileInput = document.getElementById('file-input');
     const downloadBtn = document.getElementById('btn-download-sample');
+    const cancelBtn = document.getElementById('btn-upload-cancel');
+    const pasteBtn = document.getElementById('btn-paste');
+    const accountSelect = document.getElementById('upload-account');
+    const accountNameInput = document.getElementById('upload-account-name');
+
+    // Existing data is merged into unless the user chooses to replace it
+    const getMode = () => {
+        const checked = container.querySelector('input[name="upload-mode"]:checked');
+        return checked ? checked.value : 'replace';
+    };
+
+    accountSelect.addEventListener('change', () => {
+        accountNameInput.classList.toggle('hidden', accountSelect.value !== 'new');
+        if (accountSelect.value === 'new') accountNameInput.focus();
+    });
+
+    // Where the import goes: the mode plus the account for rows without an Account column
+    const getDestination = () => {
+        let account = null;
+        if (accountSelect.value === 'new') {
+            const name = accountNameInput.value.trim();
+            account = name ? { name } : null;
+        } else if (accountSelect.value) {
+            account = { id: parseInt(accountSelect.value) };
+        }
+        return { mode: getMode(), account };
+    };
 
     // Click to upload
     uploadZone.addEventListener('click', () => {
@@ -81,9 +155,9 @@ export function renderFileUpload(options = {}) {
 
     // File input change
     fileInput.addEventListener('change', async (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            await handleFile(file, onFileLoaded, onError);
+        const files = Array.from(e.target.files);
+        if (files.length > 0) {
+            await handleFiles(files, getDestination(), onFileLoaded, onError);
         }
     });
 
@@ -101,9 +175,9 @@ export function renderFileUpload(options = {}) {
         e.preventDefault();
         uploadZone.classList.remove('drag-over');
 
-        const file = e.dataTransfer.files[0];
-        if (file) {
-            await handleFile(file, onFileLoaded, onError);
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length > 0) {
+            await handleFiles(files, getDestination(), onFileLoaded, onError);
         }
     });
 
@@ -112,41 +186,122 @@ export function renderFileUpload(options = {}) {
         e.stopPropagation();
         downloadSampleTemplate();
     });
+
+    // Paste from the clipboard
+    pasteBtn.addEventListener('click', async () => {
+        await handlePaste(getDestination(), onFileLoaded, onError);
+    });
+
+    if (cancelBtn && onCancel) {
+        cancelBtn.addEventListener('click', () => onCancel());
+    }
 }
 
 /**
- * Handle file upload
- * @param {File} file - The uploaded file
+ * Handle uploaded files: parse each in turn, then merge them into one import
+ * @param {Array} files - The uploaded files
+ * @param {Object} destination - Object with the import mode ('append' or 'replace') and account
  * @param {Function} onFileLoaded - Success callback
  * @param {Function} onError - Error callback
  */
-async function handleFile(file, onFileLoaded, onError) {
+async function handleFiles(files, destination, onFileLoaded, onError) {
     // Show loading state
     const uploadZone = document.getElementById('upload-zone');
     const originalContent = uploadZone.innerHTML;
+    const isBatch = files.length > 1;
 
     uploadZone.innerHTML = `
     <div class="spinner"></div>
-    <h3 class="upload-zone-title" style="margin-top: 1rem;">Processing file...</h3>
-    <p class="upload-zone-subtitle">${file.name}</p>
+    <h3 class="upload-zone-title" style="margin-top: 1rem;">Processing ${isBatch ? `${files.length} files` : 'file'}...</h3>
+    ${isBatch ? `
+      <ul class="upload-queue">
+        ${files.map((file, index) => `
+          <li class="upload-queue-item">
+            <span class="upload-queue-name">${escapeHtml(file.name)}</span>
+            <span class="upload-queue-status" id="upload-queue-status-${index}">Queued</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : `<p class="upload-zone-subtitle">${escapeHtml(files[0].name)}</p>`}
+    <div class="progress" role="progressbar" aria-label="Import progress">
+      <div class="progress-bar" id="upload-progress-bar"></div>
+    </div>
+    <p class="upload-zone-formats" id="upload-progress-text">Reading file...</p>
+    <button class="btn btn-ghost btn-sm" id="btn-cancel-import">Cancel</button>
   `;
 
+    let importJob = null;
+    let cancelled = false;
+
+    document.getElementById('btn-cancel-import').addEventListener('click', (e) => {
+        // Keep the click from reaching the upload zone and opening the file picker
+        e.stopPropagation();
+        cancelled = true;
+        if (importJob) importJob.cancel();
+    });
+
     try {
-        // Validate file type
-        if (!isValidExcelFile(file)) {
-            throw new Error('Invalid file type. Please upload an Excel file (.xlsx or .xls)');
-        }
+        // Sheets and files sharing a header row are only mapped once per import
+        const mappingCache = new Map();
+        const results = [];
+        const failures = [];
+
+        for (let index = 0; index < files.length && !cancelled; index++) {
+            const file = files[index];
+            setQueueStatus(index, 'Parsing...', 'active');
+
+            try {
+                // Validate file type
+                if (!isSupportedFile(file)) {
+                    throw new Error('Invalid file type. Please upload an Excel, CSV, OFX, QIF, CAMT.053 or MT940 file');
+                }
+
+                // Parse file in the import worker
+                importJob = startImport(file, {
+                    resolveMapping: (preview) => resolveColumnMapping(preview, mappingCache),
+                    resolveDateOrder: showDateOrderPrompt,
+                    selectSheets: showSheetPicker,
+                    onProgress: updateProgress
+                });
+                const result = await importJob.result;
 
-        // Parse file
-        const result = await parseExcelFile(file);
+                // Locked while parsing: the page has been cleared, so drop the import quietly
+                if (await isStorageLocked()) return;
 
-        if (result.transactions.length === 0) {
-            throw new Error('No valid transactions found in the file. Please check the file format.');
+                // User cancelled the sheet selection, column mapping or date format for this file
+                if (!result) {
+                    setQueueStatus(index, 'Skipped', 'error');
+                    continue;
+                }
+
+                results.push(result);
+                setQueueStatus(index, `${formatNumber(result.parsedRows)} of ${formatNumber(result.totalRows)} rows`, 'done');
+            } catch (error) {
+                // One bad file does not stop a batch
+                if (!isBatch) throw error;
+                failures.push(file.name);
+                setQueueStatus(index, error.message, 'error');
+            }
+        }
+
+        // User cancelled the import, or every file was skipped
+        if (cancelled || results.length === 0) {
+            if (failures.length > 0 && !cancelled) {
+                throw new Error(`None of the ${files.length} files could be imported`);
+            }
+            uploadZone.innerHTML = originalContent;
+            return;
         }
 
-        if (onFileLoaded) {
-            onFileLoaded(result);
+        const result = isBatch ? mergeImportResults(results) : results[0];
+        if (failures.length > 0) {
+            result.failedFiles = failures;
         }
+
+        await completeImport(result, destination, onFileLoaded);
+
+        // The dashboard replaces this view; if the import was cancelled, start over
+        uploadZone.innerHTML = originalContent;
     } catch (error) {
         // Restore original content and show error
         uploadZone.innerHTML = originalContent;
@@ -158,3 +313,163 @@ async function handleFile(file, onFileLoaded, onError) {
         }
     }
 }
+
+/**
+ * Handle the paste action: read pasted rows, then import them like a file
+ * @param {Object} destination - Object with the import mode ('append' or 'replace') and account
+ * @param {Function} onFileLoaded - Success callback
+ * @param {Function} onError - Error callback
+ */
+async function handlePaste(destination, onFileLoaded, onError) {
+    const rows = await showPasteImport();
+    if (!rows) return;
+
+    try {
+        const mappingCache = new Map();
+        const result = await parsePastedRows(rows, {
+            resolveMapping: (preview) => resolveColumnMapping(preview, mappingCache),
+            resolveDateOrder: showDateOrderPrompt
+        });
+
+        // User cancelled the column mapping or date format, or the data was locked meanwhile
+        if (!result || await isStorageLocked()) return;
+
+        await completeImport(result, destination, onFileLoaded);
+    } catch (error) {
+        if (onError) {
+            onError(error.message);
+        } else {
+            alert(`Error: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Finish an import: report skipped rows and suspicious values, then hand the
+ * result to the app. Nothing is saved if the user cancels the report.
+ * @param {Object} result - Parse result
+ * @param {Object} destination - Object with the import mode ('append' or 'replace') and account
+ * @param {Function} onFileLoaded - Success callback
+ */
+async function completeImport(result, destination, onFileLoaded) {
+    const warnings = getImportWarnings(result.transactions);
+    if ((result.rejected || []).length > 0 || warnings.length > 0) {
+        const report = await showImportReport({ result, warnings });
+        if (!report || await isStorageLocked()) return;
+        includeCorrectedRows(result, report);
+    }
+
+    if (result.transactions.length === 0) {
+        throw new Error('No valid transactions found in the file. Please check the file format.');
+    }
+
+    if (onFileLoaded) {
+        await onFileLoaded(result, destination.mode, destination.account);
+    }
+}
+
+/**
+ * Update a file's entry in the batch queue
+ * @param {number} index - File index
+ * @param {string} text - Status text
+ * @param {string} state - 'active', 'done' or 'error'
+ */
+function setQueueStatus(index, text, state) {
+    const status = document.getElementById(`upload-queue-status-${index}`);
+    if (!status) return;
+
+    status.textContent = text;
+    status.className = `upload-queue-status upload-queue-${state}`;
+}
+
+/**
+ * Show parse progress in the upload zone
+ * @param {Object} progress - Object with rowsRead and rowsParsed
+ */
+function updateProgress(progress) {
+    const bar = document.getElementById('upload-progress-bar');
+    const text = document.getElementById('upload-progress-text');
+    if (!bar || !text) return;
+
+    const { rowsRead, rowsParsed } = progress;
+    const percent = rowsRead > 0 ? Math.round((rowsParsed / rowsRead) * 100) : 0;
+
+    bar.style.width = `${percent}%`;
+    bar.parentElement.setAttribute('aria-valuenow', percent);
+    text.textContent = rowsParsed > 0
+        ? `Parsed ${formatNumber(rowsParsed)} of ${formatNumber(rowsRead)} rows`
+        : `Read ${formatNumber(rowsRead)} rows`;
+}
+
+/**
+ * Add rows corrected in the import report to the parse result
+ * @param {Object} result - Parse result
+ * @param {Object} report - Object with included transactions and still-skipped rows
+ */
+function includeCorrectedRows(result, report) {
+    let nextId = result.transactions.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+
+    report.included.forEach(transaction => {
+        result.transactions.push({ ...transaction, id: nextId++ });
+    });
+
+    result.rejected = report.skipped;
+    result.parsedRows = result.transactions.length;
+}
+
+/**
+ * Resolve the column mapping for a file: mapping already chosen during this
+ * import, saved profile, automatic detection, then the mapping wizard
+ * @param {Object} preview - Mapping preview from the parser
+ * @param {Map} cache - Mappings chosen earlier in this import, keyed by fingerprint
+ * @returns {Promise<Object|null>} Object with columnMap and profileName, or null if cancelled
+ */
+async function resolveColumnMapping(preview, cache) {
+    if (cache.has(preview.fingerprint)) {
+        return cache.get(preview.fingerprint);
+    }
+
+    const mapping = await chooseColumnMapping(preview);
+    if (mapping) {
+        cache.set(preview.fingerprint, mapping);
+    }
+
+    return mapping;
+}
+
+/**
+ * Choose the column mapping for a header row not seen earlier in the import
+ * @param {Object} preview - Mapping preview from the parser
+ * @returns {Promise<Object|null>} Object with columnMap and profileName, or null if cancelled
+ */
+async function chooseColumnMapping(preview) {
+    const profile = findImportProfile(preview.fingerprint);
+    if (profile) {
+        return {
+            columnMap: profile.columnMap,
+            profileName: profile.name,
+            numberFormat: profile.numberFormat,
+            dateOrder: profile.dateOrder
+        };
+    }
+
+    if (preview.complete) {
+        return { columnMap: preview.columnMap };
+    }
+
+    const choice = await showColumnMapper(preview);
+
+    // A profile saved while locked would be lost, or land outside the encrypted store
+    if (choice && choice.profileName && !(await isStorageLocked())) {
+        saveImportProfile({
+            name: choice.profileName,
+            fingerprint: preview.fingerprint,
+            headers: preview.headers,
+            columnMap: choice.columnMap,
+            numberFormat: choice.numberFormat,
+            dateOrder: choice.dateOrder
+        });
+    }
+
+    return choice;
+}
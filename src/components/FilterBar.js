@@ -1,20 +1,26 @@
 /**
  * Filter Bar Component
  */
-import { getUniqueCategories, getDateRange } from '../utils/calculations.js';
+import { getUniqueCategories, getUniqueSheets, getUniqueSourceFiles, getDateRange } from '../utils/calculations.js';
+import { escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import { getCategoryTree } from '../utils/categories.js';
 
 /**
  * Render filter bar
  * @param {Array} transactions - Array of transaction objects
  * @param {Object} filters - Current filter values
  * @param {Function} onFilterChange - Callback when filters change
+ * @param {Array} accounts - Accounts to offer in the account selector
  */
-export function renderFilterBar(transactions, filters = {}, onFilterChange) {
+export function renderFilterBar(transactions, filters = {}, onFilterChange, accounts = []) {
     const container = document.getElementById('filter-bar');
     if (!container) return;
 
-    const categories = getUniqueCategories(transactions);
+    const categories = getCategoryTree(getUniqueCategories(transactions));
+    const sheets = getUniqueSheets(transactions);
+    const sourceFiles = getUniqueSourceFiles(transactions);
     const dateRange = getDateRange(transactions);
+    const hasUnassigned = transactions.some(t => t.account === undefined);
 
     // Format dates for input
     const formatDateForInput = (date) => {
@@ -39,7 +45,7 @@ export function renderFilterBar(transactions, filters = {}, onFilterChange) {
       <select class="input select" id="filter-category">
         <option value="all">All Categories</option>
         ${categories.map(cat => `
-          <option value="${cat}" ${filters.category === cat ? 'selected' : ''}>${cat}</option>
+          <option value="${escapeAttribute(cat.name)}" ${filters.category === cat.name ? 'selected' : ''}>${'&nbsp;&nbsp;&nbsp;'.repeat(cat.depth)}${escapeHtml(cat.label)}</option>
         `).join('')}
       </select>
     </div>
@@ -50,9 +56,47 @@ export function renderFilterBar(transactions, filters = {}, onFilterChange) {
         <option value="all" ${!filters.type || filters.type === 'all' ? 'selected' : ''}>All Types</option>
         <option value="income" ${filters.type === 'income' ? 'selected' : ''}>Income</option>
         <option value="expense" ${filters.type === 'expense' ? 'selected' : ''}>Expense</option>
+        <option value="transfer" ${filters.type === 'transfer' ? 'selected' : ''}>Transfer</option>
       </select>
     </div>
     
+    ${accounts.length > 0 ? `
+    <div class="filter-group">
+      <label class="filter-label">Account:</label>
+      <select class="input select" id="filter-account">
+        <option value="all">All Accounts</option>
+        ${accounts.map(account => `
+          <option value="${account.id}" ${filters.account === String(account.id) ? 'selected' : ''}>${escapeHtml(account.name)}</option>
+        `).join('')}
+        ${hasUnassigned ? `<option value="none" ${filters.account === 'none' ? 'selected' : ''}>No Account</option>` : ''}
+      </select>
+    </div>
+    ` : ''}
+
+    ${sheets.length > 1 ? `
+    <div class="filter-group">
+      <label class="filter-label">Sheet:</label>
+      <select class="input select" id="filter-sheet">
+        <option value="all">All Sheets</option>
+        ${sheets.map(sheet => `
+          <option value="${escapeAttribute(sheet)}" ${filters.sheet === sheet ? 'selected' : ''}>${escapeHtml(sheet)}</option>
+        `).join('')}
+      </select>
+    </div>
+    ` : ''}
+
+    ${sourceFiles.length > 1 ? `
+    <div class="filter-group">
+      <label class="filter-label">File:</label>
+      <select class="input select" id="filter-source-file">
+        <option value="all">All Files</option>
+        ${sourceFiles.map(file => `
+          <option value="${escapeAttribute(file)}" ${filters.sourceFile === file ? 'selected' : ''}>${escapeHtml(file)}</option>
+        `).join('')}
+      </select>
+    </div>
+    ` : ''}
+
     <div class="filter-group">
       <label class="filter-label">From:</label>
       <input 
@@ -96,6 +140,9 @@ function attachFilterEventListeners(onFilterChange) {
     const searchInput = document.getElementById('filter-search');
     const categorySelect = document.getElementById('filter-category');
     const typeSelect = document.getElementById('filter-type');
+    const accountSelect = document.getElementById('filter-account');
+    const sheetSelect = document.getElementById('filter-sheet');
+    const sourceFileSelect = document.getElementById('filter-source-file');
     const dateFromInput = document.getElementById('filter-date-from');
     const dateToInput = document.getElementById('filter-date-to');
     const resetBtn = document.getElementById('filter-reset');
@@ -110,7 +157,7 @@ function attachFilterEventListeners(onFilterChange) {
     });
 
     // Immediate changes for selects and dates
-    [categorySelect, typeSelect, dateFromInput, dateToInput].forEach(el => {
+    [categorySelect, typeSelect, accountSelect, sheetSelect, sourceFileSelect, dateFromInput, dateToInput].forEach(el => {
         el?.addEventListener('change', () => {
             triggerFilterChange(onFilterChange);
         });
@@ -121,6 +168,9 @@ function attachFilterEventListeners(onFilterChange) {
         if (searchInput) searchInput.value = '';
         if (categorySelect) categorySelect.value = 'all';
         if (typeSelect) typeSelect.value = 'all';
+        if (accountSelect) accountSelect.value = 'all';
+        if (sheetSelect) sheetSelect.value = 'all';
+        if (sourceFileSelect) sourceFileSelect.value = 'all';
         if (dateFromInput) dateFromInput.value = '';
         if (dateToInput) dateToInput.value = '';
         triggerFilterChange(onFilterChange);
@@ -147,6 +197,9 @@ export function getFilterValues() {
         search: document.getElementById('filter-search')?.value || '',
         category: document.getElementById('filter-category')?.value || 'all',
         type: document.getElementById('filter-type')?.value || 'all',
+        account: document.getElementById('filter-account')?.value || 'all',
+        sheet: document.getElementById('filter-sheet')?.value || 'all',
+        sourceFile: document.getElementById('filter-source-file')?.value || 'all',
         dateFrom: document.getElementById('filter-date-from')?.value || '',
         dateTo: document.getElementById('filter-date-to')?.value || ''
     };
@@ -7,14 +7,61 @@ import { downloadSampleTemplate } from '../utils/exportData.js';
  * Render the header component
  * @param {Object} options - Component options
  * @param {boolean} options.hasData - Whether data is loaded
+ * @param {boolean} options.locked - Whether encrypted data is locked; hides all actions
  * @param {Function} options.onClearData - Callback for clearing data
  * @param {Function} options.onExport - Callback for exporting data
+ * @param {Function} options.onAddData - Callback for importing more data
+ * @param {Function} options.onManageAccounts - Callback for opening the account manager
+ * @param {Function} options.onReviewTransfers - Callback for reviewing detected transfers
+ * @param {Function} options.onManageCategories - Callback for opening the category manager
+ * @param {Function} options.onManageRules - Callback for opening the rules editor
+ * @param {Function} options.onReviewSuggestions - Callback for reviewing suggested categories
+ * @param {Function} options.onManagePayees - Callback for opening the payee aliases
+ * @param {Function} options.onSecurity - Callback for opening the security settings
+ * @param {Function} options.onBackup - Callback for downloading a backup
+ * @param {Function} options.onRestore - Callback with the backup file chosen for restoring
  */
 export function renderHeader(options = {}) {
   const container = document.getElementById('header');
   if (!container) return;
 
-  const { hasData = false, onClearData, onExport } = options;
+  const {
+    hasData = false,
+    locked = false,
+    onClearData,
+    onExport,
+    onAddData,
+    onManageAccounts,
+    onReviewTransfers,
+    onManageCategories,
+    onManageRules,
+    onReviewSuggestions,
+    onManagePayees,
+    onSecurity,
+    onBackup,
+    onRestore
+  } = options;
+
+  const securityButton = `
+    <button class="btn btn-secondary" id="btn-security">
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+        <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+      </svg>
+      <span>Security</span>
+    </button>
+  `;
+
+  const restoreButton = `
+    <button class="btn btn-secondary" id="btn-restore">
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="1 4 1 10 7 10"></polyline>
+        <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+      </svg>
+      <span>Restore</span>
+    </button>
+    <input type="file" id="restore-file" accept=".json,application/json" hidden>
+  `;
 
   container.innerHTML = `
     <div class="header-brand">
@@ -27,7 +74,62 @@ export function renderHeader(options = {}) {
       <h1 class="header-title">Finance Dashboard</h1>
     </div>
     <div class="header-actions">
-      ${hasData ? `
+      ${locked ? '' : hasData ? `
+        <button class="btn btn-secondary" id="btn-add-data">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="12" y1="5" x2="12" y2="19"></line>
+            <line x1="5" y1="12" x2="19" y2="12"></line>
+          </svg>
+          <span>Add Data</span>
+        </button>
+        <button class="btn btn-secondary" id="btn-accounts">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="2" y="5" width="20" height="14" rx="2"></rect>
+            <line x1="2" y1="10" x2="22" y2="10"></line>
+          </svg>
+          <span>Accounts</span>
+        </button>
+        <button class="btn btn-secondary" id="btn-transfers">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="17 1 21 5 17 9"></polyline>
+            <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+            <polyline points="7 23 3 19 7 15"></polyline>
+            <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+          </svg>
+          <span>Transfers</span>
+        </button>
+        <button class="btn btn-secondary" id="btn-categories">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="3" y="3" width="7" height="7"></rect>
+            <rect x="14" y="3" width="7" height="7"></rect>
+            <rect x="14" y="14" width="7" height="7"></rect>
+            <rect x="3" y="14" width="7" height="7"></rect>
+          </svg>
+          <span>Categories</span>
+        </button>
+        <button class="btn btn-secondary" id="btn-rules">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"></path>
+            <line x1="7" y1="7" x2="7.01" y2="7"></line>
+          </svg>
+          <span>Rules</span>
+        </button>
+        <button class="btn btn-secondary" id="btn-suggestions">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M9 18h6"></path>
+            <path d="M10 22h4"></path>
+            <path d="M12 2a7 7 0 0 0-4 12.74V16h8v-1.26A7 7 0 0 0 12 2z"></path>
+          </svg>
+          <span>Suggestions</span>
+        </button>
+        <button class="btn btn-secondary" id="btn-payees">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M3 9l1-5h16l1 5"></path>
+            <path d="M4 9v11h16V9"></path>
+            <path d="M9 20v-6h6v6"></path>
+          </svg>
+          <span>Payees</span>
+        </button>
         <button class="btn btn-secondary" id="btn-export-excel">
           <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
@@ -36,6 +138,14 @@ export function renderHeader(options = {}) {
           </svg>
           <span>Export</span>
         </button>
+        <button class="btn btn-secondary" id="btn-backup">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"></path>
+            <polyline points="17 21 17 13 7 13 7 21"></polyline>
+            <polyline points="7 3 7 8 15 8"></polyline>
+          </svg>
+          <span>Backup</span>
+        </button>
         <button class="btn btn-ghost" id="btn-clear-data">
           <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M3 6h18"></path>
@@ -56,6 +166,8 @@ export function renderHeader(options = {}) {
           <span>Download Template</span>
         </button>
       `}
+      ${!locked && onRestore ? restoreButton : ''}
+      ${!locked && onSecurity ? securityButton : ''}
     </div>
   `;
 
@@ -67,6 +179,82 @@ export function renderHeader(options = {}) {
     });
   }
 
+  const addBtn = document.getElementById('btn-add-data');
+  if (addBtn && onAddData) {
+    addBtn.addEventListener('click', () => {
+      onAddData();
+    });
+  }
+
+  const accountsBtn = document.getElementById('btn-accounts');
+  if (accountsBtn && onManageAccounts) {
+    accountsBtn.addEventListener('click', () => {
+      onManageAccounts();
+    });
+  }
+
+  const transfersBtn = document.getElementById('btn-transfers');
+  if (transfersBtn && onReviewTransfers) {
+    transfersBtn.addEventListener('click', () => {
+      onReviewTransfers();
+    });
+  }
+
+  const categoriesBtn = document.getElementById('btn-categories');
+  if (categoriesBtn && onManageCategories) {
+    categoriesBtn.addEventListener('click', () => {
+      onManageCategories();
+    });
+  }
+
+  const rulesBtn = document.getElementById('btn-rules');
+  if (rulesBtn && onManageRules) {
+    rulesBtn.addEventListener('click', () => {
+      onManageRules();
+    });
+  }
+
+  const suggestionsBtn = document.getElementById('btn-suggestions');
+  if (suggestionsBtn && onReviewSuggestions) {
+    suggestionsBtn.addEventListener('click', () => {
+      onReviewSuggestions();
+    });
+  }
+
+  const payeesBtn = document.getElementById('btn-payees');
+  if (payeesBtn && onManagePayees) {
+    payeesBtn.addEventListener('click', () => {
+      onManagePayees();
+    });
+  }
+
+  const securityBtn = document.getElementById('btn-security');
+  if (securityBtn && onSecurity) {
+    securityBtn.addEventListener('click', () => {
+      onSecurity();
+    });
+  }
+
+  const backupBtn = document.getElementById('btn-backup');
+  if (backupBtn && onBackup) {
+    backupBtn.addEventListener('click', () => {
+      onBackup();
+    });
+  }
+
+  const restoreBtn = document.getElementById('btn-restore');
+  const restoreInput = document.getElementById('restore-file');
+  if (restoreBtn && restoreInput && onRestore) {
+    restoreBtn.addEventListener('click', () => {
+      restoreInput.click();
+    });
+    restoreInput.addEventListener('change', () => {
+      const file = restoreInput.files[0];
+      restoreInput.value = '';
+      if (file) onRestore(file);
+    });
+  }
+
   const exportBtn = document.getElementById('btn-export-excel');
   if (exportBtn && onExport) {
     exportBtn.addEventListener('click', () => {
@@ -0,0 +1,192 @@
+/**
+ * Import Report Component - skipped rows and warnings after parsing
+ */
+import { openModal } from './Modal.js';
+import { formatCurrency, formatDate, formatNumber, parseDate, toInputDate, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import { buildCorrectedTransaction } from '../utils/validation.js';
+import { exportRejectedRows } from '../utils/exportData.js';
+
+/**
+ * Show the import report
+ * @param {Object} options - Report options
+ * @param {Object} options.result - Parse result with transactions, rejected rows and totalRows
+ * @param {Array} options.warnings - Result of getImportWarnings()
+ * @returns {Promise<Object|null>} Object with the corrected transactions to include and the
+ *   rejected rows still skipped, or null if the import was cancelled
+ */
+export function showImportReport(options) {
+    return new Promise((resolve) => {
+        const { result, warnings } = options;
+        const rejected = result.rejected || [];
+
+        const modal = openModal({
+            title: 'Import Report',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Read ${formatNumber(result.transactions.length)} of ${formatNumber(result.totalRows)} rows from
+          <strong>${escapeHtml(result.fileName)}</strong>.
+          ${formatNumber(rejected.length)} skipped, ${formatNumber(warnings.length)} with warnings.
+        </p>
+
+        ${rejected.length > 0 ? `
+          <div class="report-section-header">
+            <h4 class="report-section-title">Skipped Rows</h4>
+            <button class="btn btn-secondary btn-sm" id="report-download">Download as Spreadsheet</button>
+          </div>
+          <p class="form-hint">Correct a row and tick Include to import it anyway. Negative amounts are expenses.</p>
+          <div class="table-wrapper report-table-wrapper">
+            <table class="table report-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Values in File</th>
+                  <th>Reason</th>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Amount</th>
+                  <th>Include</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rejected.map((reject, index) => `
+                  <tr data-index="${index}">
+                    <td>${formatRowLabel(reject, Boolean(result.fileNames))}</td>
+                    <td class="report-values">${formatValues(reject.values)}</td>
+                    <td><span class="badge badge-error">${escapeHtml(reject.reason)}</span></td>
+                    <td><input type="date" class="input report-date" value="${toInputDate(reject.draft.date)}"></td>
+                    <td><input type="text" class="input report-description" value="${escapeAttribute(reject.draft.description)}"></td>
+                    <td><input type="number" step="0.01" class="input report-amount" value="${reject.draft.amount ?? ''}"></td>
+                    <td><input type="checkbox" class="report-include" aria-label="Include row ${reject.row}"></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+
+        ${warnings.length > 0 ? `
+          <h4 class="report-section-title">Warnings</h4>
+          <p class="form-hint">These rows were imported but may need checking.</p>
+          <div class="table-wrapper report-table-wrapper">
+            <table class="table report-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th style="text-align: right;">Amount</th>
+                  <th>Warning</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${warnings.map(({ transaction, reasons }) => `
+                  <tr>
+                    <td>${formatDate(transaction.date, 'medium')}</td>
+                    <td>${escapeHtml(transaction.description || '-')}</td>
+                    <td class="amount-cell ${transaction.type === 'Income' ? 'amount-income' : 'amount-expense'}" style="text-align: right;">
+                      ${transaction.type === 'Income' ? '+' : '-'}${formatCurrency(transaction.amount)}
+                    </td>
+                    <td>${reasons.map(reason => `<span class="badge badge-warning">${reason}</span>`).join(' ')}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+
+        <p class="form-error hidden" id="report-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="report-cancel">Cancel Import</button>
+        <button class="btn btn-primary" id="report-confirm">Continue</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const downloadBtn = modal.element.querySelector('#report-download');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => {
+                exportRejectedRows(rejected, `${getBaseName(result.fileName)}_skipped_rows`);
+            });
+        }
+
+        modal.element.querySelector('#report-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#report-confirm').addEventListener('click', () => {
+            const errorEl = modal.element.querySelector('#report-error');
+            const included = [];
+            const skipped = [];
+
+            for (const tr of modal.element.querySelectorAll('.report-table tr[data-index]')) {
+                const reject = rejected[parseInt(tr.dataset.index)];
+
+                if (!tr.querySelector('.report-include').checked) {
+                    skipped.push(reject);
+                    continue;
+                }
+
+                const { transaction, error } = buildCorrectedTransaction({
+                    date: parseDate(tr.querySelector('.report-date').value),
+                    description: tr.querySelector('.report-description').value,
+                    category: reject.draft.category,
+                    amount: parseFloat(tr.querySelector('.report-amount').value)
+                });
+
+                if (error) {
+                    errorEl.textContent = `Row ${reject.row}: ${error}.`;
+                    errorEl.classList.remove('hidden');
+                    return;
+                }
+
+                if (reject.sheet) transaction.sheet = reject.sheet;
+                if (reject.sourceFile) transaction.sourceFile = reject.sourceFile;
+                if (reject.draft.account) transaction.account = reject.draft.account;
+                included.push(transaction);
+            }
+
+            modal.close();
+            resolve({ included, skipped });
+        });
+    });
+}
+
+/**
+ * Label a rejected row with its file (batch imports), sheet and row number
+ * @param {Object} reject - Rejected row
+ * @param {boolean} showFile - Whether the import spans several files
+ * @returns {string} HTML
+ */
+function formatRowLabel(reject, showFile) {
+    const source = [showFile ? reject.sourceFile : null, reject.sheet].filter(Boolean);
+    return source.length > 0
+        ? `${escapeHtml(source.join(' / '))}<span class="form-hint">Row ${reject.row}</span>`
+        : String(reject.row);
+}
+
+/**
+ * Render a row's raw cells as "Header: value" pairs
+ * @param {Object} values - Raw values keyed by header
+ * @returns {string} HTML
+ */
+function formatValues(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== '')
+        .map(([header, value]) => {
+            const text = value instanceof Date ? formatDate(value, 'medium') : String(value);
+            return `<span class="report-value"><strong>${escapeHtml(header)}:</strong> ${escapeHtml(text)}</span>`;
+        })
+        .join('');
+}
+
+/**
+ * Strip the extension from a file name
+ * @param {string} fileName - File name
+ * @returns {string} Base name
+ */
+function getBaseName(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(0, dot) : fileName;
+}
@@ -0,0 +1,158 @@
+/**
+ * Import Review Component - new, duplicate and conflicting rows before merging
+ */
+import { openModal } from './Modal.js';
+import { formatCurrency, formatDate, formatNumber, escapeHtml } from '../utils/formatters.js';
+
+// Actions offered per status; the first is the default
+const ACTIONS = {
+    new: [
+        { value: 'add', label: 'Add' },
+        { value: 'skip', label: 'Skip' }
+    ],
+    duplicate: [
+        { value: 'skip', label: 'Skip' },
+        { value: 'add', label: 'Add anyway' }
+    ],
+    conflict: [
+        { value: 'skip', label: 'Keep existing' },
+        { value: 'replace', label: 'Replace existing' },
+        { value: 'add', label: 'Add as new' }
+    ]
+};
+
+/**
+ * Show the import review
+ * @param {Object} options - Review options
+ * @param {string} options.fileName - Source file name
+ * @param {Object} options.review - Result of reviewImport()
+ * @returns {Promise<Object|null>} Object with additions and replacements, or null if cancelled
+ */
+export function showImportReview(options) {
+    return new Promise((resolve) => {
+        const { fileName, review } = options;
+        const { rows, counts } = review;
+
+        // Conflicts need a decision, so list them first
+        const order = { conflict: 0, duplicate: 1, new: 2 };
+        const sorted = rows
+            .map((row, index) => ({ ...row, index }))
+            .sort((a, b) => order[a.status] - order[b.status] || a.transaction.date - b.transaction.date);
+
+        const modal = openModal({
+            title: 'Review Import',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          <strong>${escapeHtml(fileName)}</strong>:
+          ${formatNumber(counts.new)} new,
+          ${formatNumber(counts.duplicate)} duplicate${counts.likely > 0 ? ` (${formatNumber(counts.likely)} likely)` : ''},
+          ${formatNumber(counts.conflict)} conflicting.
+          Nothing is saved until you confirm.
+        </p>
+        <div class="form-field">
+          <label class="label" for="review-filter">Show</label>
+          <select class="input select" id="review-filter">
+            <option value="all">All rows (${formatNumber(rows.length)})</option>
+            <option value="new">New (${formatNumber(counts.new)})</option>
+            <option value="duplicate">Duplicates (${formatNumber(counts.duplicate)})</option>
+            <option value="conflict">Conflicts (${formatNumber(counts.conflict)})</option>
+          </select>
+        </div>
+        <div class="table-wrapper review-table-wrapper">
+          <table class="table review-table">
+            <thead>
+              <tr>
+                <th>Status</th>
+                <th>Date</th>
+                <th>Description</th>
+                <th style="text-align: right;">Amount</th>
+                <th>Existing Transaction</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sorted.map(row => `
+                <tr data-status="${row.status}">
+                  <td>${getStatusBadge(row)}</td>
+                  <td>${formatDate(row.transaction.date, 'medium')}</td>
+                  <td>${escapeHtml(row.transaction.description || '-')}</td>
+                  <td class="amount-cell" style="text-align: right;">${formatSignedAmount(row.transaction)}</td>
+                  <td>
+                    ${row.match ? `
+                      ${formatDate(row.match.date, 'medium')} &middot; ${escapeHtml(row.match.description || '-')}
+                      &middot; ${formatSignedAmount(row.match)}
+                      <span class="form-hint">${escapeHtml(row.reason)}</span>
+                    ` : '<span class="form-hint">None</span>'}
+                  </td>
+                  <td>
+                    <select class="input select review-action" data-index="${row.index}">
+                      ${ACTIONS[row.status].map(a => `<option value="${a.value}">${a.label}</option>`).join('')}
+                    </select>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="review-cancel">Cancel</button>
+        <button class="btn btn-primary" id="review-confirm">Merge</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const filter = modal.element.querySelector('#review-filter');
+        filter.addEventListener('change', () => {
+            modal.element.querySelectorAll('.review-table tbody tr').forEach(tr => {
+                tr.classList.toggle('hidden', filter.value !== 'all' && tr.dataset.status !== filter.value);
+            });
+        });
+
+        modal.element.querySelector('#review-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#review-confirm').addEventListener('click', () => {
+            const additions = [];
+            const replacements = [];
+
+            modal.element.querySelectorAll('.review-action').forEach(select => {
+                const row = rows[parseInt(select.dataset.index)];
+                if (select.value === 'add') {
+                    additions.push(row.transaction);
+                } else if (select.value === 'replace') {
+                    replacements.push({ existing: row.match, incoming: row.transaction });
+                }
+            });
+
+            modal.close();
+            resolve({ additions, replacements });
+        });
+    });
+}
+
+/**
+ * Render the status badge for a review row
+ * @param {Object} row - Review row
+ * @returns {string} Badge HTML
+ */
+function getStatusBadge(row) {
+    if (row.status === 'new') return '<span class="badge badge-success">New</span>';
+    if (row.status === 'conflict') return '<span class="badge badge-error">Conflict</span>';
+    return row.likely
+        ? '<span class="badge badge-warning">Likely duplicate</span>'
+        : '<span class="badge">Duplicate</span>';
+}
+
+/**
+ * Format a transaction amount with its sign and colour
+ * @param {Object} transaction - Transaction
+ * @returns {string} Amount HTML
+ */
+function formatSignedAmount(transaction) {
+    const isIncome = transaction.type === 'Income';
+    return `<span class="${isIncome ? 'amount-income' : 'amount-expense'}">${isIncome ? '+' : '-'}${formatCurrency(transaction.amount)}</span>`;
+}
@@ -0,0 +1,75 @@
+/**
+ * Lock Screen Component - asks for the passphrase before encrypted data is shown
+ */
+
+/**
+ * Render the lock screen
+ * @param {Object} options - Component options
+ * @param {Function} options.onUnlock - Called with the passphrase; resolves to true if it was accepted
+ * @param {Function} options.onErase - Called after the user confirms erasing all data
+ */
+export function renderLockScreen(options = {}) {
+    const container = document.getElementById('lock-container');
+    if (!container) return;
+
+    const { onUnlock, onErase } = options;
+
+    container.innerHTML = `
+    <form class="lock-form" id="lock-form">
+      <div class="empty-state-icon">
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+          <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+        </svg>
+      </div>
+      <h2 class="empty-state-title">Your data is locked</h2>
+      <p class="empty-state-description">Enter your passphrase to decrypt your transactions and settings.</p>
+      <input type="password" class="input lock-input" id="lock-passphrase" placeholder="Passphrase" autocomplete="current-password" required>
+      <p class="form-error hidden" id="lock-error"></p>
+      <button type="submit" class="btn btn-primary lock-submit" id="lock-submit">Unlock</button>
+      <button type="button" class="btn btn-ghost btn-sm" id="lock-erase">Forgot passphrase? Erase all data</button>
+    </form>
+  `;
+
+    const form = container.querySelector('#lock-form');
+    const input = container.querySelector('#lock-passphrase');
+    const submitBtn = container.querySelector('#lock-submit');
+    const errorEl = container.querySelector('#lock-error');
+
+    input.focus();
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!input.value) return;
+
+        // Key derivation takes a moment; keep the form from being submitted twice
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Unlocking...';
+        errorEl.classList.add('hidden');
+
+        let unlocked = false;
+        try {
+            unlocked = await onUnlock(input.value);
+        } catch (error) {
+            console.error('Failed to unlock:', error);
+            errorEl.textContent = error.message;
+            errorEl.classList.remove('hidden');
+        }
+
+        if (unlocked) return;
+
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Unlock';
+        if (errorEl.classList.contains('hidden')) {
+            errorEl.textContent = 'That passphrase is not correct.';
+            errorEl.classList.remove('hidden');
+        }
+        input.select();
+    });
+
+    container.querySelector('#lock-erase').addEventListener('click', () => {
+        if (confirm('Erase all transactions, accounts and settings? Without the passphrase they cannot be recovered.')) {
+            onErase();
+        }
+    });
+}
@@ -0,0 +1,63 @@
+/**
+ * Modal Dialog Component
+ */
+
+/**
+ * Open a modal dialog
+ * @param {Object} options - Modal options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.content - HTML for the dialog body
+ * @param {string} options.footer - HTML for the dialog footer
+ * @param {string} options.size - 'md' or 'lg'
+ * @param {Function} options.onDismiss - Callback when closed via the close button or Escape
+ * @returns {Object} Object with the dialog element and a close function
+ */
+export function openModal(options = {}) {
+    const { title = '', content = '', footer = '', size = 'md', onDismiss } = options;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+    <div class="modal modal-${size}" role="dialog" aria-modal="true">
+      <div class="modal-header">
+        <h3 class="modal-title">${title}</h3>
+        <button class="btn btn-ghost btn-icon" data-modal-close aria-label="Close">
+          <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </div>
+      <div class="modal-body">${content}</div>
+      ${footer ? `<div class="modal-footer">${footer}</div>` : ''}
+    </div>
+  `;
+
+    document.body.appendChild(overlay);
+
+    const close = () => {
+        document.removeEventListener('keydown', handleKeyDown);
+        overlay.remove();
+    };
+
+    const dismiss = () => {
+        close();
+        if (onDismiss) {
+            onDismiss();
+        }
+    };
+
+    function handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            dismiss();
+        }
+    }
+
+    overlay.querySelector('[data-modal-close]').addEventListener('click', dismiss);
+    document.addEventListener('keydown', handleKeyDown);
+
+    return {
+        element: overlay.querySelector('.modal'),
+        close
+    };
+}
@@ -0,0 +1,145 @@
+/**
+ * Paste Import Component - transactions pasted from a web page or spreadsheet
+ */
+import { openModal } from './Modal.js';
+import { escapeHtml, formatNumber } from '../utils/formatters.js';
+import { parseClipboardData, hasHeaderRow, addGenericHeaders } from '../utils/clipboardParser.js';
+
+/**
+ * Number of rows shown in the preview grid
+ */
+const PREVIEW_ROW_COUNT = 10;
+
+/**
+ * Human-readable names for the pasted data layout
+ */
+const SOURCE_NAMES = {
+    table: 'HTML table',
+    tab: 'tab-separated',
+    ',': 'comma-separated',
+    ';': 'semicolon-separated',
+    '|': 'pipe-separated'
+};
+
+/**
+ * Show the paste dialog
+ * @returns {Promise<Array|null>} Pasted rows with a header row first, or null if cancelled
+ */
+export function showPasteImport() {
+    return new Promise((resolve) => {
+        let parsed = { rows: [], source: null };
+
+        const modal = openModal({
+            title: 'Paste Transactions',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Copy the transaction table from your bank's website or a spreadsheet and paste it below.
+          Tab-separated, comma-separated and HTML table data are recognised.
+        </p>
+        <div class="form-field">
+          <label class="label" for="paste-input">Pasted data</label>
+          <textarea class="input paste-input" id="paste-input" rows="6"
+            placeholder="Paste here (Ctrl+V / Cmd+V)"></textarea>
+        </div>
+        <label class="checkbox-field">
+          <input type="checkbox" id="paste-has-headers" checked>
+          First row contains column headers
+        </label>
+        <p class="form-hint" id="paste-summary">Nothing pasted yet.</p>
+        <div class="table-wrapper mapping-table-wrapper hidden" id="paste-preview-wrapper">
+          <table class="table mapping-table" id="paste-preview"></table>
+        </div>
+        <p class="form-error hidden" id="paste-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="paste-cancel">Cancel</button>
+        <button class="btn btn-primary" id="paste-confirm">Continue</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const input = modal.element.querySelector('#paste-input');
+        const headersCheckbox = modal.element.querySelector('#paste-has-headers');
+        const errorEl = modal.element.querySelector('#paste-error');
+
+        const update = (data) => {
+            parsed = data;
+            headersCheckbox.checked = hasHeaderRow(parsed.rows[0]);
+            renderPreview(modal.element, parsed, headersCheckbox.checked);
+        };
+
+        // Prefer the HTML version of a copied web table, then show it as tab-separated text
+        input.addEventListener('paste', (e) => {
+            const html = e.clipboardData.getData('text/html');
+            if (!/<table/i.test(html)) return;
+
+            e.preventDefault();
+            const data = parseClipboardData('', html);
+            input.value = data.rows.map(row => row.join('\t')).join('\n');
+            update(data);
+        });
+
+        input.addEventListener('input', () => update(parseClipboardData(input.value)));
+        headersCheckbox.addEventListener('change', () => {
+            renderPreview(modal.element, parsed, headersCheckbox.checked);
+        });
+
+        modal.element.querySelector('#paste-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#paste-confirm').addEventListener('click', () => {
+            const rows = headersCheckbox.checked ? parsed.rows : addGenericHeaders(parsed.rows);
+
+            if (rows.length < 2) {
+                errorEl.textContent = 'Paste at least one row of transactions.';
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
+            modal.close();
+            resolve(rows);
+        });
+
+        input.focus();
+    });
+}
+
+/**
+ * Render the preview grid and row summary
+ * @param {HTMLElement} element - Modal element
+ * @param {Object} parsed - Object with rows and source
+ * @param {boolean} hasHeaders - Whether the first row is the header row
+ */
+function renderPreview(element, parsed, hasHeaders) {
+    const summary = element.querySelector('#paste-summary');
+    const wrapper = element.querySelector('#paste-preview-wrapper');
+    const table = element.querySelector('#paste-preview');
+
+    const rows = hasHeaders ? parsed.rows : addGenericHeaders(parsed.rows);
+    const dataRows = rows.length - 1;
+
+    if (parsed.rows.length === 0) {
+        summary.textContent = 'Nothing pasted yet.';
+        wrapper.classList.add('hidden');
+        return;
+    }
+
+    summary.textContent = `${formatNumber(Math.max(0, dataRows))} rows, ${SOURCE_NAMES[parsed.source] || parsed.source}` +
+        (dataRows > PREVIEW_ROW_COUNT ? ` (showing the first ${PREVIEW_ROW_COUNT})` : '');
+
+    const [headers, ...body] = rows;
+    table.innerHTML = `
+    <thead>
+      <tr>${headers.map(header => `<th><span class="mapping-header">${escapeHtml(header)}</span></th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${body.slice(0, PREVIEW_ROW_COUNT).map(row => `
+        <tr>${headers.map((_, index) => `<td>${escapeHtml(row[index] ?? '')}</td>`).join('')}</tr>
+      `).join('')}
+    </tbody>
+  `;
+    wrapper.classList.remove('hidden');
+}
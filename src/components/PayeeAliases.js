@@ -0,0 +1,141 @@
+/**
+ * Payee Aliases Component - user-defined names for merchants, checked before the
+ * built-in aliases
+ */
+import { openModal } from './Modal.js';
+import { formatNumber, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import { BUILT_IN_ALIASES, buildPayeeAlias, getAliasMatches } from '../utils/payees.js';
+
+/**
+ * Show the payee alias editor
+ * @param {Object} options - Editor options
+ * @param {Array} options.aliases - Current user-defined aliases in the order they are checked
+ * @param {Array} options.transactions - All transactions, for counting the matches
+ * @returns {Promise<Array|null>} Aliases to save, or null if cancelled
+ */
+export function showPayeeAliases(options) {
+    return new Promise((resolve) => {
+        const { aliases, transactions } = options;
+        const builtIn = [...new Set(BUILT_IN_ALIASES.map(a => a.payee))];
+
+        const modal = openModal({
+            title: 'Payee Aliases',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Each transaction's payee is its description without card numbers, store numbers,
+          reference codes and card-processor prefixes such as "POS" or "SQ *".
+          An alias gives every description containing its text (whole words, ignoring case
+          and punctuation) the same payee; the first matching alias wins.
+        </p>
+        <div class="table-wrapper">
+          <table class="table alias-table">
+            <thead>
+              <tr>
+                <th>Description contains</th>
+                <th>Payee</th>
+                <th style="text-align: right;">Matches</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="alias-rows">
+              ${aliases.map(alias => renderAliasRow(alias, transactions)).join('')}
+            </tbody>
+          </table>
+        </div>
+        <button class="btn btn-secondary btn-sm alias-add" id="alias-add">Add Alias</button>
+        <p class="form-error hidden" id="alias-error"></p>
+        <p class="form-hint">Built in: ${builtIn.map(escapeHtml).join(', ')}.</p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="alias-cancel">Cancel</button>
+        <button class="btn btn-primary" id="alias-save">Save</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const el = modal.element;
+        const rows = el.querySelector('#alias-rows');
+        const errorEl = el.querySelector('#alias-error');
+
+        el.querySelector('#alias-add').addEventListener('click', () => {
+            rows.insertAdjacentHTML('beforeend', renderAliasRow({ match: '', payee: '' }, transactions));
+            rows.lastElementChild.querySelector('.alias-match').focus();
+        });
+
+        rows.addEventListener('click', (e) => {
+            if (e.target.closest('.alias-remove')) e.target.closest('tr').remove();
+        });
+
+        // Recount a row's matches once its text is entered
+        rows.addEventListener('change', (e) => {
+            const tr = e.target.closest('tr');
+            if (tr) tr.querySelector('.alias-count').textContent = countMatches(readAliasRow(tr), transactions);
+        });
+
+        el.querySelector('#alias-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        el.querySelector('#alias-save').addEventListener('click', () => {
+            const updated = [];
+
+            for (const tr of rows.querySelectorAll('tr')) {
+                const { alias, error } = buildPayeeAlias(readAliasRow(tr));
+                if (error) {
+                    errorEl.textContent = `Alias ${updated.length + 1}: ${error}.`;
+                    errorEl.classList.remove('hidden');
+                    tr.querySelector('.alias-match').focus();
+                    return;
+                }
+                updated.push(alias);
+            }
+
+            modal.close();
+            resolve(updated);
+        });
+    });
+}
+
+/**
+ * Read an editable alias row
+ * @param {HTMLElement} tr - Alias row
+ * @returns {Object} Object with match and payee
+ */
+function readAliasRow(tr) {
+    return {
+        match: tr.querySelector('.alias-match').value,
+        payee: tr.querySelector('.alias-payee').value
+    };
+}
+
+/**
+ * Render an editable alias row
+ * @param {Object} alias - Alias
+ * @param {Array} transactions - Transactions to count matches in
+ * @returns {string} HTML
+ */
+function renderAliasRow(alias, transactions) {
+    return `
+    <tr>
+      <td><input type="text" class="input alias-match" value="${escapeAttribute(alias.match)}" placeholder="e.g. amzn mktp"></td>
+      <td><input type="text" class="input alias-payee" value="${escapeAttribute(alias.payee)}" placeholder="e.g. Amazon"></td>
+      <td class="alias-count" style="text-align: right;">${countMatches(alias, transactions)}</td>
+      <td class="table-actions">
+        <button class="btn btn-ghost btn-sm alias-remove">Remove</button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Count the transactions an alias names, on its own
+ * @param {Object} alias - Object with match and payee
+ * @param {Array} transactions - Transactions to check
+ * @returns {string} Formatted count, or a dash until its text is entered
+ */
+function countMatches(alias, transactions) {
+    if (!alias.match.trim()) return '-';
+    return formatNumber(getAliasMatches(alias, transactions).length);
+}
@@ -0,0 +1,92 @@
+/**
+ * Restore Backup Component - shows what a backup contains and how to restore it
+ */
+import { openModal } from './Modal.js';
+import { formatDate, formatNumber, escapeHtml } from '../utils/formatters.js';
+
+/**
+ * Largest number of category names listed in the preview
+ */
+const MAX_LISTED_CATEGORIES = 12;
+
+/**
+ * Show the restore preview
+ * @param {Object} options - Dialog options
+ * @param {string} options.fileName - Backup file name
+ * @param {Object} options.backup - Result of parseBackup()
+ * @param {Object} options.summary - Result of summarizeBackup()
+ * @param {boolean} options.hasData - Whether there is data to merge into or replace
+ * @returns {Promise<string|null>} 'replace' or 'merge', or null if cancelled
+ */
+export function showRestoreBackup(options) {
+    return new Promise((resolve) => {
+        const { fileName, backup, summary, hasData } = options;
+
+        const listed = summary.categories.slice(0, MAX_LISTED_CATEGORIES);
+        const more = summary.categories.length - listed.length;
+
+        const modal = openModal({
+            title: 'Restore Backup',
+            content: `
+        <p class="modal-text">
+          <strong>${escapeHtml(fileName)}</strong>
+          ${backup.createdAt ? `was made on ${formatDate(backup.createdAt, 'long')}` : 'has no creation date'}
+          and contains:
+        </p>
+        <table class="table backup-summary">
+          <tbody>
+            <tr>
+              <th>Transactions</th>
+              <td>
+                ${formatNumber(summary.transactions)}
+                ${summary.from ? `<span class="form-hint">${formatDate(summary.from, 'medium')} to ${formatDate(summary.to, 'medium')}</span>` : ''}
+              </td>
+            </tr>
+            <tr><th>Transfers</th><td>${formatNumber(summary.transfers)}</td></tr>
+            <tr><th>Accounts</th><td>${backup.accounts.length > 0 ? backup.accounts.map(a => escapeHtml(a.name)).join(', ') : 'None'}</td></tr>
+            <tr>
+              <th>Categories</th>
+              <td>
+                ${formatNumber(summary.categories.length)}
+                ${listed.length > 0 ? `<span class="form-hint">${listed.map(escapeHtml).join(', ')}${more > 0 ? ` and ${formatNumber(more)} more` : ''}</span>` : ''}
+              </td>
+            </tr>
+            <tr><th>Import profiles</th><td>${formatNumber(summary.importProfiles)}</td></tr>
+            <tr><th>Categorisation rules</th><td>${formatNumber(summary.rules)}</td></tr>
+            <tr><th>Payee aliases</th><td>${formatNumber(summary.payeeAliases)}</td></tr>
+          </tbody>
+        </table>
+        ${hasData ? `
+          <div class="form-field">
+            <label class="upload-mode-option">
+              <input type="radio" name="restore-mode" value="merge" checked>
+              Merge with current data
+            </label>
+            <p class="form-hint">Transactions already here are listed for review before merging. Your settings are kept.</p>
+            <label class="upload-mode-option">
+              <input type="radio" name="restore-mode" value="replace">
+              Replace current data
+            </label>
+            <p class="form-hint">Everything currently stored is deleted and the backup is restored exactly, settings included.</p>
+          </div>
+        ` : ''}
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="restore-cancel">Cancel</button>
+        <button class="btn btn-primary" id="restore-confirm">Restore</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        modal.element.querySelector('#restore-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#restore-confirm').addEventListener('click', () => {
+            const checked = modal.element.querySelector('input[name="restore-mode"]:checked');
+            modal.close();
+            resolve(checked ? checked.value : 'replace');
+        });
+    });
+}
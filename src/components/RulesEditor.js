@@ -0,0 +1,289 @@
+/**
+ * Rules Editor Component - categorisation rules in priority order, with a test
+ * against existing transactions
+ */
+import { openModal } from './Modal.js';
+import { formatCurrency, formatDate, formatNumber, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import { RULE_TYPES, buildRule, getNextRuleId, getRuleMatches } from '../utils/rules.js';
+
+/**
+ * Largest number of matching transactions listed in a test
+ */
+const MAX_PREVIEW_ROWS = 10;
+
+/**
+ * Show the rules editor
+ * @param {Object} options - Editor options
+ * @param {Array} options.rules - Current rules in priority order
+ * @param {Array} options.transactions - All transactions, for testing rules
+ * @param {Array} options.accounts - Accounts a rule can be limited to
+ * @param {Array} options.categories - Existing category names, suggested while typing
+ * @returns {Promise<Object|null>} Object with the rules, reapply and overwrite flags,
+ *   or null if cancelled
+ */
+export function showRulesEditor(options) {
+    return new Promise((resolve) => {
+        const { rules, transactions, accounts, categories } = options;
+        let nextId = getNextRuleId(rules);
+
+        const modal = openModal({
+            title: 'Categorisation Rules',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          Every import is categorised by the first rule, from the top, whose conditions all match.
+          Text matches anywhere in the description, ignoring case; amounts are without sign.
+          Empty conditions match anything.
+        </p>
+        <div class="table-wrapper">
+          <table class="table rule-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Description</th>
+                <th>Amount</th>
+                <th>Account</th>
+                <th>Type</th>
+                <th>Category</th>
+                <th>On</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody id="rule-rows">
+              ${rules.map(rule => renderRuleRow(rule, accounts)).join('')}
+            </tbody>
+          </table>
+        </div>
+        <datalist id="rule-categories">
+          ${categories.map(c => `<option value="${escapeAttribute(c)}"></option>`).join('')}
+        </datalist>
+        <button class="btn btn-secondary btn-sm rule-add" id="rule-add">Add Rule</button>
+        <p class="form-error hidden" id="rule-error"></p>
+        <div class="rule-preview hidden" id="rule-preview"></div>
+        <div class="form-field">
+          <label class="checkbox-field">
+            <input type="checkbox" id="rules-reapply">
+            Re-apply the rules to existing transactions
+          </label>
+          <label class="checkbox-field">
+            <input type="checkbox" id="rules-overwrite" disabled>
+            Also change transactions that already have a category
+          </label>
+        </div>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="rule-cancel">Cancel</button>
+        <button class="btn btn-primary" id="rule-save">Save</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const el = modal.element;
+        const rows = el.querySelector('#rule-rows');
+        const errorEl = el.querySelector('#rule-error');
+        const preview = el.querySelector('#rule-preview');
+        const reapply = el.querySelector('#rules-reapply');
+        const overwrite = el.querySelector('#rules-overwrite');
+
+        const showError = (message) => {
+            errorEl.textContent = `${message}.`;
+            errorEl.classList.remove('hidden');
+        };
+
+        el.querySelector('#rule-add').addEventListener('click', () => {
+            rows.insertAdjacentHTML('beforeend', renderRuleRow({
+                id: nextId++,
+                pattern: '',
+                isRegex: false,
+                minAmount: null,
+                maxAmount: null,
+                account: null,
+                type: null,
+                category: '',
+                enabled: true
+            }, accounts));
+            rows.lastElementChild.querySelector('.rule-pattern').focus();
+        });
+
+        rows.addEventListener('click', (e) => {
+            const tr = e.target.closest('tr');
+            if (!tr) return;
+
+            if (e.target.closest('.rule-remove')) {
+                tr.remove();
+                preview.classList.add('hidden');
+            } else if (e.target.closest('.rule-up') && tr.previousElementSibling) {
+                tr.previousElementSibling.before(tr);
+            } else if (e.target.closest('.rule-down') && tr.nextElementSibling) {
+                tr.nextElementSibling.after(tr);
+            } else if (e.target.closest('.rule-test')) {
+                testRule(tr);
+            }
+        });
+
+        reapply.addEventListener('change', () => {
+            overwrite.disabled = !reapply.checked;
+            if (!reapply.checked) overwrite.checked = false;
+        });
+
+        // Show what a rule matches now, and how much of that a rule above it takes first
+        const testRule = (tr) => {
+            errorEl.classList.add('hidden');
+            const { rule, error } = readRuleRow(tr);
+            if (error) {
+                showError(error);
+                preview.classList.add('hidden');
+                return;
+            }
+
+            const matches = getRuleMatches(rule, transactions);
+            const taken = new Set();
+            let above = tr.previousElementSibling;
+            while (above) {
+                const earlier = readRuleRow(above).rule;
+                if (earlier && earlier.enabled) getRuleMatches(earlier, matches).forEach(t => taken.add(t));
+                above = above.previousElementSibling;
+            }
+
+            preview.innerHTML = renderPreview(rule, matches, taken, transactions.length);
+            preview.classList.remove('hidden');
+        };
+
+        el.querySelector('#rule-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        el.querySelector('#rule-save').addEventListener('click', () => {
+            const updated = [];
+
+            for (const tr of rows.querySelectorAll('tr[data-id]')) {
+                const { rule, error } = readRuleRow(tr);
+                if (error) {
+                    showError(`Rule ${updated.length + 1}: ${error}`);
+                    tr.querySelector('.rule-category').focus();
+                    return;
+                }
+                updated.push(rule);
+            }
+
+            modal.close();
+            resolve({ rules: updated, reapply: reapply.checked, overwrite: overwrite.checked });
+        });
+    });
+}
+
+/**
+ * Read and validate an editable rule row
+ * @param {HTMLElement} tr - Rule row
+ * @returns {Object} Result of buildRule()
+ */
+function readRuleRow(tr) {
+    return buildRule({
+        id: parseInt(tr.dataset.id),
+        pattern: tr.querySelector('.rule-pattern').value,
+        isRegex: tr.querySelector('.rule-regex').checked,
+        minAmount: tr.querySelector('.rule-min').value,
+        maxAmount: tr.querySelector('.rule-max').value,
+        account: tr.querySelector('.rule-account').value,
+        type: tr.querySelector('.rule-type').value,
+        category: tr.querySelector('.rule-category').value,
+        enabled: tr.querySelector('.rule-enabled').checked
+    });
+}
+
+/**
+ * Render an editable rule row
+ * @param {Object} rule - Rule
+ * @param {Array} accounts - Accounts to choose from
+ * @returns {string} HTML
+ */
+function renderRuleRow(rule, accounts) {
+    return `
+    <tr data-id="${rule.id}">
+      <td class="rule-order">
+        <button class="btn btn-ghost btn-icon btn-sm rule-up" aria-label="Move up">&uarr;</button>
+        <button class="btn btn-ghost btn-icon btn-sm rule-down" aria-label="Move down">&darr;</button>
+      </td>
+      <td>
+        <input type="text" class="input rule-pattern" value="${escapeAttribute(rule.pattern)}" placeholder="e.g. coffee">
+        <label class="checkbox-field">
+          <input type="checkbox" class="rule-regex" ${rule.isRegex ? 'checked' : ''}>
+          Regular expression
+        </label>
+      </td>
+      <td class="rule-amounts">
+        <input type="number" step="0.01" min="0" class="input rule-min" value="${rule.minAmount ?? ''}" placeholder="Min">
+        <input type="number" step="0.01" min="0" class="input rule-max" value="${rule.maxAmount ?? ''}" placeholder="Max">
+      </td>
+      <td>
+        <select class="input select rule-account">
+          <option value="">Any</option>
+          ${accounts.map(a => `
+            <option value="${a.id}" ${rule.account === a.id ? 'selected' : ''}>${escapeHtml(a.name)}</option>
+          `).join('')}
+        </select>
+      </td>
+      <td>
+        <select class="input select rule-type">
+          <option value="">Any</option>
+          ${RULE_TYPES.map(type => `
+            <option value="${type}" ${rule.type === type ? 'selected' : ''}>${type}</option>
+          `).join('')}
+        </select>
+      </td>
+      <td><input type="text" class="input rule-category" list="rule-categories" value="${escapeAttribute(rule.category)}"></td>
+      <td><input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''} aria-label="Rule enabled"></td>
+      <td class="table-actions">
+        <button class="btn btn-secondary btn-sm rule-test">Test</button>
+        <button class="btn btn-ghost btn-sm rule-remove">Remove</button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Render the test result for a rule
+ * @param {Object} rule - Tested rule
+ * @param {Array} matches - Transactions the rule matches
+ * @param {Set} taken - Matches a rule higher up categorises first
+ * @param {number} total - Number of transactions tested
+ * @returns {string} HTML
+ */
+function renderPreview(rule, matches, taken, total) {
+    const shown = matches.slice(0, MAX_PREVIEW_ROWS);
+
+    return `
+    <p class="modal-text">
+      Matches ${formatNumber(matches.length)} of ${formatNumber(total)} transactions
+      ${taken.size > 0 ? `(${formatNumber(taken.size)} of them are categorised by a rule above it)` : ''}.
+    </p>
+    ${shown.length > 0 ? `
+      <table class="table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Description</th>
+            <th style="text-align: right;">Amount</th>
+            <th>Category</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${shown.map(t => `
+            <tr class="${taken.has(t) ? 'rule-preview-taken' : ''}">
+              <td>${formatDate(t.date, 'medium')}</td>
+              <td>${escapeHtml(t.description || '-')}</td>
+              <td style="text-align: right;">${formatCurrency(t.amount)}</td>
+              <td>
+                ${t.category === rule.category || taken.has(t)
+        ? escapeHtml(t.category)
+        : `${escapeHtml(t.category)} &rarr; <strong>${escapeHtml(rule.category)}</strong>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${matches.length > shown.length ? `<p class="form-hint">and ${formatNumber(matches.length - shown.length)} more</p>` : ''}
+    ` : ''}
+  `;
+}
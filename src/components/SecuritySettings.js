@@ -0,0 +1,210 @@
+/**
+ * Security Settings Component - turn passphrase encryption on or off, change the
+ * passphrase and choose the auto-lock delay
+ */
+import { openModal } from './Modal.js';
+import {
+    enableEncryption,
+    changePassphrase,
+    disableEncryption,
+    loadSettings,
+    saveSettings
+} from '../utils/storage.js';
+import { isEncryptionSupported } from '../utils/crypto.js';
+
+/**
+ * Shortest passphrase accepted
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Auto-lock delays offered, in minutes (0 = never)
+ */
+const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60];
+
+/**
+ * Show the security settings
+ * @param {Object} options - Dialog options
+ * @param {boolean} options.encrypted - Whether encryption is on
+ * @returns {Promise<string|null>} 'enabled', 'changed', 'disabled' or 'lock' after that
+ *   action, or null if closed. The auto-lock delay is saved as soon as it changes.
+ */
+export function showSecuritySettings(options) {
+    return new Promise((resolve) => {
+        const { encrypted } = options;
+
+        const modal = openModal({
+            title: 'Security',
+            content: encrypted ? renderEncryptedContent() : renderPlainContent(),
+            footer: encrypted ? `
+        <button class="btn btn-ghost" id="security-disable">Turn Off Encryption</button>
+        <button class="btn btn-secondary" id="security-lock">Lock Now</button>
+        <button class="btn btn-primary" id="security-change">Change Passphrase</button>
+      ` : `
+        <button class="btn btn-ghost" id="security-cancel">Cancel</button>
+        <button class="btn btn-primary" id="security-enable" ${isEncryptionSupported() ? '' : 'disabled'}>Turn On Encryption</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const el = modal.element;
+        const errorEl = el.querySelector('#security-error');
+        const value = (id) => el.querySelector(`#${id}`)?.value || '';
+
+        const showError = (message) => {
+            errorEl.textContent = message;
+            errorEl.classList.remove('hidden');
+        };
+
+        // Deriving a key takes a moment; block other actions until it is done
+        const run = async (button, busyLabel, action, result) => {
+            const buttons = el.querySelectorAll('button');
+            const label = button.textContent;
+            buttons.forEach(b => { b.disabled = true; });
+            button.textContent = busyLabel;
+            errorEl.classList.add('hidden');
+
+            try {
+                await action();
+                modal.close();
+                resolve(result);
+            } catch (error) {
+                console.error('Security settings failed:', error);
+                showError(error.message);
+                buttons.forEach(b => { b.disabled = false; });
+                button.textContent = label;
+            }
+        };
+
+        const checkNewPassphrase = () => {
+            const passphrase = value('security-new');
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                return `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+            }
+            if (passphrase !== value('security-confirm')) {
+                return 'The passphrases do not match.';
+            }
+            return null;
+        };
+
+        if (!encrypted) {
+            el.querySelector('#security-cancel').addEventListener('click', () => {
+                modal.close();
+                resolve(null);
+            });
+
+            const enableBtn = el.querySelector('#security-enable');
+            enableBtn.addEventListener('click', () => {
+                const error = checkNewPassphrase();
+                if (error) {
+                    showError(error);
+                    return;
+                }
+                run(enableBtn, 'Encrypting...', () => enableEncryption(value('security-new')), 'enabled');
+            });
+            return;
+        }
+
+        el.querySelector('#security-auto-lock').addEventListener('change', (e) => {
+            saveSettings({ ...loadSettings(), autoLockMinutes: parseInt(e.target.value) });
+        });
+
+        el.querySelector('#security-lock').addEventListener('click', () => {
+            modal.close();
+            resolve('lock');
+        });
+
+        const changeBtn = el.querySelector('#security-change');
+        changeBtn.addEventListener('click', () => {
+            if (!value('security-current')) {
+                showError('Enter your current passphrase.');
+                return;
+            }
+            const error = checkNewPassphrase();
+            if (error) {
+                showError(error);
+                return;
+            }
+            run(changeBtn, 'Re-encrypting...', () => changePassphrase(value('security-current'), value('security-new')), 'changed');
+        });
+
+        const disableBtn = el.querySelector('#security-disable');
+        disableBtn.addEventListener('click', () => {
+            if (!value('security-current')) {
+                showError('Enter your current passphrase to turn off encryption.');
+                return;
+            }
+            run(disableBtn, 'Decrypting...', () => disableEncryption(value('security-current')), 'disabled');
+        });
+    });
+}
+
+/**
+ * Render the body shown while encryption is off
+ * @returns {string} HTML
+ */
+function renderPlainContent() {
+    if (!isEncryptionSupported()) {
+        return `
+      <p class="modal-text">
+        This browser cannot encrypt data here. Open the dashboard over HTTPS or from localhost to turn on encryption.
+      </p>
+      <p class="form-error hidden" id="security-error"></p>
+    `;
+    }
+
+    return `
+    <p class="modal-text">
+      Encrypt your transactions, accounts and settings with a passphrase. You will be asked for it
+      each time the dashboard opens. There is no way to recover the data if you forget it.
+    </p>
+    <div class="form-field">
+      <label class="label" for="security-new">Passphrase</label>
+      <input type="password" class="input" id="security-new" autocomplete="new-password">
+      <p class="form-hint">At least ${MIN_PASSPHRASE_LENGTH} characters.</p>
+    </div>
+    <div class="form-field">
+      <label class="label" for="security-confirm">Confirm passphrase</label>
+      <input type="password" class="input" id="security-confirm" autocomplete="new-password">
+    </div>
+    <p class="form-error hidden" id="security-error"></p>
+  `;
+}
+
+/**
+ * Render the body shown while encryption is on
+ * @returns {string} HTML
+ */
+function renderEncryptedContent() {
+    const { autoLockMinutes } = loadSettings();
+
+    return `
+    <p class="modal-text">
+      Your data is encrypted. Enter the current passphrase to change it or to turn encryption off.
+    </p>
+    <div class="form-field">
+      <label class="label" for="security-auto-lock">Lock after inactivity</label>
+      <select class="input select" id="security-auto-lock">
+        ${AUTO_LOCK_OPTIONS.map(minutes => `
+          <option value="${minutes}" ${autoLockMinutes === minutes ? 'selected' : ''}>
+            ${minutes === 0 ? 'Never' : `${minutes} minute${minutes === 1 ? '' : 's'}`}
+          </option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="form-field">
+      <label class="label" for="security-current">Current passphrase</label>
+      <input type="password" class="input" id="security-current" autocomplete="current-password">
+    </div>
+    <div class="form-field">
+      <label class="label" for="security-new">New passphrase</label>
+      <input type="password" class="input" id="security-new" autocomplete="new-password">
+      <p class="form-hint">At least ${MIN_PASSPHRASE_LENGTH} characters.</p>
+    </div>
+    <div class="form-field">
+      <label class="label" for="security-confirm">Confirm new passphrase</label>
+      <input type="password" class="input" id="security-confirm" autocomplete="new-password">
+    </div>
+    <p class="form-error hidden" id="security-error"></p>
+  `;
+}
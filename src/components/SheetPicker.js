@@ -0,0 +1,110 @@
+/**
+ * Sheet Picker Component for multi-sheet workbooks
+ */
+import { openModal } from './Modal.js';
+import { FIELD_OPTIONS } from './ColumnMapper.js';
+import { formatNumber, escapeHtml } from '../utils/formatters.js';
+
+/**
+ * Show the sheet picker
+ * @param {Object} preview - Workbook preview from the parser
+ * @param {string} preview.fileName - Source file name
+ * @param {Array} preview.sheets - Sheet previews with name, rowCount and detectedFields
+ * @returns {Promise<Array|null>} Selected sheet names, or null if cancelled
+ */
+export function showSheetPicker(preview) {
+    return new Promise((resolve) => {
+        const { fileName, sheets } = preview;
+
+        const modal = openModal({
+            title: 'Choose Sheets',
+            content: `
+        <p class="modal-text">
+          <strong>${escapeHtml(fileName)}</strong> contains ${sheets.length} sheets.
+          Select the sheets to import; selecting several merges them into one dataset.
+        </p>
+        <div class="table-wrapper">
+          <table class="table sheet-table">
+            <thead>
+              <tr>
+                <th><input type="checkbox" id="sheet-select-all" aria-label="Select all sheets"></th>
+                <th>Sheet</th>
+                <th style="text-align: right;">Rows</th>
+                <th>Detected Columns</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${sheets.map((sheet, index) => `
+                <tr>
+                  <td>
+                    <input type="checkbox" class="sheet-checkbox" data-index="${index}"
+                      ${sheet.rowCount > 0 ? 'checked' : 'disabled'}>
+                  </td>
+                  <td>${escapeHtml(sheet.name)}</td>
+                  <td style="text-align: right;">${formatNumber(sheet.rowCount)}</td>
+                  <td>${sheet.detectedFields.length > 0
+                ? sheet.detectedFields.map(field => `<span class="badge">${getFieldLabel(field)}</span>`).join(' ')
+                : '<span class="form-hint">No recognised columns</span>'}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <p class="form-error hidden" id="sheet-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="sheet-cancel">Cancel</button>
+        <button class="btn btn-primary" id="sheet-confirm">Import</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const checkboxes = Array.from(modal.element.querySelectorAll('.sheet-checkbox'));
+        const selectAll = modal.element.querySelector('#sheet-select-all');
+        const enabled = checkboxes.filter(cb => !cb.disabled);
+
+        const syncSelectAll = () => {
+            selectAll.checked = enabled.length > 0 && enabled.every(cb => cb.checked);
+        };
+        syncSelectAll();
+
+        selectAll.addEventListener('change', () => {
+            enabled.forEach(cb => {
+                cb.checked = selectAll.checked;
+            });
+        });
+        checkboxes.forEach(cb => cb.addEventListener('change', syncSelectAll));
+
+        modal.element.querySelector('#sheet-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#sheet-confirm').addEventListener('click', () => {
+            const names = checkboxes
+                .filter(cb => cb.checked)
+                .map(cb => sheets[parseInt(cb.dataset.index)].name);
+
+            if (names.length === 0) {
+                const errorEl = modal.element.querySelector('#sheet-error');
+                errorEl.textContent = 'Please select at least one sheet.';
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
+            modal.close();
+            resolve(names);
+        });
+    });
+}
+
+/**
+ * Get the display label for a transaction field
+ * @param {string} field - Field key
+ * @returns {string} Label
+ */
+function getFieldLabel(field) {
+    const option = FIELD_OPTIONS.find(f => f.value === field);
+    return option ? option.label : field;
+}
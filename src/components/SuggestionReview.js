@@ -0,0 +1,113 @@
+/**
+ * Suggestion Review Component - accept, change or dismiss suggested categories
+ */
+import { openModal } from './Modal.js';
+import { formatCurrency, formatDate, formatNumber, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+
+// Actions offered per transaction; the first is the default
+const ACTIONS = [
+    { value: 'accept', label: 'Categorise' },
+    { value: 'keep', label: 'Decide later' },
+    { value: 'dismiss', label: 'Keep uncategorised' }
+];
+
+/**
+ * Show the suggestion review
+ * @param {Object} options - Review options
+ * @param {Array} options.transactions - Result of getSuggestionQueue()
+ * @param {Array} options.categories - Existing category names, suggested while typing
+ * @returns {Promise<Object|null>} Object with accepted ({ id, category } pairs) and
+ *   dismissed transaction ids, or null if cancelled
+ */
+export function showSuggestionReview(options) {
+    return new Promise((resolve) => {
+        const { transactions, categories } = options;
+
+        const modal = openModal({
+            title: 'Review Suggested Categories',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          ${formatNumber(transactions.length)} uncategorised transaction${transactions.length === 1 ? '' : 's'}
+          with a category suggested from how you categorised similar ones.
+          Change the category before accepting if the suggestion is wrong.
+        </p>
+        <div class="table-wrapper review-table-wrapper">
+          <table class="table review-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Description</th>
+                <th style="text-align: right;">Amount</th>
+                <th>Category</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${transactions.map(t => `
+                <tr data-id="${t.id}">
+                  <td>${formatDate(t.date, 'medium')}</td>
+                  <td>${escapeHtml(t.description || '-')}</td>
+                  <td class="amount-cell ${t.type === 'Income' ? 'amount-income' : 'amount-expense'}" style="text-align: right;">
+                    ${formatCurrency(t.amount)}
+                  </td>
+                  <td>
+                    <input type="text" class="input suggestion-category" list="suggestion-categories" value="${escapeAttribute(t.suggestedCategory)}">
+                    <span class="form-hint">${Math.round(t.suggestionConfidence * 100)}% confident</span>
+                  </td>
+                  <td>
+                    <select class="input select suggestion-action">
+                      ${ACTIONS.map(a => `<option value="${a.value}">${a.label}</option>`).join('')}
+                    </select>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <datalist id="suggestion-categories">
+          ${categories.map(c => `<option value="${escapeAttribute(c)}"></option>`).join('')}
+        </datalist>
+        <p class="form-error hidden" id="suggestion-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="suggestion-cancel">Cancel</button>
+        <button class="btn btn-primary" id="suggestion-confirm">Save</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const errorEl = modal.element.querySelector('#suggestion-error');
+
+        modal.element.querySelector('#suggestion-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#suggestion-confirm').addEventListener('click', () => {
+            const accepted = [];
+            const dismissed = [];
+
+            for (const tr of modal.element.querySelectorAll('tr[data-id]')) {
+                const id = Number(tr.dataset.id);
+                const action = tr.querySelector('.suggestion-action').value;
+                const input = tr.querySelector('.suggestion-category');
+                const category = input.value.trim();
+
+                if (action === 'accept') {
+                    if (!category || category === 'Uncategorized') {
+                        errorEl.textContent = 'Enter a category for every transaction you categorise.';
+                        errorEl.classList.remove('hidden');
+                        input.focus();
+                        return;
+                    }
+                    accepted.push({ id, category });
+                }
+                if (action === 'dismiss') dismissed.push(id);
+            }
+
+            modal.close();
+            resolve({ accepted, dismissed });
+        });
+    });
+}
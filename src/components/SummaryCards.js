@@ -1,13 +1,14 @@
 /**
  * Summary Cards Component
  */
-import { formatCurrency, formatPercentage } from '../utils/formatters.js';
+import { formatCurrency, formatPercentage, formatNumber, escapeHtml } from '../utils/formatters.js';
 import {
     calculateTotalIncome,
     calculateTotalExpenses,
     calculateBalance,
     calculateSavingsRate
 } from '../utils/calculations.js';
+import { ACCOUNT_TYPES, calculateAccountBalances } from '../utils/accounts.js';
 
 /**
  * Render summary cards
@@ -79,6 +80,28 @@ export function renderSummaryCards(transactions) {
   `).join('');
 }
 
+/**
+ * Render a balance card per account. Balances cover every transaction in the
+ * account, not just the filtered ones, so they match the bank's figures.
+ * @param {Array} accounts - Accounts
+ * @param {Array} transactions - All transactions
+ */
+export function renderAccountCards(accounts, transactions) {
+    const container = document.getElementById('account-cards');
+    if (!container) return;
+
+    container.innerHTML = calculateAccountBalances(accounts, transactions).map(({ account, balance, count }) => `
+    <div class="card card-compact ${balance < 0 ? 'card-amount-negative' : ''}">
+      <div class="card-header">
+        <span class="card-title">${escapeHtml(account.name)}</span>
+        <span class="badge">${ACCOUNT_TYPES[account.type].label}</span>
+      </div>
+      <div class="card-value">${formatCurrency(balance, account.currency)}</div>
+      <p class="card-subtitle">${formatNumber(count)} transactions</p>
+    </div>
+  `).join('');
+}
+
 /**
  * Get summary data for export
  * @param {Array} transactions - Array of transaction objects
@@ -0,0 +1,99 @@
+/**
+ * Transaction Form Component - enter a transaction by hand, e.g. a cash purchase
+ */
+import { openModal } from './Modal.js';
+import { parseDate, toInputDate, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import { buildEditedTransaction } from '../utils/validation.js';
+
+/**
+ * Show the add transaction form
+ * @param {Object} options - Form options
+ * @param {Array} options.categories - Existing category names, suggested while typing
+ * @param {Array} options.accounts - Accounts to choose from
+ * @returns {Promise<Object|null>} Transaction without an id, or null if cancelled
+ */
+export function showTransactionForm(options) {
+    return new Promise((resolve) => {
+        const { categories, accounts } = options;
+
+        const modal = openModal({
+            title: 'Add Transaction',
+            content: `
+        <div class="transaction-form">
+          <div class="form-field">
+            <label class="label" for="entry-date">Date</label>
+            <input type="date" class="input" id="entry-date" value="${toInputDate(new Date())}">
+          </div>
+          <div class="form-field">
+            <label class="label" for="entry-type">Type</label>
+            <select class="input select" id="entry-type">
+              <option value="Expense">Expense</option>
+              <option value="Income">Income</option>
+            </select>
+          </div>
+          <div class="form-field transaction-form-wide">
+            <label class="label" for="entry-description">Description</label>
+            <input type="text" class="input" id="entry-description" placeholder="e.g. Farmers market">
+          </div>
+          <div class="form-field">
+            <label class="label" for="entry-category">Category</label>
+            <input type="text" class="input" id="entry-category" list="entry-categories" placeholder="Uncategorized">
+            <datalist id="entry-categories">
+              ${categories.map(c => `<option value="${escapeAttribute(c)}"></option>`).join('')}
+            </datalist>
+          </div>
+          <div class="form-field">
+            <label class="label" for="entry-amount">Amount</label>
+            <input type="number" step="0.01" min="0" class="input" id="entry-amount" placeholder="0.00">
+          </div>
+          ${accounts.length > 0 ? `
+            <div class="form-field transaction-form-wide">
+              <label class="label" for="entry-account">Account</label>
+              <select class="input select" id="entry-account">
+                <option value="">No account</option>
+                ${accounts.map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('')}
+              </select>
+            </div>
+          ` : ''}
+        </div>
+        <p class="form-error hidden" id="entry-error"></p>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="entry-cancel">Cancel</button>
+        <button class="btn btn-primary" id="entry-save">Add</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        const el = modal.element;
+        const errorEl = el.querySelector('#entry-error');
+        el.querySelector('#entry-description').focus();
+
+        el.querySelector('#entry-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        el.querySelector('#entry-save').addEventListener('click', () => {
+            const { transaction, error } = buildEditedTransaction({
+                date: parseDate(el.querySelector('#entry-date').value),
+                description: el.querySelector('#entry-description').value,
+                category: el.querySelector('#entry-category').value,
+                amount: parseFloat(el.querySelector('#entry-amount').value),
+                type: el.querySelector('#entry-type').value
+            });
+
+            if (error) {
+                errorEl.textContent = `${error}.`;
+                errorEl.classList.remove('hidden');
+                return;
+            }
+
+            const accountSelect = el.querySelector('#entry-account');
+            if (accountSelect && accountSelect.value) transaction.account = parseInt(accountSelect.value);
+
+            modal.close();
+            resolve(transaction);
+        });
+    });
+}
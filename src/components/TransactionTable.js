@@ -1,17 +1,28 @@
 /**
  * Transaction Table Component
  */
-import { formatCurrency, formatDate } from '../utils/formatters.js';
+import { formatCurrency, formatDate, parseDate, toInputDate, escapeHtml, escapeAttribute } from '../utils/formatters.js';
+import { getFlowType } from '../utils/transfers.js';
+import { buildEditedTransaction } from '../utils/validation.js';
+import { getCategoryColor, getCategoryIcon } from '../utils/categories.js';
 
 let currentPage = 1;
 let pageSize = 10;
 let sortColumn = 'date';
 let sortDirection = 'desc';
+let editingId = null;
 
 /**
  * Render transaction table
  * @param {Array} transactions - Array of transaction objects
  * @param {Object} options - Table options
+ * @param {boolean} options.resetPage - Go back to the first page
+ * @param {Array} options.categories - Category names suggested while editing
+ * @param {Object} options.categoryStyles - Map of category name to { color, icon }
+ * @param {Function} options.onAdd - Callback for the Add Transaction button
+ * @param {Function} options.onUpdate - Called with the transaction and its edited fields;
+ *   resolves to true once saved
+ * @param {Function} options.onDelete - Called with the transaction to delete
  */
 export function renderTransactionTable(transactions, options = {}) {
     const container = document.getElementById('table-container');
@@ -25,14 +36,28 @@ export function renderTransactionTable(transactions, options = {}) {
     // Sort transactions
     const sorted = sortTransactions(transactions, sortColumn, sortDirection);
 
-    // Paginate
+    // Paginate; deleting the last row of the last page moves back a page
     const totalPages = Math.ceil(sorted.length / pageSize);
+    currentPage = Math.max(1, Math.min(currentPage, totalPages));
     const startIndex = (currentPage - 1) * pageSize;
     const paginated = sorted.slice(startIndex, startIndex + pageSize);
 
+    const editable = Boolean(options.onUpdate || options.onDelete);
+    const categories = options.categories || [...new Set(transactions.map(t => t.category))].sort();
+    const tableOptions = { ...options, resetPage: false };
+
     container.innerHTML = `
     <div class="table-header">
       <span class="table-count">${transactions.length} transactions</span>
+      ${options.onAdd ? `
+        <button class="btn btn-primary btn-sm" id="btn-add-transaction">
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="12" y1="5" x2="12" y2="19"></line>
+            <line x1="5" y1="12" x2="19" y2="12"></line>
+          </svg>
+          <span>Add Transaction</span>
+        </button>
+      ` : ''}
       <div class="table-page-size">
         <label class="filter-label">Show:</label>
         <select class="input select" id="page-size-select" style="min-width: 80px;">
@@ -43,6 +68,10 @@ export function renderTransactionTable(transactions, options = {}) {
         </select>
       </div>
     </div>
+    <p class="form-error hidden" id="table-edit-error"></p>
+    <datalist id="table-categories">
+      ${categories.map(c => `<option value="${escapeAttribute(c)}"></option>`).join('')}
+    </datalist>
     <div class="table-wrapper">
       <table class="table">
         <thead>
@@ -51,6 +80,10 @@ export function renderTransactionTable(transactions, options = {}) {
               Date
               <span class="sort-icon">${getSortIcon('date')}</span>
             </th>
+            <th class="sortable ${sortColumn === 'payee' ? 'sorted' : ''}" data-column="payee">
+              Payee
+              <span class="sort-icon">${getSortIcon('payee')}</span>
+            </th>
             <th class="sortable ${sortColumn === 'description' ? 'sorted' : ''}" data-column="description">
               Description
               <span class="sort-icon">${getSortIcon('description')}</span>
@@ -64,26 +97,13 @@ export function renderTransactionTable(transactions, options = {}) {
               <span class="sort-icon">${getSortIcon('amount')}</span>
             </th>
             <th>Type</th>
+            ${editable ? '<th></th>' : ''}
           </tr>
         </thead>
         <tbody>
-          ${paginated.length > 0 ? paginated.map(t => `
+          ${paginated.length > 0 ? paginated.map(t => t.id === editingId ? renderEditRow(t) : renderRow(t, editable, options.categoryStyles)).join('') : `
             <tr>
-              <td>${formatDate(t.date, 'medium')}</td>
-              <td>${escapeHtml(t.description || '-')}</td>
-              <td><span class="badge">${escapeHtml(t.category)}</span></td>
-              <td class="amount-cell ${t.type.toLowerCase() === 'income' ? 'amount-income' : 'amount-expense'}" style="text-align: right;">
-                ${t.type.toLowerCase() === 'expense' ? '-' : '+'}${formatCurrency(t.amount)}
-              </td>
-              <td>
-                <span class="badge ${t.type.toLowerCase() === 'income' ? 'badge-success' : 'badge-error'}">
-                  ${t.type}
-                </span>
-              </td>
-            </tr>
-          `).join('') : `
-            <tr>
-              <td colspan="5" style="text-align: center; padding: 2rem;">
+              <td colspan="${editable ? 7 : 6}" style="text-align: center; padding: 2rem;">
                 No transactions found
               </td>
             </tr>
@@ -95,7 +115,86 @@ export function renderTransactionTable(transactions, options = {}) {
   `;
 
     // Attach event listeners
-    attachTableEventListeners(transactions, options.onUpdate);
+    attachTableEventListeners(transactions, tableOptions);
+}
+
+/**
+ * Render a transaction row
+ * @param {Object} t - Transaction
+ * @param {boolean} editable - Whether to show the edit and delete buttons
+ * @param {Object} categoryStyles - Map of category name to { color, icon }
+ * @returns {string} HTML
+ */
+function renderRow(t, editable, categoryStyles = {}) {
+    const icon = getCategoryIcon(t.category, categoryStyles);
+
+    return `
+    <tr>
+      <td>${formatDate(t.date, 'medium')}</td>
+      <td>${escapeHtml(t.payee || '-')}</td>
+      <td class="table-description">${escapeHtml(t.description || '-')}</td>
+      <td>
+        <span class="badge">
+          <span class="category-dot" style="background: ${getCategoryColor(t.category, categoryStyles)};"></span>
+          ${icon ? `${escapeHtml(icon)}&nbsp;` : ''}${escapeHtml(t.category)}
+        </span>
+      </td>
+      <td class="amount-cell ${getAmountClass(t)}" style="text-align: right;">
+        ${getFlowType(t) === 'Expense' ? '-' : '+'}${formatCurrency(t.amount)}
+      </td>
+      <td>
+        <span class="badge ${getTypeBadgeClass(t)}">
+          ${t.type}
+        </span>
+      </td>
+      ${editable ? `
+        <td class="table-actions">
+          <button class="btn btn-ghost btn-icon btn-sm table-edit" data-id="${t.id}" aria-label="Edit transaction">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M17 3a2.83 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"></path>
+            </svg>
+          </button>
+          <button class="btn btn-ghost btn-icon btn-sm table-delete" data-id="${t.id}" aria-label="Delete transaction">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <path d="M3 6h18"></path>
+              <path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"></path>
+              <path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"></path>
+            </svg>
+          </button>
+        </td>
+      ` : ''}
+    </tr>
+  `;
+}
+
+/**
+ * Render a transaction row as inputs. The type of a transfer is kept; unlink it
+ * in the transfer review instead.
+ * @param {Object} t - Transaction
+ * @returns {string} HTML
+ */
+function renderEditRow(t) {
+    return `
+    <tr class="table-edit-row" data-id="${t.id}">
+      <td><input type="date" class="input table-edit-date" value="${toInputDate(t.date)}"></td>
+      <td>${escapeHtml(t.payee || '-')}</td>
+      <td><input type="text" class="input table-edit-description" value="${escapeAttribute(t.description || '')}"></td>
+      <td><input type="text" class="input table-edit-category" list="table-categories" value="${escapeAttribute(t.category)}"></td>
+      <td><input type="number" step="0.01" min="0" class="input table-edit-amount" value="${t.amount}"></td>
+      <td>
+        ${t.type === 'Transfer' ? `<span class="badge">${t.type}</span>` : `
+          <select class="input select table-edit-type">
+            <option value="Income" ${t.type === 'Income' ? 'selected' : ''}>Income</option>
+            <option value="Expense" ${t.type === 'Expense' ? 'selected' : ''}>Expense</option>
+          </select>
+        `}
+      </td>
+      <td class="table-actions">
+        <button class="btn btn-primary btn-sm table-save">Save</button>
+        <button class="btn btn-ghost btn-sm table-cancel">Cancel</button>
+      </td>
+    </tr>
+  `;
 }
 
 /**
@@ -114,6 +213,10 @@ function sortTransactions(transactions, column, direction) {
                 valA = new Date(a.date).getTime();
                 valB = new Date(b.date).getTime();
                 break;
+            case 'payee':
+                valA = (a.payee || '').toLowerCase();
+                valB = (b.payee || '').toLowerCase();
+                break;
             case 'description':
                 valA = (a.description || '').toLowerCase();
                 valB = (b.description || '').toLowerCase();
@@ -195,6 +298,26 @@ function renderPagination(current, total, totalItems) {
   `;
 }
 
+/**
+ * Get the amount colour class for a transaction
+ * @param {Object} t - Transaction
+ * @returns {string} CSS class
+ */
+function getAmountClass(t) {
+    if (t.type === 'Transfer') return 'amount-transfer';
+    return t.type.toLowerCase() === 'income' ? 'amount-income' : 'amount-expense';
+}
+
+/**
+ * Get the type badge class for a transaction
+ * @param {Object} t - Transaction
+ * @returns {string} CSS class
+ */
+function getTypeBadgeClass(t) {
+    if (t.type === 'Transfer') return '';
+    return t.type.toLowerCase() === 'income' ? 'badge-success' : 'badge-error';
+}
+
 /**
  * Get sort icon for column
  * @param {string} column - Column name
@@ -222,9 +345,9 @@ function getSortIcon(column) {
 /**
  * Attach event listeners to table
  * @param {Array} transactions - Transaction data
- * @param {Function} onUpdate - Update callback
+ * @param {Object} options - Table options, kept when re-rendering
  */
-function attachTableEventListeners(transactions, onUpdate) {
+function attachTableEventListeners(transactions, options) {
     // Sort headers
     const headers = document.querySelectorAll('.table th.sortable');
     headers.forEach(header => {
@@ -236,7 +359,7 @@ function attachTableEventListeners(transactions, onUpdate) {
                 sortColumn = column;
                 sortDirection = 'desc';
             }
-            renderTransactionTable(transactions, { onUpdate });
+            renderTransactionTable(transactions, options);
         });
     });
 
@@ -246,7 +369,7 @@ function attachTableEventListeners(transactions, onUpdate) {
         pageSizeSelect.addEventListener('change', (e) => {
             pageSize = parseInt(e.target.value);
             currentPage = 1;
-            renderTransactionTable(transactions, { onUpdate });
+            renderTransactionTable(transactions, options);
         });
     }
 
@@ -265,20 +388,81 @@ function attachTableEventListeners(transactions, onUpdate) {
                 currentPage = parseInt(page);
             }
 
-            renderTransactionTable(transactions, { onUpdate });
+            renderTransactionTable(transactions, options);
         });
     });
-}
 
-/**
- * Escape HTML to prevent XSS
- * @param {string} text - Text to escape
- * @returns {string} Escaped text
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    // Add transaction
+    const addBtn = document.getElementById('btn-add-transaction');
+    if (addBtn && options.onAdd) {
+        addBtn.addEventListener('click', () => {
+            options.onAdd();
+        });
+    }
+
+    const findTransaction = (id) => transactions.find(t => String(t.id) === id);
+
+    // Edit and delete
+    document.querySelectorAll('.table-edit').forEach(btn => {
+        btn.addEventListener('click', () => {
+            editingId = findTransaction(btn.dataset.id).id;
+            renderTransactionTable(transactions, options);
+            document.querySelector('.table-edit-row .table-edit-description')?.focus();
+        });
+    });
+
+    document.querySelectorAll('.table-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const transaction = findTransaction(btn.dataset.id);
+            const peerNote = transaction.type === 'Transfer'
+                ? ' The other side of the transfer will become a normal transaction.'
+                : '';
+            if (options.onDelete && confirm(`Delete "${transaction.description || 'this transaction'}"?${peerNote}`)) {
+                options.onDelete(transaction);
+            }
+        });
+    });
+
+    const editRow = document.querySelector('.table-edit-row');
+    if (!editRow) return;
+
+    const errorEl = document.getElementById('table-edit-error');
+    const original = findTransaction(editRow.dataset.id);
+
+    const save = async () => {
+        const typeSelect = editRow.querySelector('.table-edit-type');
+        const { transaction, error } = buildEditedTransaction({
+            date: parseDate(editRow.querySelector('.table-edit-date').value),
+            description: editRow.querySelector('.table-edit-description').value,
+            category: editRow.querySelector('.table-edit-category').value,
+            amount: parseFloat(editRow.querySelector('.table-edit-amount').value),
+            type: typeSelect ? typeSelect.value : original.type
+        }, original.type === 'Transfer');
+
+        if (error) {
+            errorEl.textContent = `${error}.`;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+
+        // Saving re-renders the table, which must no longer show the row as editable
+        editingId = null;
+        if (!(await options.onUpdate(original, transaction))) {
+            editingId = original.id;
+        }
+    };
+
+    const cancel = () => {
+        editingId = null;
+        renderTransactionTable(transactions, options);
+    };
+
+    editRow.querySelector('.table-save').addEventListener('click', save);
+    editRow.querySelector('.table-cancel').addEventListener('click', cancel);
+    editRow.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') save();
+        if (e.key === 'Escape') cancel();
+    });
 }
 
 /**
@@ -288,4 +472,5 @@ export function resetTableState() {
     currentPage = 1;
     sortColumn = 'date';
     sortDirection = 'desc';
+    editingId = null;
 }
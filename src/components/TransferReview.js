@@ -0,0 +1,115 @@
+/**
+ * Transfer Review Component - confirm or unlink detected transfers
+ */
+import { openModal } from './Modal.js';
+import { formatCurrency, formatDate, formatNumber, escapeHtml } from '../utils/formatters.js';
+
+// Actions offered per pair; the first is the default
+const ACTIONS = {
+    suggested: [
+        { value: 'confirm', label: 'Confirm' },
+        { value: 'keep', label: 'Decide later' },
+        { value: 'unlink', label: 'Not a transfer' }
+    ],
+    confirmed: [
+        { value: 'keep', label: 'Keep' },
+        { value: 'unlink', label: 'Unlink' }
+    ]
+};
+
+/**
+ * Show the transfer review
+ * @param {Object} options - Review options
+ * @param {Array} options.pairs - Result of getTransferPairs()
+ * @param {Array} options.accounts - Accounts, for naming each side
+ * @returns {Promise<Object|null>} Object with confirmed and unlinked arrays of outgoing
+ *   transaction ids, or null if cancelled
+ */
+export function showTransferReview(options) {
+    return new Promise((resolve) => {
+        const { pairs, accounts } = options;
+        const accountNames = new Map(accounts.map(a => [a.id, a.name]));
+        const suggested = pairs.filter(p => !p.confirmed).length;
+
+        const modal = openModal({
+            title: 'Review Transfers',
+            size: 'lg',
+            content: `
+        <p class="modal-text">
+          ${formatNumber(pairs.length)} transfer${pairs.length === 1 ? '' : 's'} between your accounts,
+          ${formatNumber(suggested)} waiting for confirmation.
+          Transfers are left out of income, expenses, savings rate and charts.
+        </p>
+        <div class="table-wrapper review-table-wrapper">
+          <table class="table review-table">
+            <thead>
+              <tr>
+                <th>Status</th>
+                <th>From</th>
+                <th>To</th>
+                <th style="text-align: right;">Amount</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${pairs.map(pair => `
+                <tr>
+                  <td>
+                    <span class="badge ${pair.confirmed ? 'badge-success' : 'badge-warning'}">${pair.confirmed ? 'Confirmed' : 'Suggested'}</span>
+                    ${pair.days > 0 ? `<span class="form-hint">${pair.days} day${pair.days === 1 ? '' : 's'} apart</span>` : ''}
+                  </td>
+                  <td>${formatSide(pair.out, accountNames)}</td>
+                  <td>${formatSide(pair.in, accountNames)}</td>
+                  <td class="amount-cell" style="text-align: right;">${formatCurrency(pair.out.amount)}</td>
+                  <td>
+                    <select class="input select transfer-action" data-id="${pair.out.id}">
+                      ${ACTIONS[pair.confirmed ? 'confirmed' : 'suggested'].map(a => `<option value="${a.value}">${a.label}</option>`).join('')}
+                    </select>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `,
+            footer: `
+        <button class="btn btn-ghost" id="transfer-cancel">Cancel</button>
+        <button class="btn btn-primary" id="transfer-confirm">Save</button>
+      `,
+            onDismiss: () => resolve(null)
+        });
+
+        modal.element.querySelector('#transfer-cancel').addEventListener('click', () => {
+            modal.close();
+            resolve(null);
+        });
+
+        modal.element.querySelector('#transfer-confirm').addEventListener('click', () => {
+            const confirmed = [];
+            const unlinked = [];
+
+            modal.element.querySelectorAll('.transfer-action').forEach(select => {
+                const id = Number(select.dataset.id);
+                if (select.value === 'confirm') confirmed.push(id);
+                if (select.value === 'unlink') unlinked.push(id);
+            });
+
+            modal.close();
+            resolve({ confirmed, unlinked });
+        });
+    });
+}
+
+/**
+ * Render one side of a transfer: date, account and description
+ * @param {Object} transaction - Transaction
+ * @param {Map} accountNames - Account names by id
+ * @returns {string} HTML
+ */
+function formatSide(transaction, accountNames) {
+    const account = accountNames.get(transaction.account);
+    return `
+    ${formatDate(transaction.date, 'medium')}${account ? ` &middot; <strong>${escapeHtml(account)}</strong>` : ''}
+    <span class="form-hint">${escapeHtml(transaction.description || '-')}</span>
+  `;
+}
@@ -0,0 +1,146 @@
+/**
+ * Account utilities - account types, validation, import assignment and balances
+ */
+import { calculateBalance } from './calculations.js';
+import { getFlowType } from './transfers.js';
+
+/**
+ * Supported account types
+ */
+export const ACCOUNT_TYPES = {
+    checking: { label: 'Checking' },
+    savings: { label: 'Savings' },
+    credit: { label: 'Credit card' },
+    cash: { label: 'Cash' },
+    other: { label: 'Other' }
+};
+
+/**
+ * ISO 4217 currency code
+ */
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Validate account fields and build an account
+ * @param {Object} fields - Object with id, name, type, openingBalance and currency
+ * @param {Array} accounts - The other accounts, for the unique name check
+ * @returns {Object} Object with the account, or with an error message
+ */
+export function buildAccount(fields, accounts = []) {
+    const name = String(fields.name || '').trim();
+    const currency = String(fields.currency || '').trim().toUpperCase();
+    const openingBalance = fields.openingBalance === '' || fields.openingBalance === undefined
+        ? 0
+        : Number(fields.openingBalance);
+
+    if (!name) {
+        return { error: 'Enter an account name' };
+    }
+    if (accounts.some(a => a.id !== fields.id && a.name.toLowerCase() === name.toLowerCase())) {
+        return { error: `There is already an account named "${name}"` };
+    }
+    if (!ACCOUNT_TYPES[fields.type]) {
+        return { error: 'Choose an account type' };
+    }
+    if (!Number.isFinite(openingBalance)) {
+        return { error: 'Opening balance must be a number' };
+    }
+    if (!CURRENCY_PATTERN.test(currency)) {
+        return { error: 'Currency must be a three-letter code such as USD or EUR' };
+    }
+
+    return {
+        account: {
+            id: fields.id,
+            name,
+            type: fields.type,
+            openingBalance: Math.round(openingBalance * 100) / 100,
+            currency
+        }
+    };
+}
+
+/**
+ * Get the next free account id
+ * @param {Array} accounts - Existing accounts
+ * @returns {number} Account id
+ */
+export function getNextAccountId(accounts) {
+    return accounts.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+}
+
+/**
+ * Find an account by name, ignoring case
+ * @param {Array} accounts - Accounts to search
+ * @param {string} name - Account name
+ * @returns {Object|undefined} Matching account
+ */
+export function findAccountByName(accounts, name) {
+    const key = String(name).trim().toLowerCase();
+    return accounts.find(a => a.name.toLowerCase() === key);
+}
+
+/**
+ * Point imported transactions at account ids. Rows with an account name from a
+ * mapped column go to that account; the rest go to the account chosen for the
+ * import. Unknown names become new accounts.
+ * @param {Array} transactions - Imported transactions; updated in place
+ * @param {Array} accounts - Existing accounts
+ * @param {Object|null} target - Account chosen for the import: { id } or { name } for a new one
+ * @param {string} currency - Currency for new accounts
+ * @returns {Array} Accounts created by the import
+ */
+export function assignAccounts(transactions, accounts, target, currency) {
+    const created = [];
+    const all = [...accounts];
+
+    const resolve = (name) => {
+        let account = findAccountByName(all, name);
+        if (!account) {
+            account = { id: getNextAccountId(all), name: String(name).trim(), type: 'checking', openingBalance: 0, currency };
+            all.push(account);
+            created.push(account);
+        }
+        return account.id;
+    };
+
+    let defaultId = null;
+    if (target && target.id !== undefined) {
+        defaultId = target.id;
+    } else if (target && target.name) {
+        defaultId = resolve(target.name);
+    }
+
+    transactions.forEach(t => {
+        if (typeof t.account === 'string' && t.account.trim()) {
+            t.account = resolve(t.account);
+        } else if (defaultId !== null) {
+            t.account = defaultId;
+        } else {
+            delete t.account;
+        }
+    });
+
+    return created;
+}
+
+/**
+ * Calculate each account's balance: opening balance plus its transactions,
+ * including transfers in and out
+ * @param {Array} accounts - Accounts
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Array of { account, balance, count } in account order
+ */
+export function calculateAccountBalances(accounts, transactions) {
+    return accounts.map(account => {
+        const own = transactions.filter(t => t.account === account.id);
+        const transfers = own
+            .filter(t => t.type === 'Transfer')
+            .reduce((sum, t) => sum + (getFlowType(t) === 'Income' ? t.amount : -t.amount), 0);
+        return {
+            account,
+            balance: Math.round((account.openingBalance + calculateBalance(own) + transfers) * 100) / 100,
+            count: own.length
+        };
+    });
+}
@@ -0,0 +1,68 @@
+/**
+ * Inactivity timer that locks encrypted data when the page is left alone
+ */
+
+/**
+ * Events that count as user activity
+ */
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+
+/**
+ * How often, in milliseconds, the idle time is checked
+ */
+const CHECK_INTERVAL = 15000;
+
+let lastActivity = 0;
+let intervalId = null;
+let stopCurrent = null;
+
+/**
+ * Start watching for inactivity, replacing any running timer
+ * @param {number} minutes - Idle minutes before locking; 0 turns auto-lock off
+ * @param {Function} onLock - Called once when the idle time is reached
+ */
+export function startAutoLock(minutes, onLock) {
+    stopAutoLock();
+    if (!minutes) return;
+
+    const timeout = minutes * 60 * 1000;
+    lastActivity = Date.now();
+
+    const markActivity = () => {
+        lastActivity = Date.now();
+    };
+
+    // Timers are throttled in background tabs, so also check when the tab is shown again
+    const check = () => {
+        if (Date.now() - lastActivity >= timeout) {
+            stopAutoLock();
+            onLock();
+        }
+    };
+    const handleVisibility = () => {
+        if (!document.hidden) check();
+    };
+
+    ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, markActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibility);
+    intervalId = setInterval(check, CHECK_INTERVAL);
+
+    stopCurrent = () => {
+        ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, markActivity));
+        document.removeEventListener('visibilitychange', handleVisibility);
+    };
+}
+
+/**
+ * Stop the inactivity timer
+ */
+export function stopAutoLock() {
+    if (intervalId !== null) {
+        clearInterval(intervalId);
+        intervalId = null;
+    }
+    if (stopCurrent) {
+        stopCurrent();
+        stopCurrent = null;
+    }
+}
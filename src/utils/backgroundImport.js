@@ -0,0 +1,97 @@
+/**
+ * Runs imports in the import worker so large files do not freeze the page
+ */
+import { parseImportFile, detectFileFormat } from './importer.js';
+
+/**
+ * Parse callbacks answered on the main thread when the worker asks
+ */
+const PROXIED_CALLBACKS = ['resolveMapping', 'resolveDateOrder', 'selectSheets'];
+
+/**
+ * Start importing a file in the background
+ * @param {File} file - The file to parse
+ * @param {Object} options - Parse options (see parseExcelFile), including onProgress
+ * @returns {Object} Object with result (Promise resolving to the parse result, or null if
+ *   cancelled) and cancel() to stop the import
+ */
+export function startImport(file, options = {}) {
+    let worker = null;
+    let cancelled = false;
+    let settle = null;
+
+    const result = new Promise((resolve, reject) => {
+        settle = resolve;
+
+        detectFileFormat(file).then(format => {
+            if (cancelled) return;
+
+            // Workers have no DOMParser, which CAMT.053 needs
+            if (format === 'camt' || typeof Worker === 'undefined') {
+                parseImportFile(file, options).then(resolve, reject);
+                return;
+            }
+
+            worker = new Worker(new URL('../workers/importWorker.js', import.meta.url), { type: 'module' });
+
+            const fail = (error) => {
+                stopWorker();
+                reject(error);
+            };
+
+            worker.onmessage = async (e) => {
+                const message = e.data;
+
+                switch (message.type) {
+                    case 'progress':
+                        if (options.onProgress) options.onProgress(message.progress);
+                        break;
+                    case 'request':
+                        try {
+                            const value = await options[message.name](message.payload);
+                            if (worker) worker.postMessage({ type: 'response', id: message.id, value });
+                        } catch (error) {
+                            fail(error);
+                        }
+                        break;
+                    case 'done':
+                        stopWorker();
+                        resolve(message.result);
+                        break;
+                    case 'error':
+                        fail(new Error(message.message));
+                        break;
+                    default:
+                        break;
+                }
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                fail(new Error(e.message || 'The import worker stopped unexpectedly'));
+            };
+
+            worker.postMessage({
+                type: 'parse',
+                file,
+                callbacks: PROXIED_CALLBACKS.filter(name => typeof options[name] === 'function')
+            });
+        }).catch(reject);
+    });
+
+    function stopWorker() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    }
+
+    return {
+        result,
+        cancel() {
+            cancelled = true;
+            stopWorker();
+            settle(null);
+        }
+    };
+}
@@ -0,0 +1,337 @@
+/**
+ * Workspace backup - one versioned JSON file with transactions (keeping their ids),
+ * accounts, settings, import profiles, categorisation rules, payee aliases and
+ * category colours and icons, and restoring it by replace or merge
+ */
+import { readFileAsArrayBuffer } from './excelParser.js';
+import { buildAccount, findAccountByName, getNextAccountId } from './accounts.js';
+import { NUMBER_FORMATS, DATE_ORDERS } from './formatters.js';
+import { getFlowType } from './transfers.js';
+import { buildRule, getNextRuleId } from './rules.js';
+import { buildPayeeAlias } from './payees.js';
+import { normalizeDescription } from './duplicates.js';
+import { buildCategoryStyle } from './categories.js';
+
+/**
+ * Marks a file as a dashboard backup
+ */
+const BACKUP_FORMAT = 'finance-dashboard-backup';
+
+/**
+ * Backup file version; raise it when the layout changes incompatibly
+ */
+export const BACKUP_VERSION = 1;
+
+const TRANSACTION_TYPES = ['Income', 'Expense', 'Transfer'];
+const DATE_FIELDS = ['date', 'valueDate'];
+
+/**
+ * Build a backup of the whole workspace
+ * @param {Object} workspace - Object with transactions, accounts, settings, importProfiles,
+ *   rules, payeeAliases and categoryStyles
+ * @returns {Object} Backup, ready to be written as JSON
+ */
+export function createBackup(workspace) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        transactions: workspace.transactions,
+        accounts: workspace.accounts,
+        settings: workspace.settings,
+        importProfiles: workspace.importProfiles,
+        rules: workspace.rules,
+        payeeAliases: workspace.payeeAliases,
+        categoryStyles: workspace.categoryStyles
+    };
+}
+
+/**
+ * Read and validate a backup file
+ * @param {File} file - Backup file
+ * @returns {Promise<Object>} Validated backup with dates restored; rejects with a
+ *   user-facing error if the file is not a usable backup
+ */
+export async function parseBackupFile(file) {
+    const buffer = await readFileAsArrayBuffer(file);
+    return parseBackup(new TextDecoder('utf-8').decode(buffer));
+}
+
+/**
+ * Validate backup JSON
+ * @param {string} text - File contents
+ * @returns {Object} Object with version, createdAt, transactions, accounts, settings,
+ *   importProfiles, rules, payeeAliases and categoryStyles
+ */
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('This file is not a dashboard backup');
+    }
+
+    if (!data || data.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not a dashboard backup');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('The backup has no valid version number');
+    }
+    if (data.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the dashboard and cannot be restored here');
+    }
+    if (!Array.isArray(data.transactions)) {
+        throw new Error('The backup has no list of transactions');
+    }
+
+    // Accounts go through the same checks as the account manager, so the cards can show them
+    const accounts = [];
+    const accountIds = new Set();
+    (Array.isArray(data.accounts) ? data.accounts : []).forEach((fields, index) => {
+        const { account, error } = isPlainObject(fields) ? buildAccount({ ...fields }, accounts) : { error: 'not an account' };
+        if (error || !Number.isInteger(account.id) || accountIds.has(account.id)) {
+            throw new Error(`Account ${index + 1} in the backup is damaged${error ? `: ${error}` : ''}`);
+        }
+        accounts.push(account);
+        accountIds.add(account.id);
+    });
+
+    const transactionIds = new Set(data.transactions.map(t => t?.id));
+    const seen = new Set();
+    const transactions = data.transactions.map((t, index) => {
+        const reason = getTransactionError(t, seen, transactionIds, accountIds);
+        if (reason) {
+            throw new Error(`Transaction ${index + 1} in the backup is damaged: ${reason}`);
+        }
+        seen.add(t.id);
+
+        const restored = { ...t };
+        DATE_FIELDS.forEach(field => {
+            if (restored[field] !== undefined) restored[field] = new Date(restored[field]);
+        });
+        return restored;
+    });
+
+    const rules = (Array.isArray(data.rules) ? data.rules : []).map((fields, index) => {
+        const { rule, error } = isPlainObject(fields) ? buildRule({ ...fields }) : { error: 'not a rule' };
+        if (error || !Number.isInteger(rule.id)) {
+            throw new Error(`Rule ${index + 1} in the backup is damaged${error ? `: ${error}` : ''}`);
+        }
+        if (rule.account !== null && !accountIds.has(rule.account)) {
+            throw new Error(`Rule ${index + 1} in the backup is damaged: unknown account`);
+        }
+        return rule;
+    });
+
+    // Backups made before payee aliases existed have none
+    const payeeAliases = (Array.isArray(data.payeeAliases) ? data.payeeAliases : []).map((fields, index) => {
+        const { alias, error } = isPlainObject(fields) ? buildPayeeAlias({ ...fields }) : { error: 'not an alias' };
+        if (error) {
+            throw new Error(`Payee alias ${index + 1} in the backup is damaged: ${error}`);
+        }
+        return alias;
+    });
+
+    // Colours and icons are cosmetic, so unusable ones are dropped rather than refused
+    const categoryStyles = {};
+    Object.entries(isPlainObject(data.categoryStyles) ? data.categoryStyles : {}).forEach(([category, fields]) => {
+        const style = isPlainObject(fields) ? buildCategoryStyle(fields) : null;
+        if (style) categoryStyles[category] = style;
+    });
+
+    const settings = isPlainObject(data.settings) ? data.settings : {};
+    const settingsError = getSettingsError(settings);
+    if (settingsError) {
+        throw new Error(`The settings in the backup are damaged: ${settingsError}`);
+    }
+
+    const importProfiles = Array.isArray(data.importProfiles) ? data.importProfiles : [];
+    importProfiles.forEach((profile, index) => {
+        const reason = getImportProfileError(profile);
+        if (reason) {
+            throw new Error(`Import profile ${index + 1} in the backup is damaged: ${reason}`);
+        }
+    });
+
+    const createdAt = new Date(data.createdAt);
+
+    return {
+        version: data.version,
+        createdAt: isNaN(createdAt.getTime()) ? null : createdAt,
+        transactions,
+        accounts,
+        settings,
+        importProfiles,
+        rules,
+        payeeAliases,
+        categoryStyles
+    };
+}
+
+/**
+ * Summarise a backup for the restore preview
+ * @param {Object} backup - Result of parseBackup()
+ * @returns {Object} Counts, date range and category names
+ */
+export function summarizeBackup(backup) {
+    const times = backup.transactions.map(t => t.date.getTime());
+    const categories = [...new Set(backup.transactions.map(t => t.category))].sort();
+
+    return {
+        transactions: backup.transactions.length,
+        accounts: backup.accounts.length,
+        importProfiles: backup.importProfiles.length,
+        rules: backup.rules.length,
+        payeeAliases: backup.payeeAliases.length,
+        transfers: backup.transactions.filter(t => t.type === 'Transfer').length / 2,
+        categories,
+        from: times.length > 0 ? new Date(Math.min(...times)) : null,
+        to: times.length > 0 ? new Date(Math.max(...times)) : null
+    };
+}
+
+/**
+ * Prepare backup data for merging into the current workspace. Accounts are matched
+ * by name and missing ones added; transactions and rules are pointed at the merged
+ * account ids, and rules and payee aliases not in use yet are added after the current ones.
+ * Transfer links are dropped because merged rows get new ids; the app detects the
+ * pairs again after merging.
+ * @param {Object} backup - Result of parseBackup()
+ * @param {Object} current - Object with accounts, importProfiles, rules, payeeAliases and
+ *   categoryStyles in use
+ * @returns {Object} Object with transactions to review, the merged accounts, import
+ *   profiles, rules, payee aliases and category styles, and the accounts created
+ */
+export function prepareBackupMerge(backup, current) {
+    const accounts = [...current.accounts];
+    const created = [];
+    const accountIds = new Map();
+
+    backup.accounts.forEach(account => {
+        let match = findAccountByName(accounts, account.name);
+        if (!match) {
+            match = { ...account, id: getNextAccountId(accounts) };
+            accounts.push(match);
+            created.push(match);
+        }
+        accountIds.set(account.id, match.id);
+    });
+
+    const transactions = backup.transactions.map(t => {
+        const copy = { ...t };
+        if (copy.account !== undefined) copy.account = accountIds.get(copy.account);
+        if (copy.type === 'Transfer') {
+            copy.type = getFlowType(copy);
+            delete copy.transferPeer;
+            delete copy.transferDirection;
+            delete copy.transferConfirmed;
+        }
+        return copy;
+    });
+
+    // Keep the profiles in use; add the ones for headers not seen here yet
+    const fingerprints = new Set(current.importProfiles.map(p => p.fingerprint));
+    const importProfiles = [
+        ...current.importProfiles,
+        ...backup.importProfiles.filter(p => !fingerprints.has(p.fingerprint))
+    ];
+
+    const ruleKeys = new Set(current.rules.map(getRuleKey));
+    const rules = [...current.rules];
+    backup.rules.forEach(rule => {
+        const mapped = { ...rule, account: rule.account === null ? null : accountIds.get(rule.account) ?? null };
+        if (ruleKeys.has(getRuleKey(mapped))) return;
+        ruleKeys.add(getRuleKey(mapped));
+        rules.push({ ...mapped, id: getNextRuleId(rules) });
+    });
+
+    // An alias for text already looked for would never be reached
+    const aliasKeys = new Set(current.payeeAliases.map(a => normalizeDescription(a.match)));
+    const payeeAliases = [
+        ...current.payeeAliases,
+        ...backup.payeeAliases.filter(a => {
+            const key = normalizeDescription(a.match);
+            if (aliasKeys.has(key)) return false;
+            aliasKeys.add(key);
+            return true;
+        })
+    ];
+
+    // Colours and icons chosen here win over the backup's
+    const categoryStyles = { ...backup.categoryStyles, ...current.categoryStyles };
+
+    return { transactions, accounts, created, importProfiles, rules, payeeAliases, categoryStyles };
+}
+
+/**
+ * Key a rule by its conditions and category, to spot the same rule in a backup
+ * @param {Object} rule - Rule
+ * @returns {string} Key
+ */
+function getRuleKey(rule) {
+    return JSON.stringify([rule.pattern, rule.isRegex, rule.minAmount, rule.maxAmount, rule.account, rule.type, rule.category]);
+}
+
+/**
+ * Check one backed-up transaction
+ * @param {Object} t - Transaction from the file
+ * @param {Set} seen - Ids of the transactions checked so far
+ * @param {Set} transactionIds - Ids of all transactions in the file
+ * @param {Set} accountIds - Ids of the accounts in the file
+ * @returns {string|null} Reason, or null if valid
+ */
+function getTransactionError(t, seen, transactionIds, accountIds) {
+    if (!isPlainObject(t)) return 'not a transaction';
+    if (!Number.isInteger(t.id)) return 'missing id';
+    if (seen.has(t.id)) return `id ${t.id} is used twice`;
+    if (isNaN(new Date(t.date).getTime())) return 'invalid date';
+    if (typeof t.amount !== 'number' || !Number.isFinite(t.amount)) return 'invalid amount';
+    if (typeof t.description !== 'string') return 'missing description';
+    if (t.payee !== undefined && typeof t.payee !== 'string') return 'invalid payee';
+    if (typeof t.category !== 'string') return 'missing category';
+    if (!TRANSACTION_TYPES.includes(t.type)) return `unknown type "${t.type}"`;
+    if (t.account !== undefined && !accountIds.has(t.account)) return 'unknown account';
+    if (t.type === 'Transfer' && !transactionIds.has(t.transferPeer)) return 'transfer without its other side';
+    return null;
+}
+
+/**
+ * Check the backed-up settings; each one may be missing, and then keeps its default
+ * @param {Object} settings - Settings from the file
+ * @returns {string|null} Reason, or null if valid
+ */
+function getSettingsError(settings) {
+    const { currency, pageSize, defaultView, autoLockMinutes } = settings;
+    if (currency !== undefined && !/^[A-Z]{3}$/.test(currency)) return 'invalid currency';
+    if (pageSize !== undefined && !(Number.isInteger(pageSize) && pageSize > 0)) return 'invalid page size';
+    if (defaultView !== undefined && typeof defaultView !== 'string') return 'invalid default view';
+    if (autoLockMinutes !== undefined && !(Number.isInteger(autoLockMinutes) && autoLockMinutes >= 0)) {
+        return 'invalid auto-lock delay';
+    }
+    return null;
+}
+
+/**
+ * Check one backed-up import profile
+ * @param {Object} profile - Profile from the file
+ * @returns {string|null} Reason, or null if valid
+ */
+function getImportProfileError(profile) {
+    if (!isPlainObject(profile)) return 'not an import profile';
+    if (typeof profile.fingerprint !== 'string' || !profile.fingerprint) return 'missing header fingerprint';
+    if (typeof profile.name !== 'string') return 'missing name';
+    if (!isPlainObject(profile.columnMap) || !Number.isInteger(profile.columnMap.date)) return 'missing column mapping';
+    if (Object.values(profile.columnMap).some(index => !Number.isInteger(index) || index < -1)) return 'invalid column mapping';
+    if (profile.numberFormat && !NUMBER_FORMATS[profile.numberFormat]) return `unknown number format "${profile.numberFormat}"`;
+    if (profile.dateOrder && !DATE_ORDERS[profile.dateOrder]) return `unknown date order "${profile.dateOrder}"`;
+    return null;
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-null, non-array object
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -1,6 +1,7 @@
 /**
  * Financial calculations utility functions
  */
+import { isInCategory, rollUpCategory } from './categories.js';
 
 /**
  * Calculate total income from transactions
@@ -51,9 +52,12 @@ export function calculateSavingsRate(transactions) {
  * Group transactions by category and calculate totals
  * @param {Array} transactions - Array of transaction objects
  * @param {string} type - 'income', 'expense', or 'all'
+ * @param {Object} options - Roll-up options; leave out to total every category by its full name
+ * @param {string|null} options.parent - Total the children of this category, or the top
+ *   level when null; transactions outside the parent are left out
  * @returns {Object} Object with category names as keys and totals as values
  */
-export function calculateByCategory(transactions, type = 'all') {
+export function calculateByCategory(transactions, type = 'all', options = {}) {
     let filtered = transactions;
 
     if (type !== 'all') {
@@ -63,7 +67,11 @@ export function calculateByCategory(transactions, type = 'all') {
     }
 
     return filtered.reduce((acc, t) => {
-        const category = t.category || 'Uncategorized';
+        const category = options.parent === undefined
+            ? t.category || 'Uncategorized'
+            : rollUpCategory(t.category, options.parent);
+        if (category === null) return acc;
+
         acc[category] = (acc[category] || 0) + Math.abs(t.amount);
         return acc;
     }, {});
@@ -85,9 +93,10 @@ export function calculateByMonth(transactions) {
             monthlyData[monthKey] = { income: 0, expenses: 0, month: monthKey };
         }
 
+        // Transfers between own accounts are neither
         if (t.type.toLowerCase() === 'income') {
             monthlyData[monthKey].income += Math.abs(t.amount);
-        } else {
+        } else if (t.type.toLowerCase() === 'expense') {
             monthlyData[monthKey].expenses += Math.abs(t.amount);
         }
     });
@@ -106,6 +115,26 @@ export function getUniqueCategories(transactions) {
     return Array.from(categories).sort();
 }
 
+/**
+ * Get unique source sheets from transactions
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Array of unique sheet names
+ */
+export function getUniqueSheets(transactions) {
+    const sheets = new Set(transactions.filter(t => t.sheet).map(t => t.sheet));
+    return Array.from(sheets).sort();
+}
+
+/**
+ * Get unique source files from transactions
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Array of unique file names
+ */
+export function getUniqueSourceFiles(transactions) {
+    const files = new Set(transactions.filter(t => t.sourceFile).map(t => t.sourceFile));
+    return Array.from(files).sort();
+}
+
 /**
  * Get date range from transactions
  * @param {Array} transactions - Array of transaction objects
@@ -138,14 +167,48 @@ export function filterByDateRange(transactions, startDate, endDate) {
 }
 
 /**
- * Filter transactions by category
+ * Filter transactions by category, including its subcategories
  * @param {Array} transactions - Array of transaction objects
  * @param {string} category - Category name
  * @returns {Array} Filtered transactions
  */
 export function filterByCategory(transactions, category) {
     if (!category || category === 'all') return transactions;
-    return transactions.filter(t => t.category === category);
+    return transactions.filter(t => isInCategory(t.category, category));
+}
+
+/**
+ * Filter transactions by source sheet
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} sheet - Sheet name
+ * @returns {Array} Filtered transactions
+ */
+export function filterBySheet(transactions, sheet) {
+    if (!sheet || sheet === 'all') return transactions;
+    return transactions.filter(t => t.sheet === sheet);
+}
+
+/**
+ * Filter transactions by source file
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} sourceFile - File name
+ * @returns {Array} Filtered transactions
+ */
+export function filterBySourceFile(transactions, sourceFile) {
+    if (!sourceFile || sourceFile === 'all') return transactions;
+    return transactions.filter(t => t.sourceFile === sourceFile);
+}
+
+/**
+ * Filter transactions by account
+ * @param {Array} transactions - Array of transaction objects
+ * @param {string} account - Account id as a string, 'none' for unassigned, or 'all'
+ * @returns {Array} Filtered transactions
+ */
+export function filterByAccount(transactions, account) {
+    if (!account || account === 'all') return transactions;
+    if (account === 'none') return transactions.filter(t => t.account === undefined);
+    return transactions.filter(t => String(t.account) === account);
 }
 
 /**
@@ -160,7 +223,7 @@ export function filterByType(transactions, type) {
 }
 
 /**
- * Search transactions by description
+ * Search transactions by description, payee and category
  * @param {Array} transactions - Array of transaction objects
  * @param {string} query - Search query
  * @returns {Array} Matching transactions
@@ -170,6 +233,7 @@ export function searchTransactions(transactions, query) {
     const lowerQuery = query.toLowerCase();
     return transactions.filter(t =>
         t.description.toLowerCase().includes(lowerQuery) ||
+        (t.payee || '').toLowerCase().includes(lowerQuery) ||
         t.category.toLowerCase().includes(lowerQuery)
     );
 }
@@ -0,0 +1,286 @@
+/**
+ * ISO 20022 CAMT.053 (bank-to-customer statement) parsing utility
+ */
+import { readFileAsArrayBuffer } from './excelParser.js';
+import { decodeText } from './csvParser.js';
+import { calculateBalance } from './calculations.js';
+
+/**
+ * Balance type codes for the opening and closing balance
+ */
+const OPENING_BALANCE_CODES = ['OPBD', 'PRCD'];
+const CLOSING_BALANCE_CODES = ['CLBD'];
+
+/**
+ * Entry elements shown for a skipped entry in the import report
+ */
+const REPORTED_ELEMENTS = ['BookgDt', 'ValDt', 'Amt', 'CdtDbtInd', 'AcctSvcrRef', 'AddtlNtryInf'];
+
+/**
+ * Parse a CAMT.053 XML file and extract transaction data
+ * @param {File} file - The statement file to parse
+ * @returns {Promise<Object>} Object containing transactions, statement balances and metadata
+ */
+export async function parseCamtFile(file) {
+    const buffer = await readFileAsArrayBuffer(file);
+    const { text } = decodeText(new Uint8Array(buffer));
+
+    const result = parseCamtText(text);
+
+    return {
+        ...result,
+        fileName: file.name,
+        sheetName: null,
+        profileName: null
+    };
+}
+
+/**
+ * Parse CAMT.053 XML text into transactions
+ * @param {string} text - CAMT.053 document
+ * @returns {Object} Object with transactions, statements and row counts, and the entries
+ *   that could not be read
+ */
+export function parseCamtText(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The CAMT.053 file is not valid XML');
+    }
+
+    const statementEls = getDescendants(doc, 'Stmt');
+    if (statementEls.length === 0) {
+        throw new Error('No statements (Stmt elements) found in the CAMT.053 file');
+    }
+
+    const transactions = [];
+    const rejected = [];
+    const statements = [];
+    let totalRows = 0;
+
+    statementEls.forEach(statementEl => {
+        const entries = getChildren(statementEl, 'Ntry');
+        const statementTransactions = [];
+
+        entries.forEach(entryEl => {
+            totalRows++;
+            const { transaction, reason, draft } = parseEntry(entryEl);
+            if (transaction) {
+                transaction.id = transactions.length + 1;
+                transactions.push(transaction);
+                statementTransactions.push(transaction);
+            } else {
+                rejected.push({
+                    // Position of the Ntry element among all entries in the file
+                    row: totalRows,
+                    values: Object.fromEntries(REPORTED_ELEMENTS.map(name => [name, getText(entryEl, name)])),
+                    reason,
+                    draft
+                });
+            }
+        });
+
+        statements.push(buildStatement(statementEl, statementTransactions));
+    });
+
+    return {
+        transactions,
+        rejected,
+        statements,
+        totalRows,
+        parsedRows: transactions.length,
+        columns: ['date', 'description', 'amount', 'type'],
+        format: 'CAMT.053'
+    };
+}
+
+/**
+ * Parse a single Ntry element
+ * @param {Element} entryEl - Ntry element
+ * @returns {Object} Object with the transaction, or with the reason it was rejected and a
+ *   draft of the fields that could be read
+ */
+function parseEntry(entryEl) {
+    const rawDate = getText(entryEl, 'BookgDt', 'Dt') || getText(entryEl, 'BookgDt', 'DtTm');
+    const rawAmount = getText(entryEl, 'Amt');
+    const date = parseIsoDate(rawDate);
+    const amount = parseFloat(rawAmount);
+
+    const isCredit = getText(entryEl, 'CdtDbtInd') === 'CRDT';
+    const details = getDescendants(entryEl, 'TxDtls')[0] || null;
+
+    // The counterparty is the debtor on credits and the creditor on debits
+    let counterparty = '';
+    let counterpartyIban = '';
+    if (details) {
+        const partiesEl = getDescendants(details, 'RltdPties')[0];
+        if (partiesEl) {
+            const partyEl = getChildren(partiesEl, isCredit ? 'Dbtr' : 'Cdtr')[0];
+            const accountEl = getChildren(partiesEl, isCredit ? 'DbtrAcct' : 'CdtrAcct')[0];
+            counterparty = partyEl ? getDescendantText(partyEl, 'Nm') : '';
+            counterpartyIban = accountEl ? getDescendantText(accountEl, 'IBAN') : '';
+        }
+    }
+
+    const remittance = details
+        ? getDescendants(details, 'Ustrd').map(el => el.textContent.trim()).join(' ')
+        : '';
+    const additionalInfo = getText(entryEl, 'AddtlNtryInf');
+    const remittanceText = remittance || additionalInfo;
+
+    const description = [counterparty, remittanceText].filter(Boolean).join(' - ');
+    const draft = {
+        date,
+        description,
+        category: 'Uncategorized',
+        amount: (isCredit ? Math.abs(amount) : -Math.abs(amount)) || null
+    };
+
+    if (!date) {
+        return { reason: rawDate ? `Unrecognised date "${rawDate}"` : 'Missing date', draft };
+    }
+    if (isNaN(amount)) {
+        return { reason: rawAmount ? `Unrecognised amount "${rawAmount}"` : 'Missing amount', draft };
+    }
+    if (amount === 0) {
+        return { reason: 'Amount is zero', draft };
+    }
+
+    const endToEndId = details ? getDescendantText(details, 'EndToEndId') : '';
+
+    return {
+        transaction: {
+            date,
+            valueDate: parseIsoDate(getText(entryEl, 'ValDt', 'Dt') || getText(entryEl, 'ValDt', 'DtTm')),
+            description,
+            category: 'Uncategorized',
+            amount: Math.abs(amount),
+            type: isCredit ? 'Income' : 'Expense',
+            counterparty: counterparty || null,
+            counterpartyIban: counterpartyIban || null,
+            remittanceInfo: remittanceText || null,
+            externalId: getText(entryEl, 'AcctSvcrRef') ||
+                (endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : null)
+        }
+    };
+}
+
+/**
+ * Collect a statement's account, balances and reconciliation result
+ * @param {Element} statementEl - Stmt element
+ * @param {Array} transactions - Transactions parsed from the statement
+ * @returns {Object} Statement summary
+ */
+function buildStatement(statementEl, transactions) {
+    let opening = null;
+    let closing = null;
+
+    getChildren(statementEl, 'Bal').forEach(balanceEl => {
+        const code = getDescendantText(getChildren(balanceEl, 'Tp')[0] || balanceEl, 'Cd');
+        const balance = {
+            amount: parseFloat(getText(balanceEl, 'Amt')) * (getText(balanceEl, 'CdtDbtInd') === 'DBIT' ? -1 : 1),
+            date: parseIsoDate(getText(balanceEl, 'Dt', 'Dt') || getText(balanceEl, 'Dt', 'DtTm'))
+        };
+
+        if (OPENING_BALANCE_CODES.includes(code) && !opening) opening = balance;
+        if (CLOSING_BALANCE_CODES.includes(code)) closing = balance;
+    });
+
+    const accountEl = getChildren(statementEl, 'Acct')[0];
+
+    return {
+        account: accountEl ? getDescendantText(accountEl, 'IBAN') || getDescendantText(accountEl, 'Id') : '',
+        currency: accountEl ? getDescendantText(accountEl, 'Ccy') : '',
+        ...reconcileBalances(opening, closing, transactions)
+    };
+}
+
+/**
+ * Check a statement's closing balance against its opening balance plus the entries
+ * @param {Object|null} opening - Opening balance { amount, date }
+ * @param {Object|null} closing - Closing balance { amount, date }
+ * @param {Array} transactions - Transactions in the statement
+ * @returns {Object} Object with opening, closing, computedClosing and matches (null if unknown)
+ */
+export function reconcileBalances(opening, closing, transactions) {
+    if (!opening || !closing) {
+        return { opening, closing, computedClosing: null, matches: null };
+    }
+
+    const computedClosing = Math.round((opening.amount + calculateBalance(transactions)) * 100) / 100;
+
+    return {
+        opening,
+        closing,
+        computedClosing,
+        matches: Math.abs(computedClosing - closing.amount) < 0.005
+    };
+}
+
+/**
+ * Parse an ISO date or date-time, keeping only the calendar date
+ * @param {string} value - ISO 8601 string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseIsoDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+
+    const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get direct children with a local name, ignoring namespaces
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {Array} Matching elements
+ */
+function getChildren(parent, name) {
+    return Array.from(parent.children).filter(el => el.localName === name);
+}
+
+/**
+ * Get descendants with a local name, ignoring namespaces
+ * @param {Element|Document} parent - Parent node
+ * @param {string} name - Local name
+ * @returns {Array} Matching elements
+ */
+function getDescendants(parent, name) {
+    return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Get the text of the first descendant with a local name
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {string} Trimmed text, or empty string
+ */
+function getDescendantText(parent, name) {
+    const el = getDescendants(parent, name)[0];
+    return el ? el.textContent.trim() : '';
+}
+
+/**
+ * Follow a path of direct children and return the text at the end
+ * @param {Element} parent - Starting element
+ * @param {...string} path - Local names to follow
+ * @returns {string} Trimmed text, or empty string
+ */
+function getText(parent, ...path) {
+    let el = parent;
+    for (const name of path) {
+        el = getChildren(el, name)[0];
+        if (!el) return '';
+    }
+    return el.textContent.trim();
+}
+
+/**
+ * Check whether text looks like a CAMT.053 document
+ * @param {string} text - Start of the file contents
+ * @returns {boolean} True if the text has a CAMT.053 namespace or root element
+ */
+export function isCamtContent(text) {
+    return /camt\.053|<(\w+:)?BkToCstmrStmt\b/.test(text);
+}
@@ -0,0 +1,304 @@
+/**
+ * Category hierarchy - "Parent:Child" names, e.g. "Food:Groceries" under "Food",
+ * nested as deep as needed - and the colour and icon chosen for each category
+ */
+import { getFlowType } from './transfers.js';
+
+/**
+ * Separates the levels of a category name
+ */
+export const CATEGORY_SEPARATOR = ':';
+
+/**
+ * Colours given to categories the first time they are seen
+ */
+export const CATEGORY_COLORS = [
+    '#4c9aff',
+    '#10b981',
+    '#f59e0b',
+    '#ef4444',
+    '#8b5cf6',
+    '#ec4899',
+    '#06b6d4',
+    '#84cc16',
+    '#f97316',
+    '#14b8a6',
+    '#a855f7',
+    '#eab308'
+];
+
+/**
+ * Longest icon, in characters; enough for an emoji with a modifier
+ */
+const MAX_ICON_LENGTH = 4;
+
+/**
+ * Split a category name into its levels
+ * @param {string} category - Category name
+ * @returns {Array} Level names from the top, e.g. ['Food', 'Groceries']
+ */
+export function getCategoryPath(category) {
+    return String(category || 'Uncategorized')
+        .split(CATEGORY_SEPARATOR)
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Tidy a category name: spaces around the separator and empty levels removed
+ * @param {string} category - Category name as entered
+ * @returns {string} Category name
+ */
+export function normalizeCategoryName(category) {
+    return getCategoryPath(category).join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * Get the last level of a category name, for labels under a parent
+ * @param {string} category - Category name
+ * @returns {string} Name without its parents
+ */
+export function getCategoryLabel(category) {
+    const path = getCategoryPath(category);
+    return path[path.length - 1] || String(category);
+}
+
+/**
+ * Check whether a category is a parent category or one of its descendants
+ * @param {string} category - Category to check
+ * @param {string} parent - Parent category
+ * @returns {boolean} True for the parent itself and everything under it
+ */
+export function isInCategory(category, parent) {
+    const path = getCategoryPath(category);
+    const parentPath = getCategoryPath(parent);
+    return parentPath.length <= path.length && parentPath.every((part, i) => part === path[i]);
+}
+
+/**
+ * Roll a category up to one level of the tree
+ * @param {string} category - Category name
+ * @param {string|null} parent - Roll up to the children of this category, or to the
+ *   top level when null
+ * @returns {string|null} Category name at that level (the parent itself for
+ *   transactions in the parent), or null if the category is not under the parent
+ */
+export function rollUpCategory(category, parent) {
+    const path = getCategoryPath(category);
+    if (parent === null) return path[0];
+    if (!isInCategory(category, parent)) return null;
+    return path.slice(0, getCategoryPath(parent).length + 1).join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * List categories with all their parents, children sorted under their parent
+ * @param {Array} categories - Category names in use
+ * @returns {Array} Array of { name, label, depth, hasChildren }
+ */
+export function getCategoryTree(categories) {
+    const names = new Map();
+
+    categories.forEach(category => {
+        const path = getCategoryPath(category);
+        path.forEach((part, i) => {
+            const name = path.slice(0, i + 1).join(CATEGORY_SEPARATOR);
+            if (!names.has(name)) names.set(name, { path: path.slice(0, i + 1), hasChildren: false });
+            if (i < path.length - 1) names.get(name).hasChildren = true;
+        });
+    });
+
+    return [...names]
+        .sort(([, a], [, b]) => comparePaths(a.path, b.path))
+        .map(([name, { path, hasChildren }]) => ({
+            name,
+            label: path[path.length - 1],
+            depth: path.length - 1,
+            hasChildren
+        }));
+}
+
+/**
+ * Count and total the transactions of every category, parents including their
+ * subcategories
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Map} Map of category name to { count, total }; total is money in minus money out
+ */
+export function getCategoryStats(transactions) {
+    const stats = new Map();
+
+    transactions.forEach(t => {
+        const path = getCategoryPath(t.category);
+        const amount = getFlowType(t) === 'Income' ? t.amount : -t.amount;
+
+        path.forEach((part, i) => {
+            const name = path.slice(0, i + 1).join(CATEGORY_SEPARATOR);
+            const entry = stats.get(name) || { count: 0, total: 0 };
+            entry.count++;
+            entry.total += amount;
+            stats.set(name, entry);
+        });
+    });
+
+    return stats;
+}
+
+/**
+ * Work out the new name of a category that is renamed, merged or deleted
+ * @param {string} category - Category name
+ * @param {Array} sources - Categories being moved
+ * @param {string} target - Category they move to
+ * @param {boolean} keepSubcategories - Move subcategories along under the target
+ *   (renaming, merging) rather than into the target itself (deleting)
+ * @returns {string|null} New category name, or null if the category is not affected
+ */
+export function mapCategory(category, sources, target, keepSubcategories) {
+    const source = sources.find(s => isInCategory(category, s));
+    if (source === undefined) return null;
+
+    const rest = keepSubcategories ? getCategoryPath(category).slice(getCategoryPath(source).length) : [];
+    return [...getCategoryPath(target), ...rest].join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * Rename, merge or delete categories across transactions
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} sources - Categories being moved
+ * @param {string} target - Category they move to
+ * @param {boolean} keepSubcategories - See mapCategory()
+ * @returns {Object} Object with the updated transactions and the changed ones
+ */
+export function moveCategories(transactions, sources, target, keepSubcategories) {
+    const changed = [];
+
+    const result = transactions.map(t => {
+        const category = mapCategory(t.category, sources, target, keepSubcategories);
+        if (category === null || category === t.category) return t;
+
+        const updated = { ...t, category };
+        changed.push(updated);
+        return updated;
+    });
+
+    return { transactions: result, changed };
+}
+
+/**
+ * Carry colours and icons over to the categories' new names. Styles of deleted
+ * categories are dropped; the target keeps its own style if it has one.
+ * @param {Object} styles - Map of category name to { color, icon }
+ * @param {Array} sources - Categories being moved
+ * @param {string} target - Category they move to
+ * @param {boolean} keepSubcategories - See mapCategory()
+ * @returns {Object} Updated styles
+ */
+export function moveCategoryStyles(styles, sources, target, keepSubcategories) {
+    const result = {};
+    const moved = [];
+
+    Object.entries(styles).forEach(([category, style]) => {
+        const name = mapCategory(category, sources, target, keepSubcategories);
+        if (name === null) {
+            result[category] = style;
+        } else if (keepSubcategories) {
+            moved.push([name, style]);
+        }
+    });
+    moved.forEach(([name, style]) => {
+        if (!result[name]) result[name] = style;
+    });
+
+    return result;
+}
+
+/**
+ * Validate a category's colour and icon
+ * @param {Object} fields - Object with color and icon
+ * @returns {Object|null} Object with whichever of color and icon is set, or null if neither
+ */
+export function buildCategoryStyle(fields) {
+    const style = {};
+    const icon = [...String(fields.icon || '').trim()].slice(0, MAX_ICON_LENGTH).join('');
+
+    if (/^#[0-9a-f]{6}$/i.test(fields.color || '')) style.color = fields.color.toLowerCase();
+    if (icon) style.icon = icon;
+
+    return Object.keys(style).length > 0 ? style : null;
+}
+
+/**
+ * Give every category without a colour one from the palette: the one least used by
+ * its sibling categories, then overall, so neighbouring slices of the chart differ
+ * @param {Array} categories - Category names in use
+ * @param {Object} styles - Map of category name to { color, icon }
+ * @returns {Object|null} Updated styles, or null if every category already has a colour
+ */
+export function assignCategoryColors(categories, styles) {
+    const result = { ...styles };
+    let assigned = false;
+
+    getCategoryTree(categories).forEach(({ name, depth }) => {
+        if (result[name]?.color) return;
+
+        const parent = getCategoryPath(name).slice(0, depth).join(CATEGORY_SEPARATOR);
+        const used = CATEGORY_COLORS.map(() => ({ siblings: 0, overall: 0 }));
+        Object.entries(result).forEach(([category, style]) => {
+            const index = CATEGORY_COLORS.indexOf(style.color);
+            if (index === -1) return;
+            used[index].overall++;
+            if (getCategoryPath(category).length === depth + 1 && (depth === 0 || isInCategory(category, parent))) {
+                used[index].siblings++;
+            }
+        });
+
+        const best = used.reduce((bestIndex, count, i) => {
+            const current = used[bestIndex];
+            return count.siblings < current.siblings ||
+                (count.siblings === current.siblings && count.overall < current.overall) ? i : bestIndex;
+        }, 0);
+
+        result[name] = { ...result[name], color: CATEGORY_COLORS[best] };
+        assigned = true;
+    });
+
+    return assigned ? result : null;
+}
+
+/**
+ * Get the colour of a category: its own, or one picked by its name until
+ * assignCategoryColors() has given it one
+ * @param {string} category - Category name
+ * @param {Object} styles - Map of category name to { color, icon }
+ * @returns {string} CSS colour
+ */
+export function getCategoryColor(category, styles = {}) {
+    const name = normalizeCategoryName(category);
+    if (styles[name]?.color) return styles[name].color;
+
+    let hash = 0;
+    for (const char of name) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+}
+
+/**
+ * Get the icon of a category
+ * @param {string} category - Category name
+ * @param {Object} styles - Map of category name to { color, icon }
+ * @returns {string} Icon, or an empty string
+ */
+export function getCategoryIcon(category, styles = {}) {
+    return styles[normalizeCategoryName(category)]?.icon || '';
+}
+
+/**
+ * Order category paths level by level, so children follow their parent
+ * @param {Array} a - Path of the first category
+ * @param {Array} b - Path of the second category
+ * @returns {number} Sort order
+ */
+function comparePaths(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const order = a[i].localeCompare(b[i]);
+        if (order !== 0) return order;
+    }
+    return a.length - b.length;
+}
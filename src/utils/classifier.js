@@ -0,0 +1,171 @@
+/**
+ * Category suggestions learned from past categorisation - a naive Bayes classifier
+ * over description words, trained in the browser on every run
+ */
+import { normalizeDescription } from './duplicates.js';
+import { getFlowType } from './transfers.js';
+
+/**
+ * Suggestions at least this confident are applied without review
+ */
+export const AUTO_APPLY_CONFIDENCE = 0.9;
+
+/**
+ * Fewest categorised transactions to learn from before suggesting anything
+ */
+const MIN_TRAINING_SIZE = 10;
+
+/**
+ * Prefix of the token that carries the direction (income or expense)
+ */
+const TYPE_TOKEN_PREFIX = 'type:';
+
+/**
+ * Learn word frequencies per category from categorised transactions. Uncategorised
+ * rows and transfers are left out.
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Object} Model with per-category counts, the vocabulary and the number of documents
+ */
+export function trainClassifier(transactions) {
+    const categories = new Map();
+    const vocabulary = new Set();
+    let documents = 0;
+
+    transactions.forEach(t => {
+        if (!t.category || t.category === 'Uncategorized' || t.type === 'Transfer') return;
+
+        const tokens = tokenize(t);
+        if (tokens.length === 0) return;
+
+        if (!categories.has(t.category)) {
+            categories.set(t.category, { documents: 0, tokenCount: 0, tokens: new Map() });
+        }
+        const entry = categories.get(t.category);
+        entry.documents++;
+        documents++;
+
+        tokens.forEach(token => {
+            entry.tokens.set(token, (entry.tokens.get(token) || 0) + 1);
+            entry.tokenCount++;
+            vocabulary.add(token);
+        });
+    });
+
+    return { categories, vocabulary, documents };
+}
+
+/**
+ * Suggest a category for a transaction
+ * @param {Object} model - Result of trainClassifier()
+ * @param {Object} transaction - Transaction
+ * @returns {Object|null} Object with category and confidence (0 to 1), or null when the
+ *   history is too small or none of the description's words have been seen
+ */
+export function suggestCategory(model, transaction) {
+    if (model.documents < MIN_TRAINING_SIZE || model.categories.size < 2) return null;
+
+    const tokens = tokenize(transaction).filter(token => model.vocabulary.has(token));
+
+    // The direction alone says nothing about the merchant
+    if (!tokens.some(token => !token.startsWith(TYPE_TOKEN_PREFIX))) return null;
+
+    // Log-probabilities with add-one smoothing, then normalised into a confidence
+    const vocabularySize = model.vocabulary.size;
+    const scores = [...model.categories].map(([category, entry]) => {
+        let score = Math.log(entry.documents / model.documents);
+        tokens.forEach(token => {
+            score += Math.log(((entry.tokens.get(token) || 0) + 1) / (entry.tokenCount + vocabularySize));
+        });
+        return { category, score };
+    });
+
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    const total = scores.reduce((sum, s) => sum + Math.exp(s.score - best.score), 0);
+
+    return { category: best.category, confidence: 1 / total };
+}
+
+/**
+ * Suggest categories for uncategorised transactions from the categorised history.
+ * Confident suggestions are applied; the others are stored on the transaction as
+ * suggestedCategory and suggestionConfidence and wait in the review queue.
+ * @param {Array} history - Transactions to learn from
+ * @param {Array} transactions - Transactions to categorise
+ * @returns {Object} Object with the transactions and the number applied and queued
+ */
+export function suggestCategories(history, transactions) {
+    const model = trainClassifier(history);
+    let applied = 0;
+    let queued = 0;
+
+    const result = transactions.map(t => {
+        if (t.category !== 'Uncategorized' || t.type === 'Transfer') return t;
+
+        const suggestion = suggestCategory(model, t);
+        if (!suggestion) return t;
+
+        if (suggestion.confidence >= AUTO_APPLY_CONFIDENCE) {
+            applied++;
+            return { ...t, category: suggestion.category };
+        }
+
+        queued++;
+        return {
+            ...t,
+            suggestedCategory: suggestion.category,
+            suggestionConfidence: Math.round(suggestion.confidence * 100) / 100
+        };
+    });
+
+    return { transactions: result, applied, queued };
+}
+
+/**
+ * List the transactions waiting for a category decision, least confident last
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Uncategorised transactions with a suggestion
+ */
+export function getSuggestionQueue(transactions) {
+    return transactions
+        .filter(t => t.suggestedCategory && t.category === 'Uncategorized')
+        .sort((a, b) => b.suggestionConfidence - a.suggestionConfidence);
+}
+
+/**
+ * Apply the decisions from the suggestion review
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Object} decisions - Object with accepted ({ id, category } pairs) and dismissed ids
+ * @returns {Object} Object with the updated transactions and the changed ones
+ */
+export function resolveSuggestions(transactions, decisions) {
+    const updates = new Map();
+
+    decisions.accepted.forEach(({ id, category }) => updates.set(id, category));
+    decisions.dismissed.forEach(id => updates.set(id, 'Uncategorized'));
+
+    const changed = [];
+    const result = transactions.map(t => {
+        if (!updates.has(t.id)) return t;
+
+        const updated = { ...t, category: updates.get(t.id) };
+        delete updated.suggestedCategory;
+        delete updated.suggestionConfidence;
+        changed.push(updated);
+        return updated;
+    });
+
+    return { transactions: result, changed };
+}
+
+/**
+ * Split a transaction into the words of its description plus its direction
+ * @param {Object} transaction - Transaction
+ * @returns {Array} Unique tokens
+ */
+function tokenize(transaction) {
+    const words = normalizeDescription(transaction.description)
+        .split(' ')
+        .filter(word => word.length > 1 && !/^\d+$/.test(word));
+
+    return [...new Set(words), `${TYPE_TOKEN_PREFIX}${getFlowType(transaction)}`];
+}
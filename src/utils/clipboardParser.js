@@ -0,0 +1,96 @@
+/**
+ * Clipboard parsing utility for transactions pasted from a bank's website
+ */
+import { parseTabularData, mapColumns } from './excelParser.js';
+import { parseDelimitedText } from './csvParser.js';
+
+/**
+ * Source name recorded on pasted transactions
+ */
+export const PASTE_SOURCE_NAME = 'Pasted data';
+
+/**
+ * A cell made only of digits and number/date punctuation, e.g. "31/01/2026" or "-1,234.56"
+ */
+const DATA_CELL_PATTERN = /^[\s\d.,/\-+()'’$€£¥]*\d[\s\d.,/\-+()'’$€£¥]*$/;
+
+/**
+ * Parse pasted rows (header row first) into transactions
+ * @param {Array} rows - 2D array of cell strings
+ * @param {Object} options - Parse options (see parseExcelFile)
+ * @returns {Promise<Object|null>} Object containing transactions and metadata, or null if cancelled
+ */
+export async function parsePastedRows(rows, options = {}) {
+    const result = await parseTabularData(rows, { fileName: PASTE_SOURCE_NAME }, options);
+    if (!result) return null;
+
+    result.transactions.forEach(t => {
+        t.sourceFile = PASTE_SOURCE_NAME;
+    });
+    result.rejected.forEach(r => {
+        r.sourceFile = PASTE_SOURCE_NAME;
+    });
+
+    return result;
+}
+
+/**
+ * Read clipboard contents into rows, preferring an HTML table when one was copied
+ * @param {string} text - Plain-text clipboard data (tab, comma or semicolon separated)
+ * @param {string} html - HTML clipboard data, if any
+ * @returns {Object} Object with rows and the source ('table' or the delimiter name)
+ */
+export function parseClipboardData(text, html = '') {
+    if (/<table/i.test(html)) {
+        const rows = parseHtmlTable(html);
+        if (rows.length > 0) {
+            return { rows, source: 'table' };
+        }
+    }
+
+    const { rows, delimiter } = parseDelimitedText(text || '');
+    return { rows, source: delimiter === '\t' ? 'tab' : delimiter };
+}
+
+/**
+ * Extract the rows of the largest table in an HTML fragment
+ * @param {string} html - HTML containing one or more tables
+ * @returns {Array} 2D array of cell text
+ */
+export function parseHtmlTable(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const tables = Array.from(doc.querySelectorAll('table'));
+    if (tables.length === 0) return [];
+
+    const table = tables.reduce((largest, t) => (t.rows.length > largest.rows.length ? t : largest));
+
+    return Array.from(table.rows)
+        .map(tr => Array.from(tr.cells).map(cell => cell.textContent.replace(/\s+/g, ' ').trim()))
+        .filter(row => row.some(cell => cell !== ''));
+}
+
+/**
+ * Check whether the first pasted row holds column headers rather than data.
+ * Copying from a web page often leaves the header row behind.
+ * @param {Array} row - First row
+ * @returns {boolean} True if the row looks like headers
+ */
+export function hasHeaderRow(row) {
+    if (!row || row.length === 0) return false;
+
+    const columnMap = mapColumns(row);
+    if (columnMap.date !== -1) return true;
+
+    return !row.some(cell => DATA_CELL_PATTERN.test(String(cell ?? '')));
+}
+
+/**
+ * Add generic "Column N" headers to rows pasted without a header row
+ * @param {Array} rows - 2D array of data rows
+ * @returns {Array} Rows with a header row first
+ */
+export function addGenericHeaders(rows) {
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const headers = Array.from({ length: width }, (_, index) => `Column ${index + 1}`);
+    return [headers, ...rows];
+}
@@ -0,0 +1,131 @@
+/**
+ * Passphrase encryption using the Web Crypto API (PBKDF2 key derivation, AES-GCM)
+ */
+
+/**
+ * PBKDF2-SHA256 rounds; slows down guessing the passphrase from a copy of the data
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Plaintext encrypted into the key check, used to tell a wrong passphrase from damaged data
+ */
+const KEY_CHECK_TEXT = 'finance-dashboard-key-check';
+
+/**
+ * Fields restored to Date objects after decryption
+ */
+const DATE_FIELDS = ['date', 'valueDate'];
+
+/**
+ * Check whether the browser can encrypt data
+ * @returns {boolean} True if Web Crypto is available (it requires a secure context)
+ */
+export function isEncryptionSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Derive a new key from a passphrase, with a fresh salt
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Object with the key and the header to store alongside the data
+ *   (salt, iterations and key check)
+ */
+export async function createKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    return {
+        key,
+        header: {
+            salt,
+            iterations: PBKDF2_ITERATIONS,
+            check: await encryptValue(key, KEY_CHECK_TEXT)
+        }
+    };
+}
+
+/**
+ * Derive the key for stored data from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} header - Header from createKey()
+ * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+ */
+export async function unlockKey(passphrase, header) {
+    const key = await deriveKey(passphrase, header.salt, header.iterations);
+
+    try {
+        return (await decryptValue(key, header.check)) === KEY_CHECK_TEXT ? key : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Encrypt a JSON-serialisable value
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} Object with iv and data (ciphertext)
+ */
+export async function encryptValue(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv, data };
+}
+
+/**
+ * Decrypt a value encrypted with encryptValue()
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} payload - Object with iv and data
+ * @returns {Promise<*>} Decrypted value, with dates restored
+ */
+export async function decryptValue(key, payload) {
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data);
+    } catch {
+        throw new Error('Stored data could not be decrypted; it may be damaged');
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext), (field, value) =>
+        DATE_FIELDS.includes(field) && typeof value === 'string' ? new Date(value) : value
+    );
+}
+
+/**
+ * Check whether a stored record is encrypted
+ * @param {Object} record - Stored record
+ * @returns {boolean} True if the record holds ciphertext
+ */
+export function isEncrypted(record) {
+    return Boolean(record && record.iv && record.data instanceof ArrayBuffer);
+}
+
+/**
+ * Derive an AES-GCM key with PBKDF2
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
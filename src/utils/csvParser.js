@@ -0,0 +1,219 @@
+/**
+ * CSV / TSV file parsing utility
+ */
+import { parseTabularData, readFileAsArrayBuffer } from './excelParser.js';
+
+/**
+ * Delimiters considered during detection, in order of preference
+ */
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Number of rows inspected when sniffing the delimiter
+ */
+const SNIFF_ROW_COUNT = 20;
+
+/**
+ * Human-readable delimiter names for import summaries
+ */
+const DELIMITER_NAMES = {
+    ',': 'comma',
+    ';': 'semicolon',
+    '\t': 'tab',
+    '|': 'pipe'
+};
+
+/**
+ * Parse a CSV or TSV file and extract transaction data
+ * @param {File} file - The delimited text file to parse
+ * @param {Object} options - Parse options (see parseExcelFile)
+ * @returns {Promise<Object|null>} Object containing transactions and metadata, or null if cancelled
+ */
+export async function parseCsvFile(file, options = {}) {
+    const buffer = await readFileAsArrayBuffer(file);
+    const { text, encoding } = decodeText(new Uint8Array(buffer));
+    const { rows, delimiter } = parseDelimitedText(text);
+
+    const result = await parseTabularData(rows, { fileName: file.name }, options);
+    if (!result) return null;
+
+    return {
+        ...result,
+        encoding,
+        delimiter: DELIMITER_NAMES[delimiter] || delimiter
+    };
+}
+
+/**
+ * Parse delimited text into rows, detecting the delimiter
+ * @param {string} text - Decoded file contents
+ * @returns {Object} Object with rows (2D array of strings) and the delimiter used
+ */
+export function parseDelimitedText(text) {
+    // Excel writes an optional "sep=;" hint as the first line
+    const hint = text.match(/^sep=(.)\r?\n/i);
+    if (hint) {
+        const delimiter = hint[1];
+        return { rows: splitDelimited(text.slice(hint[0].length), delimiter), delimiter };
+    }
+
+    const delimiter = detectDelimiter(text);
+    return { rows: splitDelimited(text, delimiter), delimiter };
+}
+
+/**
+ * Detect the field delimiter by checking which candidate splits the first
+ * rows into the most consistent number of fields
+ * @param {string} text - Decoded file contents
+ * @returns {string} Delimiter character
+ */
+export function detectDelimiter(text) {
+    let best = { delimiter: ',', consistency: 0, fields: 0 };
+
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const rows = splitDelimited(text, delimiter, SNIFF_ROW_COUNT);
+        if (rows.length === 0) continue;
+
+        const fields = rows[0].length;
+        if (fields < 2) continue;
+
+        const consistency = rows.filter(row => row.length === fields).length / rows.length;
+
+        if (consistency > best.consistency ||
+            (consistency === best.consistency && fields > best.fields)) {
+            best = { delimiter, consistency, fields };
+        }
+    }
+
+    return best.delimiter;
+}
+
+/**
+ * Split delimited text into rows, honouring quoted fields that contain
+ * delimiters, doubled quotes and embedded newlines
+ * @param {string} text - Decoded file contents
+ * @param {string} delimiter - Field delimiter
+ * @param {number} maxRows - Stop after this many rows (default: all)
+ * @returns {Array} 2D array of field strings, blank lines omitted
+ */
+export function splitDelimited(text, delimiter, maxRows = Infinity) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (rows.length < maxRows && (field !== '' || row.length > 0)) {
+        endRow();
+    }
+
+    return rows;
+}
+
+/**
+ * Decode raw bytes, detecting UTF-8 (with or without BOM), UTF-16 and Windows-1252
+ * @param {Uint8Array} bytes - Raw file contents
+ * @returns {Object} Object with the decoded text and the encoding name
+ */
+export function decodeText(bytes) {
+    // Byte order marks
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8 (BOM)' };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16LE' };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16BE' };
+    }
+
+    // UTF-16 without BOM: ASCII text leaves every other byte zero
+    const utf16 = detectUtf16WithoutBom(bytes);
+    if (utf16) {
+        return { text: new TextDecoder(utf16.toLowerCase()).decode(bytes), encoding: utf16 };
+    }
+
+    // Strict UTF-8, falling back to Windows-1252 for legacy exports
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+    } catch {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+    }
+}
+
+/**
+ * Guess the byte order of BOM-less UTF-16 from the position of zero bytes
+ * @param {Uint8Array} bytes - Raw file contents
+ * @returns {string|null} 'UTF-16LE', 'UTF-16BE' or null
+ */
+function detectUtf16WithoutBom(bytes) {
+    const length = Math.min(bytes.length, 1024) & ~1;
+    if (length === 0) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = length / 2;
+    if (oddZeros / pairs > 0.4 && evenZeros / pairs < 0.05) return 'UTF-16LE';
+    if (evenZeros / pairs > 0.4 && oddZeros / pairs < 0.05) return 'UTF-16BE';
+    return null;
+}
+
+/**
+ * Validate file type
+ * @param {File} file - File to validate
+ * @returns {boolean} True if the file looks like CSV or TSV
+ */
+export function isValidCsvFile(file) {
+    const validTypes = [
+        'text/csv',
+        'application/csv',
+        'text/tab-separated-values',
+        'text/plain'
+    ];
+
+    const validExtensions = ['.csv', '.tsv', '.txt'];
+    const extension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+
+    return validTypes.includes(file.type) || validExtensions.includes(extension);
+}
@@ -0,0 +1,221 @@
+/**
+ * IndexedDB wrapper - database schema, migrations and request helpers
+ */
+
+const DB_NAME = 'finance_dashboard';
+
+/**
+ * Legacy localStorage key holding all transactions as one JSON blob
+ */
+const LEGACY_STORAGE_KEY = 'finance_dashboard_data';
+
+/**
+ * Object store names
+ */
+export const STORES = {
+    transactions: 'transactions',
+    accounts: 'accounts',
+    meta: 'meta'
+};
+
+/**
+ * Schema migrations; entry n upgrades a database from version n to n + 1.
+ * The database version is the number of migrations.
+ */
+const MIGRATIONS = [
+    // 1: transactions store with query indexes, metadata store, and the
+    // data previously kept in localStorage
+    (db, transaction) => {
+        const store = db.createObjectStore(STORES.transactions, { keyPath: 'id' });
+        store.createIndex('date', 'date');
+        store.createIndex('category', 'category');
+        store.createIndex('account', 'account');
+
+        db.createObjectStore(STORES.meta, { keyPath: 'key' });
+
+        if (importLegacyData(transaction)) {
+            legacyImported = true;
+        } else if (localStorage.getItem(LEGACY_STORAGE_KEY) !== null) {
+            legacyImportFailed = true;
+        }
+    },
+
+    // 2: accounts transactions can belong to
+    (db) => {
+        db.createObjectStore(STORES.accounts, { keyPath: 'id' });
+    }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+// Outcome of moving the legacy localStorage data during the upgrade to version 1
+let legacyImported = false;
+let legacyImportFailed = false;
+
+/**
+ * Open the database, running any pending migrations
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('This browser does not support IndexedDB, so data cannot be saved'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (e) => {
+            const db = request.result;
+            for (let version = e.oldVersion; version < DB_VERSION; version++) {
+                MIGRATIONS[version](db, request.transaction);
+            }
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Another tab upgraded the schema; let it proceed and reopen next time
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+
+            // The legacy blob is only removed once its migration has committed; one that
+            // could not be read is kept so the data is not lost
+            if (legacyImported) {
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+                legacyImported = false;
+            }
+
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(toStorageError(request.error));
+        };
+
+        request.onblocked = () => {
+            console.warn('Database upgrade is waiting for other tabs to close');
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Check whether data saved by an earlier version could not be read when the
+ * database was created, so it was kept where it was
+ * @returns {boolean} True if the legacy data is still waiting to be moved
+ */
+export function hasUnreadLegacyData() {
+    return legacyImportFailed;
+}
+
+/**
+ * Delete the database and everything in it
+ * @returns {Promise} Resolves once deleted
+ */
+export async function deleteDatabase() {
+    if (dbPromise) {
+        const db = await dbPromise.catch(() => null);
+        if (db) db.close();
+        dbPromise = null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(toStorageError(request.error));
+    });
+}
+
+/**
+ * Run work inside a transaction and resolve once it has committed
+ * @param {Array|string} storeNames - Stores the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the transaction; its return value is resolved
+ * @returns {Promise<*>} Result of work, after the transaction completes
+ */
+export async function runTransaction(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        let result;
+        let tx;
+
+        try {
+            tx = db.transaction(storeNames, mode);
+            result = work(tx);
+        } catch (error) {
+            reject(toStorageError(error));
+            return;
+        }
+
+        tx.oncomplete = () => {
+            Promise.resolve(result).then(resolve, reject);
+        };
+        tx.onerror = () => reject(toStorageError(tx.error));
+        tx.onabort = () => reject(toStorageError(tx.error));
+    });
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(toStorageError(request.error));
+    });
+}
+
+/**
+ * Turn a storage failure into an error with a message fit for the UI
+ * @param {Error|DOMException} error - Original error
+ * @returns {Error} Error to show the user
+ */
+export function toStorageError(error) {
+    if (error && error.name === 'QuotaExceededError') {
+        return new Error('Not enough storage space to save your data. Free up disk space or clear old data and try again.');
+    }
+    return new Error(`Storage error: ${error ? error.message : 'unknown failure'}`);
+}
+
+/**
+ * Copy transactions saved by earlier versions into the new store. Runs inside
+ * the upgrade transaction, so a failure leaves the legacy data untouched.
+ * @param {IDBTransaction} transaction - Version change transaction
+ * @returns {boolean} True if legacy transactions were copied
+ */
+function importLegacyData(transaction) {
+    let legacy = null;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+    } catch (error) {
+        console.error('Failed to read legacy data:', error);
+    }
+    if (!legacy || !Array.isArray(legacy.transactions)) return false;
+
+    const store = transaction.objectStore(STORES.transactions);
+    legacy.transactions.forEach(t => {
+        store.put({
+            ...t,
+            date: new Date(t.date),
+            ...(t.valueDate && { valueDate: new Date(t.valueDate) })
+        });
+    });
+
+    transaction.objectStore(STORES.meta).put({
+        key: 'lastUpdated',
+        value: legacy.lastUpdated || new Date().toISOString()
+    });
+    return true;
+}
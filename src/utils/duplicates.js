@@ -0,0 +1,211 @@
+/**
+ * Duplicate detection for merging imports into existing data
+ */
+import { getFlowType } from './transfers.js';
+
+/**
+ * Largest date difference, in days, for a likely duplicate (posting vs. booking date)
+ */
+const LIKELY_DAY_WINDOW = 3;
+
+/**
+ * Minimum description similarity (shared words) for a likely duplicate
+ */
+const LIKELY_SIMILARITY = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalise a description for comparison: lowercase, no accents, punctuation
+ * or long digit runs (card numbers, references that differ between exports)
+ * @param {string} description - Raw description
+ * @returns {string} Normalised description
+ */
+export function normalizeDescription(description) {
+    return String(description || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\d{4,}/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Compare imported transactions against the existing dataset
+ * @param {Array} existing - Transactions already stored
+ * @param {Array} incoming - Newly imported transactions
+ * @returns {Object} Object with rows ({ transaction, status, match, likely, reason }) and
+ *   counts per status. Status is 'new', 'duplicate' or 'conflict'.
+ */
+export function reviewImport(existing, incoming) {
+    const byExternalId = new Map();
+    const byAmount = new Map();
+
+    existing.forEach(t => {
+        if (t.externalId) byExternalId.set(t.externalId, t);
+
+        const key = getAmountKey(t);
+        if (!byAmount.has(key)) byAmount.set(key, []);
+        byAmount.get(key).push(t);
+    });
+
+    // Each existing transaction can only account for one imported row
+    const used = new Set();
+
+    const rows = incoming.map(transaction => {
+        const row = classify(transaction, byExternalId, byAmount, used);
+        if (row.match) used.add(row.match);
+        return { transaction, likely: false, ...row };
+    });
+
+    return {
+        rows,
+        counts: {
+            new: rows.filter(r => r.status === 'new').length,
+            duplicate: rows.filter(r => r.status === 'duplicate').length,
+            likely: rows.filter(r => r.likely).length,
+            conflict: rows.filter(r => r.status === 'conflict').length
+        }
+    };
+}
+
+/**
+ * Merge reviewed imports into the existing dataset
+ * @param {Array} existing - Transactions already stored
+ * @param {Array} additions - Imported transactions to add
+ * @param {Array} replacements - Array of { existing, incoming } pairs to overwrite
+ * @returns {Array} Merged transactions with unique ids
+ */
+export function mergeTransactions(existing, additions, replacements = []) {
+    const replaced = new Map(replacements.map(r => [r.existing.id, r.incoming]));
+
+    const merged = existing.map(t => {
+        if (!replaced.has(t.id)) return t;
+
+        const incoming = replaced.get(t.id);
+        return {
+            ...incoming,
+            id: t.id,
+            category: incoming.category === 'Uncategorized' ? t.category : incoming.category,
+            // Keep the row linked to the other side of its transfer
+            ...(t.type === 'Transfer' && {
+                type: t.type,
+                transferPeer: t.transferPeer,
+                transferDirection: t.transferDirection,
+                transferConfirmed: t.transferConfirmed
+            })
+        };
+    });
+
+    let nextId = existing.reduce((max, t) => Math.max(max, Number(t.id) || 0), 0) + 1;
+    additions.forEach(t => {
+        merged.push({ ...t, id: nextId++ });
+    });
+
+    return merged;
+}
+
+/**
+ * Classify one imported transaction
+ * @param {Object} transaction - Imported transaction
+ * @param {Map} byExternalId - Existing transactions by bank ID
+ * @param {Map} byAmount - Existing transactions by type and amount
+ * @param {Set} used - Existing transactions already matched
+ * @returns {Object} Object with status, match, likely and reason
+ */
+function classify(transaction, byExternalId, byAmount, used) {
+    // A bank ID identifies the transaction regardless of how it is described
+    const sameId = transaction.externalId && byExternalId.get(transaction.externalId);
+    if (sameId && !used.has(sameId)) {
+        const identical = isSameDay(sameId.date, transaction.date) && getAmountKey(sameId) === getAmountKey(transaction);
+        return identical
+            ? { status: 'duplicate', match: sameId, reason: 'Same bank ID' }
+            : { status: 'conflict', match: sameId, reason: 'Same bank ID, different date or amount' };
+    }
+
+    const candidates = (byAmount.get(getAmountKey(transaction)) || []).filter(t =>
+        !used.has(t) &&
+        // Different bank IDs mean different transactions
+        !(t.externalId && transaction.externalId && t.externalId !== transaction.externalId) &&
+        // So do different accounts, e.g. the two sides of a transfer
+        !(t.account !== undefined && transaction.account !== undefined && t.account !== transaction.account)
+    );
+
+    const description = normalizeDescription(transaction.description);
+    const sameDay = candidates.filter(t => isSameDay(t.date, transaction.date));
+
+    const exact = sameDay.find(t => normalizeDescription(t.description) === description);
+    if (exact) {
+        return { status: 'duplicate', match: exact, reason: 'Same date, amount and description' };
+    }
+
+    const likely = candidates.find(t =>
+        getDayDifference(t.date, transaction.date) <= LIKELY_DAY_WINDOW &&
+        getSimilarity(normalizeDescription(t.description), description) >= LIKELY_SIMILARITY
+    );
+    if (likely) {
+        const days = getDayDifference(likely.date, transaction.date);
+        return {
+            status: 'duplicate',
+            match: likely,
+            likely: true,
+            reason: days === 0
+                ? 'Same date and amount, similar description'
+                : `Same amount, similar description, ${days} day${days === 1 ? '' : 's'} apart`
+        };
+    }
+
+    if (sameDay.length > 0) {
+        return { status: 'conflict', match: sameDay[0], reason: 'Same date and amount, different description' };
+    }
+
+    return { status: 'new', match: null, reason: '' };
+}
+
+/**
+ * Key a transaction by direction and amount in cents; a stored transfer still
+ * matches the expense or income it was imported as
+ * @param {Object} transaction - Transaction
+ * @returns {string} Key
+ */
+function getAmountKey(transaction) {
+    return `${getFlowType(transaction)}:${Math.round(transaction.amount * 100)}`;
+}
+
+/**
+ * Check whether two dates fall on the same calendar day
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean} True if same day
+ */
+function isSameDay(a, b) {
+    return getDayDifference(a, b) === 0;
+}
+
+/**
+ * Whole days between two dates
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {number} Absolute difference in days
+ */
+function getDayDifference(a, b) {
+    const dayA = new Date(a.getFullYear(), a.getMonth(), a.getDate());
+    const dayB = new Date(b.getFullYear(), b.getMonth(), b.getDate());
+    return Math.round(Math.abs(dayA - dayB) / DAY_MS);
+}
+
+/**
+ * Share of words two normalised descriptions have in common
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} Similarity from 0 to 1
+ */
+function getSimilarity(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+}
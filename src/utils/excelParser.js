@@ -2,7 +2,7 @@
  * Excel file parsing utility using SheetJS
  */
 import * as XLSX from 'xlsx';
-import { parseDate } from './formatters.js';
+import { parseDate, parseAmount, detectNumberFormat, detectDateOrder, excelSerialToDate } from './formatters.js';
 
 /**
  * Expected column mappings (case-insensitive)
@@ -11,50 +11,224 @@ const COLUMN_MAPPINGS = {
     date: ['date', 'transaction date', 'trans date', 'posting date'],
     description: ['description', 'desc', 'memo', 'narrative', 'details', 'transaction'],
     category: ['category', 'type', 'transaction type', 'group'],
-    amount: ['amount', 'value', 'sum', 'total', 'debit', 'credit'],
-    type: ['income/expense', 'transaction kind', 'in/out', 'direction']
+    account: ['account', 'account name'],
+    // Separate money-out / money-in columns; checked before amount so
+    // "Debit Amount" is not taken as a signed amount column
+    debit: ['debit', 'withdrawal', 'paid out', 'money out', 'outflow'],
+    credit: ['credit', 'deposit', 'paid in', 'money in', 'inflow'],
+    amount: ['amount', 'value', 'sum', 'total'],
+    type: ['income/expense', 'transaction kind', 'in/out', 'direction', 'debit/credit', 'dr/cr', 'type']
 };
 
+/**
+ * Aliases too generic to find inside a longer header: "Value Date" is a date,
+ * not an amount
+ */
+const EXACT_ONLY_ALIASES = new Set(['value']);
+
+/**
+ * Number of data rows included in a mapping preview
+ */
+const SAMPLE_ROW_COUNT = 5;
+
+/**
+ * Rows parsed between progress reports
+ */
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Words in a Type column that mark money in; matched as whole words, since bank
+ * types such as "Standing order" or "Online transfer" merely contain "in"
+ */
+const INCOME_TYPE_WORDS = new Set(['in', 'income', 'credit', 'cr', 'c']);
+
 /**
  * Parse an Excel file and extract transaction data
  * @param {File} file - The Excel file to parse
- * @returns {Promise<Object>} Object containing transactions and metadata
+ * @param {Object} options - Parse options
+ * @param {Function} options.resolveMapping - Async callback receiving a mapping preview and
+ *   returning { columnMap, profileName, numberFormat, dateOrder } or null to cancel. Without it the
+ *   detected mapping is used. An empty numberFormat or dateOrder means detect it from the data.
+ * @param {Function} options.resolveDateOrder - Async callback receiving { fileName, samples } when
+ *   the dates could be day-first or month-first, returning 'DMY', 'MDY' or null to cancel.
+ *   Without it such dates are read month-first.
+ * @param {Function} options.selectSheets - Async callback receiving sheet previews for a
+ *   multi-sheet workbook and returning the sheet names to import, or null to cancel.
+ *   Without it the first sheet with data is imported.
+ * @param {Function} options.onProgress - Called with { rowsRead, rowsParsed } while rows are parsed
+ * @returns {Promise<Object|null>} Object containing transactions and metadata, or null if cancelled
  */
-export async function parseExcelFile(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
+export async function parseExcelFile(file, options = {}) {
+    const buffer = await readFileAsArrayBuffer(file);
 
-        reader.onload = (e) => {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+    let sheets;
+    try {
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: true });
 
-                // Get the first sheet
-                const sheetName = workbook.SheetNames[0];
-                const worksheet = workbook.Sheets[sheetName];
+        // Convert every sheet to rows
+        sheets = workbook.SheetNames.map(name => ({
+            name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 })
+        }));
+    } catch (error) {
+        throw new Error(`Failed to parse Excel file: ${error.message}`);
+    }
 
-                // Convert to JSON
-                const rawData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    const selected = await selectSheets(sheets, file.name, options);
+    if (!selected) return null;
 
-                if (rawData.length < 2) {
-                    reject(new Error('File appears to be empty or has no data rows'));
-                    return;
-                }
+    // Progress counts rows across every selected sheet
+    const rowsRead = selected.reduce((sum, sheet) => sum + Math.max(0, sheet.rows.length - 1), 0);
+    let parsedBefore = 0;
 
-                // Parse headers and data
-                const result = parseSheetData(rawData);
-
-                resolve({
-                    transactions: result.transactions,
-                    fileName: file.name,
-                    sheetName: sheetName,
-                    totalRows: rawData.length - 1,
-                    parsedRows: result.transactions.length,
-                    columns: result.columns
-                });
-            } catch (error) {
-                reject(new Error(`Failed to parse Excel file: ${error.message}`));
-            }
+    const results = [];
+    for (const sheet of selected) {
+        const sheetOptions = {
+            ...options,
+            onProgress: options.onProgress &&
+                ((progress) => options.onProgress({ rowsRead, rowsParsed: parsedBefore + progress.rowsParsed }))
+        };
+
+        const result = await parseTabularData(sheet.rows, { fileName: file.name, sheetName: sheet.name }, sheetOptions);
+        if (!result) return null;
+        parsedBefore += Math.max(0, sheet.rows.length - 1);
+
+        // Record the source sheet so it can be filtered on later
+        result.transactions.forEach(t => {
+            t.sheet = sheet.name;
+        });
+        result.rejected.forEach(r => {
+            r.sheet = sheet.name;
+        });
+        results.push(result);
+    }
+
+    return results.length === 1 ? results[0] : mergeSheetResults(results);
+}
+
+/**
+ * Decide which sheets to import, asking the caller when several hold data
+ * @param {Array} sheets - Array of { name, rows }
+ * @param {string} fileName - Source file name
+ * @param {Object} options - Parse options
+ * @returns {Promise<Array|null>} Selected sheets, or null if cancelled
+ */
+async function selectSheets(sheets, fileName, options) {
+    const withData = sheets.filter(sheet => sheet.rows.length >= 2);
+
+    if (withData.length <= 1 || !options.selectSheets) {
+        return [withData[0] || sheets[0]];
+    }
+
+    const names = await options.selectSheets({
+        fileName,
+        sheets: sheets.map(sheet => getSheetPreview(sheet.name, sheet.rows))
+    });
+    if (!names || names.length === 0) return null;
+
+    return sheets.filter(sheet => names.includes(sheet.name));
+}
+
+/**
+ * Summarise a sheet for the sheet picker
+ * @param {string} name - Sheet name
+ * @param {Array} rows - Raw 2D array from the sheet
+ * @returns {Object} Object with name, rowCount, headers and detected fields
+ */
+export function getSheetPreview(name, rows) {
+    const headers = (rows[0] || []).map(h => String(h ?? '').trim());
+    const columnMap = mapColumns(headers);
+
+    return {
+        name,
+        rowCount: Math.max(0, rows.length - 1),
+        headers,
+        detectedFields: Object.keys(columnMap).filter(field => columnMap[field] !== -1)
+    };
+}
+
+/**
+ * Merge the results of several sheets into one import result
+ * @param {Array} results - Per-sheet parse results
+ * @returns {Object} Combined result
+ */
+function mergeSheetResults(results) {
+    const transactions = results.flatMap(r => r.transactions);
+
+    // Row numbers repeat across sheets, so renumber
+    transactions.forEach((t, index) => {
+        t.id = index + 1;
+    });
+
+    const profileNames = [...new Set(results.map(r => r.profileName).filter(Boolean))];
+
+    return {
+        transactions,
+        rejected: results.flatMap(r => r.rejected),
+        fileName: results[0].fileName,
+        sheetName: results.map(r => r.sheetName).join(', '),
+        sheetNames: results.map(r => r.sheetName),
+        totalRows: results.reduce((sum, r) => sum + r.totalRows, 0),
+        parsedRows: transactions.length,
+        columns: [...new Set(results.flatMap(r => r.columns))],
+        profileName: profileNames.length > 0 ? profileNames.join(', ') : null,
+        numberFormat: (results.find(r => r.numberFormat) || {}).numberFormat || null,
+        dateOrder: (results.find(r => r.dateOrder) || {}).dateOrder || null
+    };
+}
+
+/**
+ * Run raw tabular rows (header row first) through column mapping and row parsing.
+ * Shared by every spreadsheet-like format so mapping and type inference behave the same.
+ * @param {Array} rawData - Raw 2D array, first row holding the headers
+ * @param {Object} source - Source metadata
+ * @param {string} source.fileName - Source file name
+ * @param {string} source.sheetName - Sheet name, if any
+ * @param {Object} options - Parse options (see parseExcelFile)
+ * @returns {Promise<Object|null>} Object containing transactions and metadata, or null if cancelled
+ */
+export async function parseTabularData(rawData, source, options = {}) {
+    if (rawData.length < 2) {
+        throw new Error('File appears to be empty or has no data rows');
+    }
+
+    // Let the caller confirm or correct the column mapping
+    const mapping = await resolveColumnMap(rawData, source.fileName, options);
+    if (!mapping) return null;
+
+    const dateOrder = await resolveDateOrder(rawData, mapping, source.fileName, options);
+    if (dateOrder === null) return null;
+
+    // Parse headers and data
+    const onRowsParsed = options.onProgress &&
+        ((rowsParsed) => options.onProgress({ rowsRead: rawData.length - 1, rowsParsed }));
+    const result = parseSheetData(rawData, mapping.columnMap, mapping.numberFormat, dateOrder, onRowsParsed);
+
+    return {
+        transactions: result.transactions,
+        rejected: result.rejected,
+        fileName: source.fileName,
+        sheetName: source.sheetName || null,
+        totalRows: rawData.length - 1,
+        parsedRows: result.transactions.length,
+        columns: result.columns,
+        profileName: mapping.profileName || null,
+        numberFormat: result.numberFormat,
+        dateOrder: dateOrder || null
+    };
+}
+
+/**
+ * Read a file into an ArrayBuffer
+ * @param {File} file - File to read
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+export function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onload = (e) => {
+            resolve(e.target.result);
         };
 
         reader.onerror = () => {
@@ -65,31 +239,118 @@ export async function parseExcelFile(file) {
     });
 }
 
+/**
+ * Build a mapping preview and hand it to the resolveMapping callback
+ * @param {Array} rawData - Raw 2D array from sheet
+ * @param {string} fileName - Source file name
+ * @param {Object} options - Parse options
+ * @returns {Promise<Object|null>} Object with columnMap and optional profileName, or null if cancelled
+ */
+async function resolveColumnMap(rawData, fileName, options) {
+    const headers = rawData[0].map(h => String(h ?? '').trim());
+    const columnMap = mapColumns(headers);
+
+    if (!options.resolveMapping) {
+        return { columnMap };
+    }
+
+    return options.resolveMapping({
+        fileName,
+        headers,
+        sampleRows: rawData.slice(1, 1 + SAMPLE_ROW_COUNT),
+        columnMap,
+        fingerprint: getHeaderFingerprint(headers),
+        complete: isMappingComplete(headers, columnMap)
+    });
+}
+
+/**
+ * Decide whether the date column is day-first or month-first: the mapping's
+ * choice, the order settled by the data, or the resolveDateOrder callback
+ * @param {Array} rawData - Raw 2D array from sheet
+ * @param {Object} mapping - Resolved mapping with columnMap and optional dateOrder
+ * @param {string} fileName - Source file name
+ * @param {Object} options - Parse options
+ * @returns {Promise<string|undefined|null>} 'DMY' or 'MDY', undefined when the order
+ *   does not matter or cannot be asked, or null if cancelled
+ */
+async function resolveDateOrder(rawData, mapping, fileName, options) {
+    if (mapping.dateOrder) return mapping.dateOrder;
+
+    const dateColumn = mapping.columnMap.date;
+    if (dateColumn === undefined || dateColumn === -1) return undefined;
+
+    const values = rawData.slice(1).map(row => (row ? row[dateColumn] : undefined));
+    const detected = detectDateOrder(values);
+
+    if (detected !== 'ambiguous') return detected || undefined;
+    if (!options.resolveDateOrder) return undefined;
+
+    const samples = [...new Set(values.filter(v => typeof v === 'string' && v.trim()))]
+        .slice(0, SAMPLE_ROW_COUNT);
+
+    return options.resolveDateOrder({ fileName, samples });
+}
+
 /**
  * Parse sheet data into transactions
  * @param {Array} rawData - Raw 2D array from sheet
- * @returns {Object} Object with transactions and column info
+ * @param {Object} mapping - Column index mapping
+ * @param {string} numberFormat - Key of NUMBER_FORMATS, or empty to detect from the amount columns
+ * @param {string} dateOrder - 'DMY' or 'MDY' for numeric dates, or undefined for the default
+ * @param {Function} onRowsParsed - Optional callback receiving the number of data rows parsed so far
+ * @returns {Object} Object with transactions, rejected rows, column info and the number format used
  */
-function parseSheetData(rawData) {
+function parseSheetData(rawData, mapping, numberFormat, dateOrder, onRowsParsed) {
     const headers = rawData[0].map(h => String(h || '').toLowerCase().trim());
-    const columnMap = mapColumns(headers);
+    const originalHeaders = rawData[0].map((h, index) => String(h ?? '').trim() || `Column ${index + 1}`);
+
+    // Profiles saved before a field existed lack its key
+    const columnMap = { ...createEmptyColumnMap(), ...mapping };
+
+    const amountColumns = [columnMap.amount, columnMap.debit, columnMap.credit].filter(i => i !== -1);
+    const format = numberFormat ||
+        detectNumberFormat(rawData.slice(1).flatMap(row => (row ? amountColumns.map(i => row[i]) : [])));
 
     const transactions = [];
+    const rejected = [];
+
+    if (onRowsParsed) {
+        onRowsParsed(0);
+    }
 
     for (let i = 1; i < rawData.length; i++) {
+        if (onRowsParsed && i % PROGRESS_INTERVAL === 0) {
+            onRowsParsed(i - 1);
+        }
+
         const row = rawData[i];
-        if (!row || row.length === 0) continue;
+        if (!row || row.every(isBlank)) continue;
 
-        const transaction = parseRow(row, columnMap, headers);
-        if (transaction) {
-            transaction.id = i;
-            transactions.push(transaction);
+        const parsed = parseRow(row, columnMap, headers, format || 'en', dateOrder);
+        if (parsed.transaction) {
+            parsed.transaction.id = i;
+            transactions.push(parsed.transaction);
+        } else {
+            rejected.push({
+                // Spreadsheet row number, counting the header row
+                row: i + 1,
+                values: Object.fromEntries(originalHeaders.map((header, index) => [header, row[index] ?? ''])),
+                reason: parsed.reason,
+                draft: parsed.draft
+            });
         }
     }
 
+    if (onRowsParsed) {
+        onRowsParsed(rawData.length - 1);
+    }
+
     return {
         transactions,
-        columns: Object.keys(columnMap).filter(k => columnMap[k] !== -1)
+        rejected,
+        columns: Object.keys(columnMap).filter(k => columnMap[k] !== -1),
+        numberFormat: format
     };
 }
 
@@ -98,51 +359,129 @@ function parseSheetData(rawData) {
  * @param {Array} headers - Array of header strings
  * @returns {Object} Column index mapping
  */
-function mapColumns(headers) {
-    const map = {
-        date: -1,
-        description: -1,
-        category: -1,
-        amount: -1,
-        type: -1
-    };
+export function mapColumns(headers) {
+    const map = createEmptyColumnMap();
 
-    headers.forEach((header, index) => {
-        const lowerHeader = header.toLowerCase();
+    const normalized = headers.map(h => String(h || '').toLowerCase().trim());
+    const used = new Set();
+    const partial = new Set();
 
+    // Exact header matches take precedence over partial ones, and a
+    // column is never assigned to more than one field
+    for (const exact of [true, false]) {
         for (const [field, aliases] of Object.entries(COLUMN_MAPPINGS)) {
-            if (aliases.some(alias => lowerHeader.includes(alias))) {
-                if (map[field] === -1) {
+            if (map[field] !== -1) continue;
+
+            for (const alias of aliases) {
+                if (!exact && EXACT_ONLY_ALIASES.has(alias)) continue;
+
+                const index = normalized.findIndex((header, i) =>
+                    header && !used.has(i) && (exact ? header === alias : header.includes(alias))
+                );
+                if (index !== -1) {
                     map[field] = index;
+                    used.add(index);
+                    if (!exact) partial.add(field);
+                    break;
                 }
             }
         }
-    });
+    }
+
+    // With debit and credit columns found, a loosely matched amount column is more
+    // likely something else (a balance total, a reference) than a signed amount
+    if ((map.debit !== -1 || map.credit !== -1) && partial.has('amount')) {
+        map.amount = -1;
+    }
 
     return map;
 }
 
+/**
+ * Create a column mapping with every field unassigned
+ * @returns {Object} Column index mapping
+ */
+function createEmptyColumnMap() {
+    return {
+        date: -1,
+        description: -1,
+        category: -1,
+        account: -1,
+        amount: -1,
+        debit: -1,
+        credit: -1,
+        type: -1
+    };
+}
+
+/**
+ * Check whether a column mapping can produce transactions: a date plus
+ * either a signed amount or a debit/credit column
+ * @param {Object} columnMap - Column index mapping
+ * @returns {boolean} True if the required fields are mapped
+ */
+export function hasRequiredFields(columnMap) {
+    return columnMap.date !== -1 &&
+        (columnMap.amount !== -1 || columnMap.debit !== -1 || columnMap.credit !== -1);
+}
+
+/**
+ * Check whether a column mapping covers the required fields and every named column
+ * @param {Array} headers - Array of header strings
+ * @param {Object} columnMap - Column index mapping
+ * @returns {boolean} True if no column would be silently dropped
+ */
+export function isMappingComplete(headers, columnMap) {
+    if (!hasRequiredFields(columnMap)) {
+        return false;
+    }
+
+    const mapped = new Set(Object.values(columnMap));
+    return headers.every((header, index) => !String(header || '').trim() || mapped.has(index));
+}
+
+/**
+ * Compute a stable fingerprint of a header row, used to recognise repeat exports
+ * @param {Array} headers - Array of header strings
+ * @returns {string} Fingerprint string
+ */
+export function getHeaderFingerprint(headers) {
+    const text = headers.map(h => String(h || '').toLowerCase().trim()).join('\u001f');
+
+    // djb2 string hash
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+
+    return `${headers.length}-${(hash >>> 0).toString(36)}`;
+}
+
 /**
  * Parse a single row into a transaction object
  * @param {Array} row - Row data array
  * @param {Object} columnMap - Column index mapping
  * @param {Array} headers - Original headers
- * @returns {Object|null} Transaction object or null if invalid
+ * @param {string} numberFormat - Key of NUMBER_FORMATS for text amounts
+ * @param {string} dateOrder - 'DMY' or 'MDY' for numeric text dates
+ * @returns {Object} Object with the transaction, or with the reason it was rejected and a
+ *   draft of the fields that could be read
  */
-function parseRow(row, columnMap, headers) {
+function parseRow(row, columnMap, headers, numberFormat, dateOrder) {
     // Get date
     let date = null;
-    if (columnMap.date !== -1 && row[columnMap.date] !== undefined) {
-        const dateVal = row[columnMap.date];
+    const dateVal = columnMap.date !== -1 ? row[columnMap.date] : undefined;
+    if (!isBlank(dateVal)) {
         if (dateVal instanceof Date) {
             date = dateVal;
+        } else if (typeof dateVal === 'number') {
+            // Date cell stored without a date format
+            date = excelSerialToDate(dateVal);
         } else {
-            date = parseDate(String(dateVal));
+            date = parseDate(String(dateVal), dateOrder);
         }
     }
 
-    if (!date) return null; // Date is required
-
     // Get description
     let description = '';
     if (columnMap.description !== -1 && row[columnMap.description] !== undefined) {
@@ -155,26 +494,53 @@ function parseRow(row, columnMap, headers) {
         category = String(row[columnMap.category]).trim() || 'Uncategorized';
     }
 
-    // Get amount
+    // Get account name; resolved to an account when the import is saved
+    let account = '';
+    if (columnMap.account !== -1 && row[columnMap.account] !== undefined) {
+        account = String(row[columnMap.account]).trim();
+    }
+
+    // Get amount: a signed amount column, or separate debit/credit columns
     let amount = 0;
-    if (columnMap.amount !== -1 && row[columnMap.amount] !== undefined) {
-        const amountVal = row[columnMap.amount];
-        if (typeof amountVal === 'number') {
-            amount = amountVal;
-        } else {
-            // Parse string amount, removing currency symbols
-            const cleaned = String(amountVal).replace(/[^0-9.\-+]/g, '');
-            amount = parseFloat(cleaned) || 0;
-        }
+    let fromDebitCredit = false;
+    const amountCells = [];
+    if (columnMap.amount !== -1 && !isBlank(row[columnMap.amount])) {
+        amountCells.push(row[columnMap.amount]);
+        amount = parseAmount(row[columnMap.amount], numberFormat);
+    } else if (columnMap.debit !== -1 || columnMap.credit !== -1) {
+        const debit = columnMap.debit !== -1 ? Math.abs(parseAmount(row[columnMap.debit], numberFormat)) : 0;
+        const credit = columnMap.credit !== -1 ? Math.abs(parseAmount(row[columnMap.credit], numberFormat)) : 0;
+        amountCells.push(...[row[columnMap.debit], row[columnMap.credit]].filter(v => !isBlank(v)));
+        amount = credit - debit;
+        fromDebitCredit = true;
+    }
+
+    const draft = { date, description, category, amount: amount || null, ...(account && { account }) };
+
+    // Date is required
+    if (!date) {
+        return {
+            reason: isBlank(dateVal) ? 'Missing date' : `Unrecognised date "${formatCell(dateVal)}"`,
+            draft
+        };
     }
 
-    if (amount === 0) return null; // Amount is required
+    // Amount is required
+    if (isNaN(amount)) {
+        return { reason: `Unrecognised amount "${amountCells.map(formatCell).join(' / ')}"`, draft };
+    }
+    if (amount === 0) {
+        return { reason: amountCells.length === 0 ? 'Missing amount' : 'Amount is zero', draft };
+    }
 
     // Determine type (income or expense)
     let type = 'Expense';
-    if (columnMap.type !== -1 && row[columnMap.type] !== undefined) {
-        const typeVal = String(row[columnMap.type]).toLowerCase();
-        if (typeVal.includes('income') || typeVal.includes('in') || typeVal.includes('credit')) {
+    if (fromDebitCredit) {
+        // The filled column decides: credit is money in, debit is money out
+        type = amount > 0 ? 'Income' : 'Expense';
+    } else if (columnMap.type !== -1 && row[columnMap.type] !== undefined) {
+        const words = String(row[columnMap.type]).toLowerCase().match(/[a-z]+/g) || [];
+        if (words.some(word => INCOME_TYPE_WORDS.has(word))) {
             type = 'Income';
         }
     } else {
@@ -183,14 +549,35 @@ function parseRow(row, columnMap, headers) {
     }
 
     return {
-        date,
-        description,
-        category,
-        amount: Math.abs(amount),
-        type
+        transaction: {
+            date,
+            description,
+            category,
+            amount: Math.abs(amount),
+            type,
+            ...(account && { account })
+        }
     };
 }
 
+/**
+ * Format a raw cell for a rejection reason
+ * @param {*} value - Cell value
+ * @returns {string} Display string
+ */
+function formatCell(value) {
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+}
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - Cell value
+ * @returns {boolean} True if the cell has no content
+ */
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
 /**
  * Validate file type
  * @param {File} file - File to validate
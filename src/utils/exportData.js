@@ -13,6 +13,7 @@ export function exportToExcel(transactions, filename = 'finance_export') {
     // Prepare data for export
     const data = transactions.map(t => ({
         'Date': formatDate(t.date, 'medium'),
+        'Payee': t.payee || '',
         'Description': t.description,
         'Category': t.category,
         'Amount': t.amount,
@@ -26,6 +27,7 @@ export function exportToExcel(transactions, filename = 'finance_export') {
     // Set column widths
     worksheet['!cols'] = [
         { wch: 15 },  // Date
+        { wch: 25 },  // Payee
         { wch: 40 },  // Description
         { wch: 20 },  // Category
         { wch: 12 },  // Amount
@@ -47,6 +49,7 @@ export function exportToCSV(transactions, filename = 'finance_export') {
     // Prepare data for export
     const data = transactions.map(t => ({
         'Date': formatDate(t.date, 'medium'),
+        'Payee': t.payee || '',
         'Description': t.description,
         'Category': t.category,
         'Amount': t.amount,
@@ -109,6 +112,37 @@ export function exportSummaryReport(summary, categoryData, monthlyData, filename
     XLSX.writeFile(workbook, `${filename}.xlsx`);
 }
 
+/**
+ * Export rows skipped during an import, with their original cells, so they
+ * can be corrected and imported again
+ * @param {Array} rejected - Rejected rows with row, sheet, reason and values
+ * @param {string} filename - Output filename (without extension)
+ */
+export function exportRejectedRows(rejected, filename = 'skipped_rows') {
+    const data = rejected.map(r => ({
+        ...(r.sourceFile ? { 'File': r.sourceFile } : {}),
+        'Row': r.row,
+        ...(r.sheet ? { 'Sheet': r.sheet } : {}),
+        'Reason': r.reason,
+        ...r.values
+    }));
+
+    const worksheet = XLSX.utils.json_to_sheet(data);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Skipped Rows');
+
+    XLSX.writeFile(workbook, `${filename}.xlsx`);
+}
+
+/**
+ * Download a workspace backup as JSON
+ * @param {Object} backup - Result of createBackup()
+ * @param {string} filename - Output filename (without extension)
+ */
+export function exportBackup(backup, filename = 'finance_backup') {
+    downloadFile(JSON.stringify(backup, null, 2), `${filename}.json`, 'application/json');
+}
+
 /**
  * Download the sample template file
  */
@@ -39,6 +39,18 @@ export function formatDate(date, format = 'medium') {
     return new Intl.DateTimeFormat('en-US', options[format] || options.medium).format(d);
 }
 
+/**
+ * Format a date for a date input
+ * @param {Date|null} date - Date
+ * @returns {string} YYYY-MM-DD, or empty string
+ */
+export function toInputDate(date) {
+    if (!date) return '';
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
 /**
  * Format a number with thousand separators
  * @param {number} num - Number to format
@@ -66,45 +78,361 @@ export function formatPercentage(value, decimals = 1) {
     }).format(value);
 }
 
+/**
+ * Month names and their usual abbreviations in English, German, French, Spanish,
+ * Italian, Dutch, Portuguese and Romanian (accents stripped), one list per month.
+ * Only whole words match, so weekdays such as "mardi" or words such as "Marketing"
+ * are not taken for a month.
+ */
+const MONTH_NAMES = [
+    ['january', 'jan', 'januar', 'janner', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro', 'ianuarie', 'ian'],
+    ['february', 'feb', 'febr', 'februar', 'fevrier', 'fevr', 'fev', 'febrero', 'febbraio', 'februari', 'fevereiro', 'februarie'],
+    ['march', 'mar', 'marz', 'maerz', 'mrz', 'mars', 'marzo', 'maart', 'mrt', 'marco', 'martie'],
+    ['april', 'apr', 'avril', 'avr', 'abril', 'abr', 'aprile', 'aprilie'],
+    ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+    ['june', 'jun', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho', 'iunie', 'iun'],
+    ['july', 'jul', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho', 'iulie', 'iul'],
+    ['august', 'aug', 'aout', 'agosto', 'ago', 'augustus'],
+    ['september', 'sep', 'sept', 'septembre', 'septiembre', 'setiembre', 'settembre', 'set', 'setembro', 'septembrie'],
+    ['october', 'oct', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out', 'octombrie'],
+    ['november', 'nov', 'novembre', 'noviembre', 'novembro', 'noiembrie', 'noi'],
+    ['december', 'dec', 'dezember', 'dez', 'decembre', 'diciembre', 'dic', 'dicembre', 'dezembro', 'decembrie']
+];
+
+/**
+ * Month number of every name in MONTH_NAMES
+ */
+const MONTHS_BY_NAME = new Map(MONTH_NAMES.flatMap((names, i) => names.map(name => [name, i + 1])));
+
+/**
+ * Words besides month names left to the built-in date parser, which would read
+ * any other word starting with a month name ("Marketing") as that month
+ */
+const FALLBACK_DATE_WORDS = new Set([
+    'mon', 'monday', 'tue', 'tues', 'tuesday', 'wed', 'wednesday', 'thu', 'thur', 'thurs', 'thursday',
+    'fri', 'friday', 'sat', 'saturday', 'sun', 'sunday', 'gmt', 'utc'
+]);
+
+/**
+ * Day/month orders for numeric dates
+ */
+export const DATE_ORDERS = {
+    DMY: { label: 'DD/MM/YYYY' },
+    MDY: { label: 'MM/DD/YYYY' }
+};
+
+/**
+ * Numeric date: YYYY-MM-DD or a/b/year with /, - or . separators and an optional time
+ */
+const NUMERIC_DATE_PATTERN = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T].*)?$/;
+
 /**
  * Parse a date string in various formats
  * @param {string} dateStr - Date string to parse
+ * @param {string} order - 'DMY' or 'MDY' for a/b/year dates; defaults to DMY for dotted
+ *   dates (31.01.2026) and MDY otherwise
  * @returns {Date|null} Parsed date or null if invalid
  */
-export function parseDate(dateStr) {
+export function parseDate(dateStr, order) {
     if (!dateStr) return null;
 
-    // Try direct parsing first
-    let date = new Date(dateStr);
-    if (!isNaN(date.getTime())) {
-        return date;
+    const str = String(dateStr).trim();
+
+    // Excel serial day number stored as text or a general-format cell
+    if (/^\d{5}(\.\d+)?$/.test(str)) {
+        return excelSerialToDate(parseFloat(str));
     }
 
-    // Try common formats
-    const formats = [
-        /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, // MM/DD/YYYY
-        /^(\d{1,2})-(\d{1,2})-(\d{4})$/,   // MM-DD-YYYY
-        /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, // YYYY/MM/DD
-        /^(\d{4})-(\d{1,2})-(\d{1,2})$/    // YYYY-MM-DD
-    ];
-
-    for (const format of formats) {
-        const match = dateStr.match(format);
-        if (match) {
-            const [, a, b, c] = match;
-            // Determine year position
-            if (a.length === 4) {
-                date = new Date(parseInt(a), parseInt(b) - 1, parseInt(c));
-            } else {
-                date = new Date(parseInt(c), parseInt(a) - 1, parseInt(b));
-            }
-            if (!isNaN(date.getTime())) {
-                return date;
-            }
+    const numeric = str.match(NUMERIC_DATE_PATTERN);
+    if (numeric) {
+        const [, a, b, c] = numeric;
+
+        if (a.length === 4) {
+            return buildDate(parseInt(a), parseInt(b), parseInt(c));
         }
+
+        const dayFirst = order ? order === 'DMY' : str.includes('.');
+        const year = expandYear(c);
+        return dayFirst
+            ? buildDate(year, parseInt(b), parseInt(a))
+            : buildDate(year, parseInt(a), parseInt(b));
     }
 
-    return null;
+    const named = parseNamedMonthDate(str);
+    if (named) {
+        return named;
+    }
+
+    // Fall back to the built-in parser (ISO timestamps, RFC 2822, ...)
+    const words = str.toLowerCase().match(/[a-z]{3,}/g) || [];
+    if (words.some(word => !FALLBACK_DATE_WORDS.has(word) && !MONTHS_BY_NAME.has(word))) {
+        return null;
+    }
+    const date = new Date(str);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Work out whether a column of numeric dates is day-first or month-first.
+ * Any value over 12 in the first position means DD/MM, in the second MM/DD.
+ * @param {Array} values - Raw date values (Date objects and numbers are ignored)
+ * @returns {string|null} 'DMY' or 'MDY' when settled, 'ambiguous' when dates could
+ *   be read either way, or null when the column has no a/b/year dates
+ */
+export function detectDateOrder(values) {
+    let dayFirst = 0;
+    let monthFirst = 0;
+    let ambiguous = false;
+
+    values.forEach(value => {
+        if (typeof value !== 'string') return;
+
+        const match = value.trim().match(NUMERIC_DATE_PATTERN);
+        if (!match || match[1].length === 4) return;
+
+        const a = parseInt(match[1]);
+        const b = parseInt(match[2]);
+
+        if (a > 12 && b <= 12) dayFirst++;
+        else if (b > 12 && a <= 12) monthFirst++;
+        else if (a !== b) ambiguous = true;
+    });
+
+    if (dayFirst > monthFirst) return 'DMY';
+    if (monthFirst > dayFirst) return 'MDY';
+    return ambiguous ? 'ambiguous' : null;
+}
+
+/**
+ * Convert an Excel serial day number to a date
+ * @param {number} serial - Days since 1899-12-30
+ * @returns {Date|null} Date or null if out of range
+ */
+export function excelSerialToDate(serial) {
+    if (!(serial > 0 && serial < 2958466)) return null;
+    return new Date(1899, 11, 30 + Math.floor(serial));
+}
+
+/**
+ * Parse a date with a month name, e.g. "31 Jan 2026", "Jan 31, 2026",
+ * "31. März 2026" or "5-ago-26"
+ * @param {string} str - Date string
+ * @returns {Date|null} Parsed date or null
+ */
+function parseNamedMonthDate(str) {
+    const tokens = str
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[a-z]+|\d+/g);
+    if (!tokens) return null;
+
+    let month = null;
+    const numbers = [];
+
+    tokens.forEach(token => {
+        if (/^\d+$/.test(token)) {
+            numbers.push(token);
+        } else if (month === null) {
+            month = getMonthFromName(token);
+        }
+    });
+
+    if (month === null || numbers.length < 2) return null;
+
+    const yearIndex = numbers.findIndex(n => n.length === 4);
+    const yearToken = yearIndex !== -1 ? numbers[yearIndex] : numbers[numbers.length - 1];
+    const dayToken = numbers.find((n, i) => i !== (yearIndex !== -1 ? yearIndex : numbers.length - 1));
+
+    return buildDate(expandYear(yearToken), month, parseInt(dayToken));
+}
+
+/**
+ * Look up a month number from a month name or abbreviation
+ * @param {string} token - Lowercase, accent-free word
+ * @returns {number|null} Month number (1-12) or null
+ */
+function getMonthFromName(token) {
+    return MONTHS_BY_NAME.get(token) || null;
+}
+
+/**
+ * Expand a two-digit year (00-69 -> 2000s, 70-99 -> 1900s)
+ * @param {string} year - Year digits
+ * @returns {number} Four-digit year
+ */
+function expandYear(year) {
+    const value = parseInt(year);
+    if (year.length > 2) return value;
+    return value < 70 ? 2000 + value : 1900 + value;
+}
+
+/**
+ * Build a local date, rejecting impossible days such as 31/02
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Date|null} Date or null if invalid
+ */
+function buildDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Number formats recognised when parsing amounts, keyed by convention
+ */
+export const NUMBER_FORMATS = {
+    en: { label: '1,234.56', decimal: '.' },
+    eu: { label: '1.234,56', decimal: ',' },
+    space: { label: '1 234,56', decimal: ',' },
+    apostrophe: { label: "1'234.56", decimal: '.' },
+    lakh: { label: '1,23,456.78', decimal: '.' }
+};
+
+/**
+ * ISO 4217 currency codes, where the browser can list them
+ */
+const CURRENCY_CODES = new Set(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : []);
+
+/**
+ * Currency abbreviations written next to amounts that are neither symbols nor codes
+ */
+const CURRENCY_WORDS = new Set(['kr', 'zl', 'kc', 'ft', 'lei', 'fr', 'rs']);
+
+/**
+ * Amount text: anything before the digits, the digits with their separators, and
+ * anything after them
+ */
+const AMOUNT_PATTERN = /^(\D*?)(\d[\d.,'\u2019 \u00a0\u202f]*)(\D*)$/;
+
+/**
+ * Parse a monetary amount written in a given number format. Handles currency
+ * symbols and codes, leading or trailing minus, parenthesised negatives and CR/DR
+ * suffixes.
+ * @param {number|string} value - Raw amount
+ * @param {string} format - Key of NUMBER_FORMATS (default: 'en')
+ * @returns {number} Parsed amount, 0 if empty, NaN if it is not an amount (a date,
+ *   a reference, text around the number)
+ */
+export function parseAmount(value, format = 'en') {
+    if (typeof value === 'number') return value;
+    if (value === undefined || value === null) return 0;
+
+    let str = String(value).trim().replace(/\u2212/g, '-');
+    if (!str) return 0;
+
+    let negative = false;
+
+    // Accounting negatives: (45.00)
+    if (/^\(.*\)$/.test(str)) {
+        negative = true;
+        str = str.slice(1, -1);
+    }
+
+    // Debit / credit suffixes, with or without a space: 45.00 DR, 45.00CR
+    const suffix = str.match(/(?<=[\d\s])(DR|CR|D|C)\.?$/i);
+    if (suffix) {
+        negative = negative || suffix[1].toUpperCase().startsWith('D');
+        str = str.slice(0, suffix.index);
+    }
+
+    // Only signs and a currency may surround the digits
+    const parts = str.match(AMOUNT_PATTERN);
+    if (!parts || !isCurrencyAffix(parts[1]) || !isCurrencyAffix(parts[3])) return NaN;
+
+    // Leading or trailing minus
+    if (parts[1].includes('-') || parts[3].includes('-')) {
+        negative = true;
+    }
+
+    const decimal = (NUMBER_FORMATS[format] || NUMBER_FORMATS.en).decimal;
+    const digits = parts[2].replace(new RegExp(`[^0-9${decimal === ',' ? ',' : '.'}]`, 'g'), '');
+    const amount = parseFloat(decimal === ',' ? digits.replace(',', '.') : digits);
+
+    if (isNaN(amount)) return NaN;
+    return negative ? -amount : amount;
+}
+
+/**
+ * Check the text before or after an amount's digits: nothing, a sign, or a
+ * currency symbol, code or abbreviation
+ * @param {string} text - Text next to the digits
+ * @returns {boolean} True if it can surround an amount
+ */
+function isCurrencyAffix(text) {
+    const token = text.replace(/[\s+\-.]/g, '');
+    if (!token) return true;
+
+    const plain = token.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace('\u0142', 'l');
+    return /^[A-Za-z]{0,3}\p{Sc}$/u.test(token) ||
+        CURRENCY_CODES.has(token.toUpperCase()) ||
+        (CURRENCY_CODES.size === 0 && /^[A-Z]{3}$/.test(token)) ||
+        CURRENCY_WORDS.has(plain.toLowerCase());
+}
+
+/**
+ * Detect the number format used by a column of amounts
+ * @param {Array} values - Raw amount values (numbers are ignored)
+ * @returns {string|null} Key of NUMBER_FORMATS, or null if no text amount gives a clue
+ */
+export function detectNumberFormat(values) {
+    let commaDecimal = 0;
+    let dotDecimal = 0;
+    let lakh = false;
+    let apostrophe = false;
+    let space = false;
+
+    values.forEach(value => {
+        if (typeof value !== 'string') return;
+
+        const str = value.replace(/[^0-9.,' \u00a0\u202f]/g, '').trim();
+        if (!/\d/.test(str)) return;
+
+        if (/\d['\u2019]\d{3}/.test(value)) apostrophe = true;
+        if (/\d[ \u00a0\u202f]\d{3}/.test(str)) space = true;
+        if (/^\d{1,2}(,\d{2})+,\d{3}(\.\d+)?$/.test(str)) lakh = true;
+
+        const lastComma = str.lastIndexOf(',');
+        const lastDot = str.lastIndexOf('.');
+
+        if (lastComma !== -1 && lastDot !== -1) {
+            // Both present: whichever comes last is the decimal separator
+            if (lastComma > lastDot) commaDecimal++;
+            else dotDecimal++;
+            return;
+        }
+
+        const separator = lastComma !== -1 ? ',' : lastDot !== -1 ? '.' : null;
+        if (!separator) return;
+
+        const count = str.split(separator).length - 1;
+        const decimals = str.length - str.lastIndexOf(separator) - 1;
+
+        if (count > 1) {
+            // Repeated separator is grouping: 1,234,567 or 1.234.567
+            if (separator === ',') dotDecimal++;
+            else commaDecimal++;
+        } else if (decimals !== 3) {
+            // 12,5 or 12.50; exactly three digits (1,234) is ambiguous
+            if (separator === ',') commaDecimal++;
+            else dotDecimal++;
+        }
+    });
+
+    if (commaDecimal === 0 && dotDecimal === 0 && !lakh && !apostrophe && !space) {
+        return null;
+    }
+
+    if (commaDecimal > dotDecimal) {
+        return space ? 'space' : 'eu';
+    }
+    if (lakh) return 'lakh';
+    if (apostrophe) return 'apostrophe';
+    return 'en';
 }
 
 /**
@@ -133,3 +461,23 @@ export function formatFileSize(bytes) {
 
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Escape text for an HTML attribute value, quotes included
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,146 @@
+/**
+ * Import dispatcher - routes an uploaded file to the matching parser
+ */
+import { parseExcelFile, isValidExcelFile, readFileAsArrayBuffer } from './excelParser.js';
+import { parseCsvFile, isValidCsvFile, decodeText } from './csvParser.js';
+import { parseOfxFile, isOfxContent } from './ofxParser.js';
+import { parseQifFile, isQifContent } from './qifParser.js';
+import { parseCamtFile, isCamtContent } from './camtParser.js';
+import { parseMt940File, isMt940Content } from './mt940Parser.js';
+
+/**
+ * File extensions offered in the file picker
+ */
+export const SUPPORTED_EXTENSIONS = ['.xlsx', '.xls', '.xlsm', '.csv', '.tsv', '.txt', '.ofx', '.qfx', '.qif', '.xml', '.sta', '.mt940', '.940'];
+
+/**
+ * Number of bytes read when sniffing the file format
+ */
+const SNIFF_BYTES = 4096;
+
+/**
+ * Check whether the file has an extension or MIME type we import
+ * @param {File} file - File to validate
+ * @returns {boolean} True if the file can be imported
+ */
+export function isSupportedFile(file) {
+    const extension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+    return SUPPORTED_EXTENSIONS.includes(extension) || isValidExcelFile(file) || isValidCsvFile(file);
+}
+
+/**
+ * Detect a file's format from its contents. Banks often mislabel exports
+ * (CSV saved as .xls, OFX saved as .txt), so the extension is not trusted.
+ * @param {File} file - File to inspect
+ * @returns {Promise<string>} 'excel', 'ofx', 'qif', 'camt', 'mt940' or 'csv'
+ */
+export async function detectFileFormat(file) {
+    const bytes = new Uint8Array(await readFileAsArrayBuffer(file.slice(0, SNIFF_BYTES)));
+
+    // ZIP container (xlsx, xlsm) or OLE compound document (xls)
+    if (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) {
+        return 'excel';
+    }
+    if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) {
+        return 'excel';
+    }
+
+    const { text } = decodeText(bytes);
+
+    if (isOfxContent(text)) {
+        return 'ofx';
+    }
+
+    if (isQifContent(text)) {
+        return 'qif';
+    }
+
+    if (isCamtContent(text)) {
+        return 'camt';
+    }
+
+    if (isMt940Content(text)) {
+        return 'mt940';
+    }
+
+    // SpreadsheetML and HTML tables, which SheetJS reads
+    if (/urn:schemas-microsoft-com:office:spreadsheet|<html|<table/i.test(text)) {
+        return 'excel';
+    }
+
+    return 'csv';
+}
+
+/**
+ * Parse an uploaded file with the parser for its format
+ * @param {File} file - The file to parse
+ * @param {Object} options - Parse options passed through to the parser
+ * @returns {Promise<Object|null>} Object containing transactions and metadata, or null if cancelled
+ */
+export async function parseImportFile(file, options = {}) {
+    const result = await parseByFormat(file, await detectFileFormat(file), options);
+    if (!result) return null;
+
+    // Record where each row came from so batch imports can be filtered by file
+    result.transactions.forEach(t => {
+        t.sourceFile = file.name;
+    });
+    (result.rejected || []).forEach(r => {
+        r.sourceFile = file.name;
+    });
+
+    return result;
+}
+
+/**
+ * Merge the results of several imported files into one import result
+ * @param {Array} results - Per-file parse results
+ * @returns {Object} Combined result
+ */
+export function mergeImportResults(results) {
+    const transactions = results.flatMap(r => r.transactions);
+
+    // Row numbers repeat across files, so renumber
+    transactions.forEach((t, index) => {
+        t.id = index + 1;
+    });
+
+    const profileNames = [...new Set(results.map(r => r.profileName).filter(Boolean))];
+
+    return {
+        transactions,
+        rejected: results.flatMap(r => r.rejected || []),
+        statements: results.flatMap(r => r.statements || []),
+        fileName: `${results.length} files`,
+        fileNames: results.map(r => r.fileName),
+        sheetName: null,
+        totalRows: results.reduce((sum, r) => sum + r.totalRows, 0),
+        parsedRows: transactions.length,
+        columns: [...new Set(results.flatMap(r => r.columns))],
+        profileName: profileNames.length > 0 ? profileNames.join(', ') : null
+    };
+}
+
+/**
+ * Run the parser for a detected format
+ * @param {File} file - The file to parse
+ * @param {string} format - Format from detectFileFormat()
+ * @param {Object} options - Parse options passed through to the parser
+ * @returns {Promise<Object|null>} Parse result, or null if cancelled
+ */
+function parseByFormat(file, format, options) {
+    switch (format) {
+        case 'excel':
+            return parseExcelFile(file, options);
+        case 'ofx':
+            return parseOfxFile(file);
+        case 'qif':
+            return parseQifFile(file);
+        case 'camt':
+            return parseCamtFile(file);
+        case 'mt940':
+            return parseMt940File(file);
+        default:
+            return parseCsvFile(file, options);
+    }
+}
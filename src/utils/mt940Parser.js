@@ -0,0 +1,333 @@
+/**
+ * SWIFT MT940 statement parsing utility
+ */
+import { readFileAsArrayBuffer } from './excelParser.js';
+import { decodeText } from './csvParser.js';
+import { reconcileBalances } from './camtParser.js';
+
+/**
+ * :61: statement line - value date, optional entry date, debit/credit mark,
+ * funds code, amount, transaction type, customer reference and bank reference
+ */
+const STATEMENT_LINE_PATTERN = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})([^\n/]*(?:\/(?!\/)[^\n/]*)*)(?:\/\/([^\n]*))?/;
+
+/**
+ * :60F:/:62F: balance - debit/credit mark, date, currency and amount
+ */
+const BALANCE_PATTERN = /^([CD])(\d{6})([A-Z]{3})(\d+,\d*)/;
+
+/**
+ * Parse an MT940 file and extract transaction data
+ * @param {File} file - The statement file to parse
+ * @returns {Promise<Object>} Object containing transactions, statement balances and metadata
+ */
+export async function parseMt940File(file) {
+    const buffer = await readFileAsArrayBuffer(file);
+    const { text } = decodeText(new Uint8Array(buffer));
+
+    const result = parseMt940Text(text);
+
+    return {
+        ...result,
+        fileName: file.name,
+        sheetName: null,
+        profileName: null
+    };
+}
+
+/**
+ * Parse MT940 text into transactions
+ * @param {string} text - MT940 document, one or more statements
+ * @returns {Object} Object with transactions, statements and row counts, and the lines
+ *   that could not be read
+ */
+export function parseMt940Text(text) {
+    const fields = readFields(text);
+
+    const transactions = [];
+    const rejected = [];
+    const statements = [];
+    let current = null;
+    let totalRows = 0;
+
+    const finishStatement = () => {
+        if (!current) return;
+        statements.push({
+            account: current.account,
+            currency: current.currency,
+            ...reconcileBalances(current.opening, current.closing, current.transactions)
+        });
+        current = null;
+    };
+
+    fields.forEach(({ tag, value }) => {
+        if (tag === '20') {
+            finishStatement();
+            current = { account: '', currency: '', opening: null, closing: null, transactions: [], lastLine: null };
+            return;
+        }
+
+        if (!current) return;
+
+        switch (tag) {
+            case '25':
+                current.account = value.replace(/\s/g, '');
+                break;
+            case '60F':
+            case '60M': {
+                const balance = parseBalance(value);
+                if (balance && !current.opening) {
+                    current.opening = balance;
+                    current.currency = balance.currency;
+                }
+                break;
+            }
+            case '62F':
+            case '62M': {
+                const balance = parseBalance(value);
+                if (balance) current.closing = balance;
+                break;
+            }
+            case '61': {
+                totalRows++;
+                const { transaction, reason, draft } = parseStatementLine(value);
+                if (transaction) {
+                    transaction.id = transactions.length + 1;
+                    transactions.push(transaction);
+                    current.transactions.push(transaction);
+                    current.lastLine = { transaction };
+                } else {
+                    const reject = {
+                        // Position of the :61: line among all statement lines in the file
+                        row: totalRows,
+                        values: { ':25:': current.account, ':61:': value },
+                        reason,
+                        draft
+                    };
+                    rejected.push(reject);
+                    current.lastLine = { reject };
+                }
+                break;
+            }
+            case '86': {
+                // Information to account owner belongs to the preceding :61:
+                const last = current.lastLine;
+                current.lastLine = null;
+                if (last && last.transaction) {
+                    applyInformation(last.transaction, value);
+                } else if (last) {
+                    last.reject.values[':86:'] = value;
+                    applyInformation(last.reject.draft, value);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    finishStatement();
+
+    if (statements.length === 0) {
+        throw new Error('No statements (:20: fields) found in the MT940 file');
+    }
+
+    return {
+        transactions,
+        rejected,
+        statements,
+        totalRows,
+        parsedRows: transactions.length,
+        columns: ['date', 'description', 'amount', 'type'],
+        format: 'MT940'
+    };
+}
+
+/**
+ * Split MT940 text into tagged fields. A field runs until the next line
+ * starting with a ":tag:" marker; SWIFT block wrappers are ignored.
+ * @param {string} text - MT940 document
+ * @returns {Array} Array of { tag, value } objects
+ */
+function readFields(text) {
+    const fields = [];
+    let field = null;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/^\{4:/, '').replace(/^-\}?$/, '');
+        const tagMatch = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+
+        if (tagMatch) {
+            field = { tag: tagMatch[1], lines: [tagMatch[2]] };
+            fields.push(field);
+        } else if (field && line && !line.startsWith('{')) {
+            field.lines.push(line);
+        }
+    });
+
+    return fields.map(({ tag, lines }) => ({
+        tag,
+        // :61: keeps its supplementary-details line; other fields are wrapped text
+        value: tag === '61' ? lines.join('\n') : lines.join('')
+    }));
+}
+
+/**
+ * Parse a :61: statement line
+ * @param {string} value - Field value
+ * @returns {Object} Object with the transaction, or with the reason it was rejected and a
+ *   draft of the fields that could be read
+ */
+function parseStatementLine(value) {
+    const supplementary = value.split('\n')[1] || '';
+    const draft = { date: null, description: supplementary.trim(), category: 'Uncategorized', amount: null };
+
+    const match = value.match(STATEMENT_LINE_PATTERN);
+    if (!match) {
+        return { reason: 'Unrecognised statement line', draft };
+    }
+
+    const [, valueDateStr, entryDateStr, mark, , amountStr, , customerRef, bankRef] = match;
+
+    const valueDate = parseSwiftDate(valueDateStr);
+    const date = valueDate && entryDateStr ? parseEntryDate(entryDateStr, valueDate) : valueDate;
+
+    const amount = parseFloat(amountStr.replace(',', '.'));
+
+    // RC (reversal of credit) moves money out, RD (reversal of debit) moves it in
+    const isCredit = mark === 'C' || mark === 'RD';
+
+    draft.date = date;
+    draft.amount = (isCredit ? amount : -amount) || null;
+
+    if (!date) {
+        return { reason: `Unrecognised date "${valueDateStr}"`, draft };
+    }
+    if (!amount) {
+        return { reason: 'Amount is zero', draft };
+    }
+
+    const reference = customerRef.trim();
+
+    return {
+        transaction: {
+            date,
+            valueDate,
+            description: supplementary.trim(),
+            category: 'Uncategorized',
+            amount,
+            type: isCredit ? 'Income' : 'Expense',
+            counterparty: null,
+            counterpartyIban: null,
+            remittanceInfo: null,
+            externalId: (bankRef || '').trim() || (reference && reference !== 'NONREF' ? reference : null)
+        }
+    };
+}
+
+/**
+ * Apply a :86: information field to its transaction. Handles the German
+ * "?20".."?33" sub-field layout and the "/NAME/.../REMI/..." keyword layout,
+ * falling back to free text.
+ * @param {Object} transaction - Transaction to update
+ * @param {string} value - Field value
+ */
+function applyInformation(transaction, value) {
+    let counterparty = '';
+    let iban = '';
+    let remittance = '';
+
+    if (/\?\d{2}/.test(value)) {
+        const subfields = {};
+        value.split('?').slice(1).forEach(part => {
+            const code = part.slice(0, 2);
+            subfields[code] = (subfields[code] || '') + part.slice(2);
+        });
+
+        remittance = ['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']
+            .map(code => subfields[code] || '')
+            .join('');
+        counterparty = `${subfields['32'] || ''}${subfields['33'] || ''}`;
+        iban = subfields['31'] || '';
+    } else if (/^\/[A-Z]{2,4}\//.test(value)) {
+        const keywords = {};
+        const pattern = /\/([A-Z]{2,4})\/([^/]*(?:\/(?![A-Z]{2,4}\/)[^/]*)*)/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            keywords[match[1]] = match[2];
+        }
+
+        remittance = keywords.REMI || '';
+        counterparty = keywords.NAME || '';
+        iban = keywords.IBAN || keywords.ACCW || '';
+    } else {
+        remittance = value;
+    }
+
+    transaction.counterparty = counterparty.trim() || null;
+    transaction.counterpartyIban = iban.replace(/\s/g, '') || null;
+    transaction.remittanceInfo = remittance.trim() || null;
+    transaction.description = [transaction.counterparty, transaction.remittanceInfo || transaction.description]
+        .filter(Boolean)
+        .join(' - ');
+}
+
+/**
+ * Parse a :60F:/:62F: balance
+ * @param {string} value - Field value
+ * @returns {Object|null} Balance { amount, date, currency } or null if invalid
+ */
+function parseBalance(value) {
+    const match = value.match(BALANCE_PATTERN);
+    if (!match) return null;
+
+    const [, mark, dateStr, currency, amountStr] = match;
+    const amount = parseFloat(amountStr.replace(',', '.'));
+
+    return {
+        amount: mark === 'D' ? -amount : amount,
+        date: parseSwiftDate(dateStr),
+        currency
+    };
+}
+
+/**
+ * Parse a SWIFT YYMMDD date
+ * @param {string} value - Date string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseSwiftDate(value) {
+    const year = 2000 + parseInt(value.slice(0, 2));
+    const month = parseInt(value.slice(2, 4));
+    const day = parseInt(value.slice(4, 6));
+
+    const date = new Date(year, month - 1, day);
+    return isNaN(date.getTime()) || date.getMonth() !== month - 1 ? null : date;
+}
+
+/**
+ * Parse the MMDD entry (booking) date, taking the year from the value date
+ * and allowing for statements that cross New Year
+ * @param {string} value - MMDD string
+ * @param {Date} valueDate - Value date of the same line
+ * @returns {Date} Booking date
+ */
+function parseEntryDate(value, valueDate) {
+    const month = parseInt(value.slice(0, 2));
+    const day = parseInt(value.slice(2, 4));
+    let year = valueDate.getFullYear();
+
+    if (month === 12 && valueDate.getMonth() === 0) year--;
+    if (month === 1 && valueDate.getMonth() === 11) year++;
+
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Check whether text looks like an MT940 document
+ * @param {string} text - Start of the file contents
+ * @returns {boolean} True if the text has statement reference and account fields
+ */
+export function isMt940Content(text) {
+    return /(^|\n|\{4:\r?\n?):20:/.test(text) && /(^|\n):25:/.test(text) && /(^|\n):6[01][FM]?:/.test(text);
+}
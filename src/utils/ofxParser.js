@@ -0,0 +1,163 @@
+/**
+ * OFX / QFX statement parsing utility (SGML v1 and XML v2)
+ */
+import { readFileAsArrayBuffer } from './excelParser.js';
+import { decodeText } from './csvParser.js';
+
+/**
+ * Elements shown for a skipped record in the import report
+ */
+const REPORTED_ELEMENTS = ['DTPOSTED', 'TRNAMT', 'NAME', 'MEMO', 'FITID'];
+
+/**
+ * Parse an OFX or QFX file and extract transaction data
+ * @param {File} file - The statement file to parse
+ * @returns {Promise<Object>} Object containing transactions and metadata
+ */
+export async function parseOfxFile(file) {
+    const buffer = await readFileAsArrayBuffer(file);
+    const { text } = decodeText(new Uint8Array(buffer));
+
+    const result = parseOfxText(text);
+
+    return {
+        ...result,
+        fileName: file.name,
+        sheetName: null,
+        profileName: null
+    };
+}
+
+/**
+ * Parse OFX statement text into transactions
+ * @param {string} text - OFX document (SGML or XML)
+ * @returns {Object} Object with transactions and row counts, and the records that could not be read
+ */
+export function parseOfxText(text) {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    if (blocks.length === 0) {
+        throw new Error('No transactions (STMTTRN records) found in the OFX file');
+    }
+
+    const transactions = [];
+    const rejected = [];
+    const seenIds = new Set();
+
+    blocks.forEach((block, index) => {
+        const { transaction, reason, draft } = parseStatementTransaction(block);
+        if (!transaction) {
+            rejected.push({
+                // Position of the STMTTRN record in the file
+                row: index + 1,
+                values: Object.fromEntries(REPORTED_ELEMENTS.map(tag => [tag, getElementValue(block, tag)])),
+                reason,
+                draft
+            });
+            return;
+        }
+
+        // FITID is unique per account; skip repeats within the file
+        if (transaction.externalId) {
+            if (seenIds.has(transaction.externalId)) return;
+            seenIds.add(transaction.externalId);
+        }
+
+        transaction.id = index + 1;
+        transactions.push(transaction);
+    });
+
+    return {
+        transactions,
+        rejected,
+        totalRows: blocks.length,
+        parsedRows: transactions.length,
+        columns: ['date', 'description', 'amount', 'type'],
+        format: 'OFX'
+    };
+}
+
+/**
+ * Parse a single STMTTRN aggregate
+ * @param {string} block - STMTTRN markup
+ * @returns {Object} Object with the transaction, or with the reason it was rejected and a
+ *   draft of the fields that could be read
+ */
+function parseStatementTransaction(block) {
+    const rawDate = getElementValue(block, 'DTPOSTED');
+    const rawAmount = getElementValue(block, 'TRNAMT');
+    const date = parseOfxDate(rawDate);
+    const amount = parseFloat(rawAmount.replace(',', '.'));
+
+    const name = getElementValue(block, 'NAME');
+    const memo = getElementValue(block, 'MEMO');
+    const description = name && memo && !name.includes(memo)
+        ? `${name} - ${memo}`
+        : name || memo;
+
+    const draft = { date, description, category: 'Uncategorized', amount: amount || null };
+
+    if (!date) {
+        return { reason: rawDate ? `Unrecognised date "${rawDate}"` : 'Missing date', draft };
+    }
+    if (isNaN(amount)) {
+        return { reason: rawAmount ? `Unrecognised amount "${rawAmount}"` : 'Missing amount', draft };
+    }
+    if (amount === 0) {
+        return { reason: 'Amount is zero', draft };
+    }
+
+    return {
+        transaction: {
+            date,
+            description,
+            category: 'Uncategorized',
+            amount: Math.abs(amount),
+            type: amount > 0 ? 'Income' : 'Expense',
+            externalId: getElementValue(block, 'FITID') || null
+        }
+    };
+}
+
+/**
+ * Read an element value. SGML leaf elements have no closing tag, so the
+ * value runs until the next tag or line break.
+ * @param {string} block - Markup to search
+ * @param {string} tag - Element name
+ * @returns {string} Decoded value, or empty string
+ */
+function getElementValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return '';
+
+    return match[1]
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[gmt offset:tz]])
+ * @param {string} value - OFX date string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseOfxDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+
+    const [, year, month, day] = match;
+    const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether text looks like an OFX document
+ * @param {string} text - Start of the file contents
+ * @returns {boolean} True if the text has an OFX header or root element
+ */
+export function isOfxContent(text) {
+    return /^\s*OFXHEADER\s*:/i.test(text) || /<\?OFX\b/i.test(text) || /<OFX>/i.test(text);
+}
@@ -0,0 +1,156 @@
+/**
+ * Payees - clean merchant names derived from bank descriptions, with built-in and
+ * user-defined aliases
+ */
+import { normalizeDescription } from './duplicates.js';
+
+/**
+ * Aliases for merchants whose descriptions vary a lot between banks and card
+ * processors. User-defined aliases are checked first.
+ */
+export const BUILT_IN_ALIASES = [
+    { match: 'amzn', payee: 'Amazon' },
+    { match: 'amazon', payee: 'Amazon' },
+    { match: 'apple.com/bill', payee: 'Apple' },
+    { match: 'itunes', payee: 'Apple' },
+    { match: 'google', payee: 'Google' },
+    { match: 'netflix', payee: 'Netflix' },
+    { match: 'spotify', payee: 'Spotify' },
+    { match: 'starbucks', payee: 'Starbucks' },
+    { match: "mcdonald's", payee: "McDonald's" },
+    { match: 'uber eats', payee: 'Uber Eats' },
+    { match: 'uber', payee: 'Uber' },
+    { match: 'lyft', payee: 'Lyft' },
+    { match: 'airbnb', payee: 'Airbnb' },
+    { match: 'walmart', payee: 'Walmart' },
+    { match: 'wal-mart', payee: 'Walmart' },
+    { match: 'costco', payee: 'Costco' },
+    { match: 'ikea', payee: 'IKEA' },
+    { match: '7-eleven', payee: '7-Eleven' },
+    { match: 'shell', payee: 'Shell' },
+    { match: 'tesco', payee: 'Tesco' },
+    { match: 'aldi', payee: 'Aldi' },
+    { match: 'lidl', payee: 'Lidl' }
+];
+
+/**
+ * Card-processor and terminal prefixes in front of the merchant name,
+ * e.g. "POS", "DEBIT CARD PURCHASE", "SQ *" (Square) or "PAYPAL *"
+ */
+const PREFIX_PATTERN = /^(?:(?:pos(?: purchase)?|(?:debit )?card purchase|purchase|checkcard|contactless|recurring|debit|visa)\b[\s:-]*|(?:sq|tst|sp|pp|paypal|iz|sumup|ztl)\s?\*\s*)+/i;
+
+/**
+ * Validate alias fields and build an alias
+ * @param {Object} fields - Object with match and payee
+ * @returns {Object} Object with the alias, or with an error message
+ */
+export function buildPayeeAlias(fields) {
+    const match = String(fields.match || '').trim();
+    const payee = String(fields.payee || '').trim();
+
+    if (!match) {
+        return { error: 'Enter the text the description contains' };
+    }
+    if (!normalizeDescription(match)) {
+        return { error: `"${match}" has no letters or numbers to look for` };
+    }
+    if (!payee) {
+        return { error: `Enter the payee for "${match}"` };
+    }
+
+    return { alias: { match, payee } };
+}
+
+/**
+ * Strip processor prefixes, card and terminal numbers, store numbers and
+ * reference codes from a description
+ * @param {string} description - Raw description
+ * @returns {string} Merchant name in title case, or the trimmed description if
+ *   nothing is left
+ */
+export function cleanDescription(description) {
+    const raw = String(description || '').trim();
+
+    const cleaned = raw
+        .replace(PREFIX_PATTERN, '')
+        // Reference after an asterisk, as in "AMZN MKTP US*2K3L91"
+        .replace(/\*\S*/g, ' ')
+        // Anything with a digit: card numbers, store numbers, terminal ids, dates
+        .replace(/\S*\d\S*/g, ' ')
+        .replace(/[#*]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s\-.,:;/]+|[\s\-.,:;/]+$/g, '');
+
+    if (!cleaned) return raw;
+
+    return cleaned.toLowerCase().replace(/(^|[\s\-/&.])([a-z])/g, (m, sep, letter) => sep + letter.toUpperCase());
+}
+
+/**
+ * Get the payee for a description: the first matching alias, or the cleaned description
+ * @param {string} description - Raw description
+ * @param {Array} aliases - User-defined aliases, checked before the built-in ones
+ * @returns {string} Payee
+ */
+export function getPayee(description, aliases = []) {
+    return findPayee(description, compileAliases(aliases));
+}
+
+/**
+ * Find the transactions whose description contains an alias's text, e.g. to count
+ * them while editing
+ * @param {Object} alias - Alias
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Matching transactions
+ */
+export function getAliasMatches(alias, transactions) {
+    const key = ` ${normalizeDescription(alias.match)} `;
+    if (!key.trim()) return [];
+    return transactions.filter(t => ` ${normalizeDescription(t.description || '')} `.includes(key));
+}
+
+/**
+ * Set the payee of every transaction from its description
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} aliases - User-defined aliases
+ * @returns {Object} Object with the updated transactions and the changed ones
+ */
+export function applyPayees(transactions, aliases = []) {
+    const compiled = compileAliases(aliases);
+    const changed = [];
+
+    const result = transactions.map(t => {
+        const payee = findPayee(t.description, compiled);
+        if (payee === t.payee) return t;
+
+        const updated = { ...t, payee };
+        changed.push(updated);
+        return updated;
+    });
+
+    return { transactions: result, changed };
+}
+
+/**
+ * Normalise the alias texts once, user-defined aliases first
+ * @param {Array} aliases - User-defined aliases
+ * @returns {Array} Array of { key, payee }
+ */
+function compileAliases(aliases) {
+    return [...aliases, ...BUILT_IN_ALIASES].map(a => ({
+        key: ` ${normalizeDescription(a.match)} `,
+        payee: a.payee
+    }));
+}
+
+/**
+ * Match a description against compiled aliases as whole words
+ * @param {string} description - Raw description
+ * @param {Array} compiled - Result of compileAliases()
+ * @returns {string} Payee
+ */
+function findPayee(description, compiled) {
+    const text = ` ${normalizeDescription(description || '')} `;
+    const alias = compiled.find(a => text.includes(a.key));
+    return alias ? alias.payee : cleanDescription(description);
+}
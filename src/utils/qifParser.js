@@ -0,0 +1,289 @@
+/**
+ * QIF (Quicken Interchange Format) parsing utility
+ */
+import { readFileAsArrayBuffer } from './excelParser.js';
+import { decodeText } from './csvParser.js';
+import { parseAmount, detectNumberFormat } from './formatters.js';
+
+/**
+ * Account sections we import; investment, category and memorized lists are skipped
+ */
+const SUPPORTED_SECTIONS = ['bank', 'ccard', 'cash'];
+
+/**
+ * Parse a QIF file and extract transaction data
+ * @param {File} file - The QIF file to parse
+ * @returns {Promise<Object>} Object containing transactions and metadata
+ */
+export async function parseQifFile(file) {
+    const buffer = await readFileAsArrayBuffer(file);
+    const { text } = decodeText(new Uint8Array(buffer));
+
+    const result = parseQifText(text);
+
+    return {
+        ...result,
+        fileName: file.name,
+        sheetName: null,
+        profileName: null
+    };
+}
+
+/**
+ * Parse QIF text into transactions
+ * @param {string} text - QIF document
+ * @returns {Object} Object with transactions and row counts, and the records that could not be read
+ */
+export function parseQifText(text) {
+    const records = readRecords(text);
+
+    if (records.length === 0) {
+        throw new Error('No Bank, CCard or Cash transactions found in the QIF file');
+    }
+
+    const dayFirst = isDayFirst(records.map(r => r.date));
+    const numberFormat = detectNumberFormat(
+        records.flatMap(r => [r.amount, ...r.splits.map(split => split.amount)])
+    ) || 'en';
+    const transactions = [];
+    const rejected = [];
+
+    records.forEach((record, index) => {
+        const date = parseQifDate(record.date, dayFirst);
+
+        const description = record.payee && record.memo && !record.payee.includes(record.memo)
+            ? `${record.payee} - ${record.memo}`
+            : record.payee || record.memo;
+
+        // Split transactions become one row per split line
+        const parts = record.splits.length > 0
+            ? record.splits.map(split => ({
+                category: split.category,
+                amount: split.amount,
+                description: split.memo ? `${description} - ${split.memo}` : description
+            }))
+            : [{ category: record.category, amount: record.amount, description }];
+
+        parts.forEach(part => {
+            const amount = parseAmount(part.amount, numberFormat);
+            const category = parseQifCategory(part.category);
+            const reason = getRejectReason(record.date, date, part.amount, amount);
+
+            if (reason) {
+                rejected.push({
+                    // Position of the record in the file's transaction lists
+                    row: index + 1,
+                    values: {
+                        Date: record.date,
+                        Payee: record.payee,
+                        Memo: record.memo,
+                        Category: part.category,
+                        Amount: part.amount
+                    },
+                    reason,
+                    draft: { date, description: part.description, category, amount: amount || null }
+                });
+                return;
+            }
+
+            transactions.push({
+                date,
+                description: part.description,
+                category,
+                amount: Math.abs(amount),
+                type: amount > 0 ? 'Income' : 'Expense',
+                id: transactions.length + 1
+            });
+        });
+    });
+
+    return {
+        transactions,
+        rejected,
+        totalRows: records.length,
+        parsedRows: transactions.length,
+        columns: ['date', 'description', 'category', 'amount', 'type'],
+        format: 'QIF',
+        numberFormat
+    };
+}
+
+/**
+ * Explain why a record or split line cannot be imported
+ * @param {string} rawDate - Date as written in the file
+ * @param {Date|null} date - Parsed date
+ * @param {string} rawAmount - Amount as written in the file
+ * @param {number} amount - Parsed amount
+ * @returns {string|null} Reason, or null if the line can be imported
+ */
+function getRejectReason(rawDate, date, rawAmount, amount) {
+    if (!date) return rawDate ? `Unrecognised date "${rawDate}"` : 'Missing date';
+    if (isNaN(amount)) return `Unrecognised amount "${rawAmount}"`;
+    if (amount === 0) return rawAmount ? 'Amount is zero' : 'Missing amount';
+    return null;
+}
+
+/**
+ * Split QIF text into raw records from the supported account sections
+ * @param {string} text - QIF document
+ * @returns {Array} Array of raw record objects
+ */
+function readRecords(text) {
+    const records = [];
+    let section = null;
+    let record = createRecord();
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trimEnd();
+        if (!line) return;
+
+        if (line.startsWith('!')) {
+            const header = line.match(/^!Type:(\w+)/i);
+            section = header ? header[1].toLowerCase() : null;
+            record = createRecord();
+            return;
+        }
+
+        if (!SUPPORTED_SECTIONS.includes(section)) return;
+
+        const code = line[0];
+        const value = line.slice(1).trim();
+
+        switch (code) {
+            case 'D':
+                record.date = value;
+                break;
+            case 'T':
+            case 'U':
+                record.amount = value;
+                break;
+            case 'P':
+                record.payee = value;
+                break;
+            case 'M':
+                record.memo = value;
+                break;
+            case 'L':
+                record.category = value;
+                break;
+            case 'S':
+                record.splits.push({ category: value, memo: '', amount: '' });
+                break;
+            case 'E':
+                if (record.splits.length > 0) {
+                    record.splits[record.splits.length - 1].memo = value;
+                }
+                break;
+            case '$':
+                if (record.splits.length > 0) {
+                    record.splits[record.splits.length - 1].amount = value;
+                }
+                break;
+            case '^':
+                if (record.date || record.amount || record.splits.length > 0) {
+                    records.push(record);
+                }
+                record = createRecord();
+                break;
+            default:
+                // N (check number), C (cleared), A (address) and others are not used
+                break;
+        }
+    });
+
+    return records;
+}
+
+/**
+ * Create an empty raw record
+ * @returns {Object} Raw record
+ */
+function createRecord() {
+    return { date: '', amount: '', payee: '', memo: '', category: '', splits: [] };
+}
+
+/**
+ * Parse a QIF date. QIF writes dates such as "1/ 5'26", "01/05/2026" or
+ * "5.1.26"; an apostrophe before the year marks the 2000s.
+ * @param {string} value - Raw date
+ * @param {boolean} dayFirst - Whether the first number is the day
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseQifDate(value, dayFirst) {
+    const parts = splitQifDate(value);
+    if (!parts) return null;
+
+    const { first, second, apostrophe } = parts;
+    let { year } = parts;
+    let month = dayFirst ? second : first;
+    let day = dayFirst ? first : second;
+
+    if (first > 31) {
+        // Year-first (YYYY-MM-DD) is always followed by month and day
+        [year, month, day] = [first, second, parts.year];
+    } else if (year < 100) {
+        year += apostrophe || year < 50 ? 2000 : 1900;
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (isNaN(date.getTime()) || date.getMonth() !== month - 1) return null;
+    return date;
+}
+
+/**
+ * Split a raw QIF date into its numeric parts
+ * @param {string} value - Raw date
+ * @returns {Object|null} Object with first, second, year and apostrophe flag
+ */
+function splitQifDate(value) {
+    const match = String(value).replace(/\s/g, '').match(/^(\d{1,4})[/.-](\d{1,2})([/.'-])(\d{2,4})$/);
+    if (!match) return null;
+
+    return {
+        first: parseInt(match[1]),
+        second: parseInt(match[2]),
+        year: parseInt(match[4]),
+        apostrophe: match[3] === "'"
+    };
+}
+
+/**
+ * Decide day/month order for the whole file: a first part over 12 means day-first
+ * @param {Array} values - Raw date strings
+ * @returns {boolean} True if dates are day-first
+ */
+function isDayFirst(values) {
+    let dayFirst = false;
+
+    for (const value of values) {
+        const parts = splitQifDate(value);
+        if (!parts || parts.first > 31) continue;
+        if (parts.second > 12) return false;
+        if (parts.first > 12) dayFirst = true;
+    }
+
+    return dayFirst;
+}
+
+/**
+ * Normalise a QIF category. "[Account]" marks a transfer and "Category/Class"
+ * carries a class we don't use; "Parent:Child" is kept as-is.
+ * @param {string} value - Raw category
+ * @returns {string} Category name
+ */
+function parseQifCategory(value) {
+    const category = String(value || '').trim();
+    if (!category) return 'Uncategorized';
+    if (category.startsWith('[')) return 'Transfer';
+
+    return category.split('/')[0].trim() || 'Uncategorized';
+}
+
+/**
+ * Check whether text looks like a QIF document
+ * @param {string} text - Start of the file contents
+ * @returns {boolean} True if the text starts with a QIF header line
+ */
+export function isQifContent(text) {
+    return /^\s*!(Type:|Account|Option:)/i.test(text);
+}
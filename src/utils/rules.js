@@ -0,0 +1,142 @@
+/**
+ * Categorisation rules - assign categories to transactions by description,
+ * amount, account and type
+ */
+
+/**
+ * Transaction types a rule can be limited to
+ */
+export const RULE_TYPES = ['Expense', 'Income', 'Transfer'];
+
+/**
+ * Validate rule fields and build a rule
+ * @param {Object} fields - Object with id, pattern, isRegex, minAmount, maxAmount, account,
+ *   type, category and enabled
+ * @returns {Object} Object with the rule, or with an error message
+ */
+export function buildRule(fields) {
+    const pattern = String(fields.pattern || '').trim();
+    const category = String(fields.category || '').trim();
+    const minAmount = toOptionalNumber(fields.minAmount);
+    const maxAmount = toOptionalNumber(fields.maxAmount);
+    const account = fields.account === '' || fields.account === null || fields.account === undefined
+        ? null
+        : Number(fields.account);
+    const type = RULE_TYPES.includes(fields.type) ? fields.type : null;
+
+    if (!category) {
+        return { error: 'Enter the category the rule assigns' };
+    }
+    if (fields.isRegex && pattern) {
+        try {
+            new RegExp(pattern, 'i');
+        } catch {
+            return { error: `"${pattern}" is not a valid regular expression` };
+        }
+    }
+    if (Number.isNaN(minAmount) || Number.isNaN(maxAmount)) {
+        return { error: 'Amounts must be numbers' };
+    }
+    if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+        return { error: 'The minimum amount is larger than the maximum' };
+    }
+    if (!pattern && minAmount === null && maxAmount === null && account === null && !type) {
+        return { error: `The rule for "${category}" needs at least one condition` };
+    }
+
+    return {
+        rule: {
+            id: fields.id,
+            pattern,
+            isRegex: Boolean(fields.isRegex),
+            minAmount,
+            maxAmount,
+            account,
+            type,
+            category,
+            enabled: fields.enabled !== false
+        }
+    };
+}
+
+/**
+ * Get the next free rule id
+ * @param {Array} rules - Existing rules
+ * @returns {number} Rule id
+ */
+export function getNextRuleId(rules) {
+    return rules.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+}
+
+/**
+ * Find the transactions a single rule matches, e.g. to test it while editing
+ * @param {Object} rule - Rule
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Matching transactions
+ */
+export function getRuleMatches(rule, transactions) {
+    const [compiled] = compileRules([{ ...rule, enabled: true }]);
+    return transactions.filter(compiled.test);
+}
+
+/**
+ * Categorise transactions with the first matching rule. Transactions no rule
+ * matches keep their category.
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} rules - Rules in priority order
+ * @param {Object} options - Options
+ * @param {boolean} options.onlyUncategorized - Leave transactions that already have a category
+ * @returns {Object} Object with the categorised transactions and the changed ones
+ */
+export function applyRules(transactions, rules, options = {}) {
+    const compiled = compileRules(rules);
+    const changed = [];
+
+    const result = transactions.map(t => {
+        if (options.onlyUncategorized && t.category !== 'Uncategorized') return t;
+
+        const match = compiled.find(({ test }) => test(t));
+        if (!match || match.rule.category === t.category) return t;
+
+        const updated = { ...t, category: match.rule.category };
+        changed.push(updated);
+        return updated;
+    });
+
+    return { transactions: result, changed };
+}
+
+/**
+ * Turn enabled rules into match functions, compiling regular expressions once
+ * @param {Array} rules - Rules in priority order
+ * @returns {Array} Array of { rule, test }
+ */
+function compileRules(rules) {
+    return rules.filter(rule => rule.enabled).map(rule => {
+        const regex = rule.pattern && rule.isRegex ? new RegExp(rule.pattern, 'i') : null;
+        const text = rule.pattern && !rule.isRegex ? rule.pattern.toLowerCase() : null;
+
+        const test = (t) => {
+            const description = t.description || '';
+            if (regex && !regex.test(description)) return false;
+            if (text && !description.toLowerCase().includes(text)) return false;
+            if (rule.minAmount !== null && t.amount < rule.minAmount) return false;
+            if (rule.maxAmount !== null && t.amount > rule.maxAmount) return false;
+            if (rule.account !== null && t.account !== rule.account) return false;
+            if (rule.type && t.type !== rule.type) return false;
+            return true;
+        };
+
+        return { rule, test };
+    });
+}
+
+/**
+ * Parse an optional number field
+ * @param {*} value - Entered value
+ * @returns {number|null} Number, null if empty, or NaN if not a number
+ */
+function toOptionalNumber(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    return Number(value);
+}
@@ -1,71 +1,278 @@
 /**
- * Local storage wrapper for data persistence
+ * Data persistence - transactions and accounts in IndexedDB, settings, import
+ * profiles, categorisation rules, payee aliases and category colours in localStorage.
+ * With encryption turned on every record is stored as AES-GCM ciphertext, and the
+ * localStorage configuration moves into the encrypted database.
  */
+import { STORES, runTransaction, requestToPromise, deleteDatabase, hasUnreadLegacyData } from './database.js';
+import { createKey, unlockKey, encryptValue, decryptValue, isEncrypted } from './crypto.js';
 
-const STORAGE_KEY = 'finance_dashboard_data';
 const SETTINGS_KEY = 'finance_dashboard_settings';
+const PROFILES_KEY = 'finance_dashboard_import_profiles';
+const RULES_KEY = 'finance_dashboard_category_rules';
+const PAYEES_KEY = 'finance_dashboard_payee_aliases';
+const CATEGORY_STYLES_KEY = 'finance_dashboard_category_styles';
 
 /**
- * Save transactions to local storage
- * @param {Array} transactions - Array of transaction objects
+ * localStorage keys of the configuration kept in the meta store while encrypted
  */
-export function saveTransactions(transactions) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify({
-            transactions,
-            lastUpdated: new Date().toISOString()
-        }));
-        return true;
-    } catch (error) {
-        console.error('Failed to save transactions:', error);
-        return false;
-    }
+const CONFIG_KEYS = {
+    settings: SETTINGS_KEY,
+    profiles: PROFILES_KEY,
+    rules: RULES_KEY,
+    payees: PAYEES_KEY,
+    categories: CATEGORY_STYLES_KEY
+};
+
+// Encryption header from the meta store (undefined until read, null if encryption is off)
+let encryptionHeader;
+
+// Key for the stored data while unlocked
+let encryptionKey = null;
+
+// Decrypted configuration (settings, profiles, rules, payee aliases, category styles) while unlocked
+let secureConfig = null;
+
+// Encrypted configuration writes and re-keying, chained so they run one at a time in order
+let configQueue = Promise.resolve();
+
+/**
+ * Get the encryption state of the stored data
+ * @returns {Promise<string>} 'off', 'locked' or 'unlocked'
+ */
+export async function getEncryptionStatus() {
+    const header = await readEncryptionHeader();
+    if (!header) return 'off';
+    return encryptionKey ? 'unlocked' : 'locked';
 }
 
 /**
- * Load transactions from local storage
- * @returns {Object|null} Object with transactions and lastUpdated, or null
+ * Check whether encrypted data is locked, e.g. by the inactivity lock while an
+ * import was waiting for the user
+ * @returns {Promise<boolean>} True if locked
  */
-export function loadTransactions() {
-    try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        if (!data) return null;
-
-        const parsed = JSON.parse(data);
-        // Restore Date objects
-        if (parsed.transactions) {
-            parsed.transactions = parsed.transactions.map(t => ({
-                ...t,
-                date: new Date(t.date)
-            }));
-        }
-        return parsed;
-    } catch (error) {
-        console.error('Failed to load transactions:', error);
-        return null;
+export async function isStorageLocked() {
+    return (await getEncryptionStatus()) === 'locked';
+}
+
+/**
+ * Unlock encrypted data with the passphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<boolean>} True if unlocked, false if the passphrase is wrong
+ */
+export async function unlockStorage(passphrase) {
+    const header = await readEncryptionHeader();
+    if (!header) return true;
+
+    const key = await unlockKey(passphrase, header);
+    if (!key) return false;
+
+    const config = await runTransaction(STORES.meta, 'readonly', (tx) => (
+        requestToPromise(tx.objectStore(STORES.meta).get('config'))
+    ));
+
+    encryptionKey = key;
+    secureConfig = config ? await decryptValue(key, config) : {};
+    return true;
+}
+
+/**
+ * Forget the key and decrypted configuration; data stays encrypted on disk
+ */
+export function lockStorage() {
+    if (encryptionHeader) {
+        encryptionKey = null;
+        secureConfig = null;
     }
 }
 
+/**
+ * Turn on encryption and encrypt all stored data
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise} Resolves once everything is encrypted
+ */
+export async function enableEncryption(passphrase) {
+    const config = readPlainConfig();
+    const { key, header } = await createKey(passphrase);
+
+    await rewriteStore(key, header, config);
+
+    // Only drop the plaintext once the encrypted copy has been committed
+    Object.values(CONFIG_KEYS).forEach(storageKey => localStorage.removeItem(storageKey));
+}
+
+/**
+ * Re-encrypt all stored data under a new passphrase. The data is rewritten in a
+ * single database transaction, so a failure leaves it readable with the old one.
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Promise} Resolves once re-encrypted; rejects if the current passphrase is wrong
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+    await assertPassphrase(currentPassphrase);
+
+    const { key, header } = await createKey(newPassphrase);
+    // After the configuration writes already queued, so none lands under the old key
+    await queueConfigTask(() => rewriteStore(key, header, secureConfig));
+}
+
+/**
+ * Turn off encryption and store all data as plaintext again
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise} Resolves once decrypted; rejects if the passphrase is wrong
+ */
+export async function disableEncryption(passphrase) {
+    await assertPassphrase(passphrase);
+
+    await queueConfigTask(() => {
+        const config = secureConfig;
+        Object.entries(CONFIG_KEYS).forEach(([name, storageKey]) => {
+            if (config[name] !== undefined) localStorage.setItem(storageKey, JSON.stringify(config[name]));
+        });
+
+        return rewriteStore(null, null, null);
+    });
+}
+
+/**
+ * Erase all stored data and configuration, e.g. when the passphrase is forgotten
+ * @returns {Promise} Resolves once erased
+ */
+export async function eraseStorage() {
+    // A configuration write finishing afterwards would store part of it again
+    await configQueue;
+    await deleteDatabase();
+    Object.values(CONFIG_KEYS).forEach(storageKey => localStorage.removeItem(storageKey));
+
+    encryptionHeader = undefined;
+    encryptionKey = null;
+    secureConfig = null;
+}
+
+/**
+ * Replace all stored transactions
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Promise} Resolves once saved; rejects with a user-facing error (e.g. storage full)
+ */
+export async function saveTransactions(transactions) {
+    const records = await encodeRecords(transactions);
+
+    return runTransaction([STORES.transactions, STORES.meta], 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.transactions);
+        store.clear();
+        records.forEach(r => store.put(r));
+        touchLastUpdated(tx);
+    });
+}
+
+/**
+ * Add or update individual transactions, leaving the rest of the store untouched
+ * @param {Array} transactions - Transactions to write, matched by id
+ * @returns {Promise} Resolves once saved; rejects with a user-facing error (e.g. storage full)
+ */
+export async function putTransactions(transactions) {
+    const records = await encodeRecords(transactions);
+
+    return runTransaction([STORES.transactions, STORES.meta], 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.transactions);
+        records.forEach(r => store.put(r));
+        touchLastUpdated(tx);
+    });
+}
+
+/**
+ * Delete individual transactions
+ * @param {Array} ids - Ids of the transactions to delete
+ * @returns {Promise} Resolves once deleted
+ */
+export function deleteTransactions(ids) {
+    return runTransaction([STORES.transactions, STORES.meta], 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.transactions);
+        ids.forEach(id => store.delete(id));
+        touchLastUpdated(tx);
+    });
+}
+
+/**
+ * Load transactions from the database
+ * @returns {Promise<Object|null>} Object with transactions and lastUpdated, or null if nothing is stored
+ */
+export async function loadTransactions() {
+    const [records, meta] = await runTransaction([STORES.transactions, STORES.meta], 'readonly', (tx) => (
+        Promise.all([
+            requestToPromise(tx.objectStore(STORES.transactions).getAll()),
+            requestToPromise(tx.objectStore(STORES.meta).get('lastUpdated'))
+        ])
+    ));
+
+    if (records.length === 0) return null;
+    return { transactions: await decodeRecords(records), lastUpdated: meta ? meta.value : null };
+}
+
 /**
  * Clear all stored transactions
+ * @returns {Promise} Resolves once cleared
  */
 export function clearTransactions() {
-    try {
-        localStorage.removeItem(STORAGE_KEY);
-        return true;
-    } catch (error) {
-        console.error('Failed to clear transactions:', error);
-        return false;
-    }
+    return runTransaction([STORES.transactions, STORES.meta], 'readwrite', (tx) => {
+        tx.objectStore(STORES.transactions).clear();
+        tx.objectStore(STORES.meta).delete('lastUpdated');
+    });
+}
+
+/**
+ * Replace all stored accounts
+ * @param {Array} accounts - Array of account objects
+ * @returns {Promise} Resolves once saved; rejects with a user-facing error (e.g. storage full)
+ */
+export async function saveAccounts(accounts) {
+    const records = await encodeRecords(accounts);
+
+    return runTransaction(STORES.accounts, 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.accounts);
+        store.clear();
+        records.forEach(r => store.put(r));
+    });
+}
+
+/**
+ * Load accounts from the database
+ * @returns {Promise<Array>} Array of account objects
+ */
+export async function loadAccounts() {
+    const records = await runTransaction(STORES.accounts, 'readonly', (tx) => (
+        requestToPromise(tx.objectStore(STORES.accounts).getAll())
+    ));
+    return decodeRecords(records);
+}
+
+/**
+ * Check if there is stored data
+ * @returns {Promise<boolean>}
+ */
+export function hasStoredData() {
+    return runTransaction(STORES.transactions, 'readonly', (tx) => (
+        requestToPromise(tx.objectStore(STORES.transactions).count())
+    )).then(count => count > 0);
+}
+
+/**
+ * Check whether transactions saved by an earlier version could not be moved into
+ * the database; they are kept in localStorage untouched
+ * @returns {boolean} True if they could not be read
+ */
+export function hasLegacyDataError() {
+    return hasUnreadLegacyData();
 }
 
 /**
  * Save user settings
  * @param {Object} settings - Settings object
+ * @returns {Promise<boolean>} Resolves true once saved, false if saving failed
  */
-export function saveSettings(settings) {
+export async function saveSettings(settings) {
     try {
-        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        await writeConfig('settings', settings);
         return true;
     } catch (error) {
         console.error('Failed to save settings:', error);
@@ -81,13 +288,12 @@ export function loadSettings() {
     const defaults = {
         currency: 'USD',
         pageSize: 10,
-        defaultView: 'dashboard'
+        defaultView: 'dashboard',
+        autoLockMinutes: 5
     };
 
     try {
-        const data = localStorage.getItem(SETTINGS_KEY);
-        if (!data) return defaults;
-        return { ...defaults, ...JSON.parse(data) };
+        return { ...defaults, ...readConfig('settings') };
     } catch (error) {
         console.error('Failed to load settings:', error);
         return defaults;
@@ -95,9 +301,322 @@ export function loadSettings() {
 }
 
 /**
- * Check if there is stored data
- * @returns {boolean}
+ * Load saved import profiles
+ * @returns {Array} Array of profile objects
  */
-export function hasStoredData() {
-    return localStorage.getItem(STORAGE_KEY) !== null;
+export function loadImportProfiles() {
+    try {
+        return readConfig('profiles') || [];
+    } catch (error) {
+        console.error('Failed to load import profiles:', error);
+        return [];
+    }
+}
+
+/**
+ * Find the import profile saved for a header fingerprint
+ * @param {string} fingerprint - Header row fingerprint
+ * @returns {Object|null} Profile object or null
+ */
+export function findImportProfile(fingerprint) {
+    return loadImportProfiles().find(p => p.fingerprint === fingerprint) || null;
+}
+
+/**
+ * Save an import profile, replacing any profile with the same fingerprint
+ * @param {Object} profile - Profile with name, fingerprint, headers and columnMap
+ * @returns {Promise<boolean>} Resolves true once saved, false if saving failed
+ */
+export async function saveImportProfile(profile) {
+    try {
+        const profiles = loadImportProfiles().filter(p => p.fingerprint !== profile.fingerprint);
+        profiles.push({ ...profile, updatedAt: new Date().toISOString() });
+        await writeConfig('profiles', profiles);
+        return true;
+    } catch (error) {
+        console.error('Failed to save import profile:', error);
+        return false;
+    }
+}
+
+/**
+ * Replace all saved import profiles, e.g. when restoring a backup
+ * @param {Array} profiles - Array of profile objects
+ * @returns {Promise<boolean>} Resolves true once saved, false if saving failed
+ */
+export async function saveImportProfiles(profiles) {
+    try {
+        await writeConfig('profiles', profiles);
+        return true;
+    } catch (error) {
+        console.error('Failed to save import profiles:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the categorisation rules
+ * @returns {Array} Rules in priority order
+ */
+export function loadRules() {
+    try {
+        return readConfig('rules') || [];
+    } catch (error) {
+        console.error('Failed to load rules:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the categorisation rules
+ * @param {Array} rules - Rules in priority order
+ * @returns {Promise<boolean>} Resolves true once saved, false if saving failed
+ */
+export async function saveRules(rules) {
+    try {
+        await writeConfig('rules', rules);
+        return true;
+    } catch (error) {
+        console.error('Failed to save rules:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the user-defined payee aliases
+ * @returns {Array} Aliases in the order they are checked
+ */
+export function loadPayeeAliases() {
+    try {
+        return readConfig('payees') || [];
+    } catch (error) {
+        console.error('Failed to load payee aliases:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the user-defined payee aliases
+ * @param {Array} aliases - Aliases in the order they are checked
+ * @returns {Promise<boolean>} Resolves true once saved, false if saving failed
+ */
+export async function savePayeeAliases(aliases) {
+    try {
+        await writeConfig('payees', aliases);
+        return true;
+    } catch (error) {
+        console.error('Failed to save payee aliases:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the colours and icons chosen for categories
+ * @returns {Object} Map of category name to { color, icon }
+ */
+export function loadCategoryStyles() {
+    try {
+        return readConfig('categories') || {};
+    } catch (error) {
+        console.error('Failed to load category styles:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the colours and icons chosen for categories
+ * @param {Object} styles - Map of category name to { color, icon }
+ * @returns {Promise<boolean>} Resolves true once saved, false if saving failed
+ */
+export async function saveCategoryStyles(styles) {
+    try {
+        await writeConfig('categories', styles);
+        return true;
+    } catch (error) {
+        console.error('Failed to save category styles:', error);
+        return false;
+    }
+}
+
+/**
+ * Record the time of the latest write
+ * @param {IDBTransaction} tx - Read-write transaction covering the meta store
+ */
+function touchLastUpdated(tx) {
+    tx.objectStore(STORES.meta).put({ key: 'lastUpdated', value: new Date().toISOString() });
+}
+
+/**
+ * Read the encryption header, once per session
+ * @returns {Promise<Object|null>} Header, or null if encryption is off
+ */
+async function readEncryptionHeader() {
+    if (encryptionHeader === undefined) {
+        const record = await runTransaction(STORES.meta, 'readonly', (tx) => (
+            requestToPromise(tx.objectStore(STORES.meta).get('encryption'))
+        ));
+        encryptionHeader = record ? record.value : null;
+    }
+    return encryptionHeader;
+}
+
+/**
+ * Check the passphrase of encrypted data and unlock it
+ * @param {string} passphrase - Passphrase to check
+ */
+async function assertPassphrase(passphrase) {
+    const header = await readEncryptionHeader();
+    if (!header) {
+        throw new Error('Encryption is not turned on');
+    }
+
+    // While unlocked only check it: unlocking again would reload the configuration
+    // and drop changes still waiting to be written
+    const valid = encryptionKey ? await unlockKey(passphrase, header) : await unlockStorage(passphrase);
+    if (!valid) {
+        throw new Error('The current passphrase is incorrect');
+    }
+}
+
+/**
+ * Encrypt records with a key, keeping their id in the clear as the store key
+ * @param {Array} records - Transactions or accounts
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<Array>} Records to store
+ */
+function encryptRecords(records, key) {
+    return Promise.all(records.map(async r => ({ id: r.id, ...(await encryptValue(key, r)) })));
+}
+
+/**
+ * Prepare records for writing: encrypted when encryption is on
+ * @param {Array} records - Transactions or accounts
+ * @returns {Promise<Array>} Records to store
+ */
+async function encodeRecords(records) {
+    if (!(await readEncryptionHeader())) return records;
+    if (!encryptionKey) throw new Error('Storage is locked');
+    return encryptRecords(records, encryptionKey);
+}
+
+/**
+ * Decrypt records read from a store
+ * @param {Array} records - Stored records
+ * @returns {Promise<Array>} Transactions or accounts
+ */
+async function decodeRecords(records) {
+    if (!records.some(isEncrypted)) return records;
+    if (!encryptionKey) throw new Error('Storage is locked');
+    return Promise.all(records.map(r => (isEncrypted(r) ? decryptValue(encryptionKey, r) : r)));
+}
+
+/**
+ * Rewrite every stored record under a new key (or as plaintext), together with the
+ * header and configuration, in one transaction
+ * @param {CryptoKey|null} key - New key, or null to store plaintext
+ * @param {Object|null} header - Header for the new key
+ * @param {Object|null} config - Settings and profiles to keep encrypted
+ */
+async function rewriteStore(key, header, config) {
+    const [storedTransactions, storedAccounts] = await runTransaction([STORES.transactions, STORES.accounts], 'readonly', (tx) => (
+        Promise.all([
+            requestToPromise(tx.objectStore(STORES.transactions).getAll()),
+            requestToPromise(tx.objectStore(STORES.accounts).getAll())
+        ])
+    ));
+
+    const transactions = await decodeRecords(storedTransactions);
+    const accounts = await decodeRecords(storedAccounts);
+
+    const transactionRecords = key ? await encryptRecords(transactions, key) : transactions;
+    const accountRecords = key ? await encryptRecords(accounts, key) : accounts;
+    const configRecord = key ? { key: 'config', ...(await encryptValue(key, config || {})) } : null;
+
+    await runTransaction([STORES.transactions, STORES.accounts, STORES.meta], 'readwrite', (tx) => {
+        const transactionStore = tx.objectStore(STORES.transactions);
+        transactionStore.clear();
+        transactionRecords.forEach(r => transactionStore.put(r));
+
+        const accountStore = tx.objectStore(STORES.accounts);
+        accountStore.clear();
+        accountRecords.forEach(r => accountStore.put(r));
+
+        const meta = tx.objectStore(STORES.meta);
+        if (key) {
+            meta.put({ key: 'encryption', value: header });
+            meta.put(configRecord);
+        } else {
+            meta.delete('encryption');
+            meta.delete('config');
+        }
+    });
+
+    encryptionHeader = header;
+    encryptionKey = key;
+    secureConfig = key ? { ...config } : null;
+}
+
+/**
+ * Read the configuration from localStorage
+ * @returns {Object} Object keyed by configuration name
+ */
+function readPlainConfig() {
+    const config = {};
+    Object.entries(CONFIG_KEYS).forEach(([name, storageKey]) => {
+        const data = localStorage.getItem(storageKey);
+        if (data) config[name] = JSON.parse(data);
+    });
+    return config;
+}
+
+/**
+ * Read a configuration value, from memory while encrypted (nothing while locked)
+ * @param {string} name - Key of CONFIG_KEYS
+ * @returns {*} Stored value, or undefined
+ */
+function readConfig(name) {
+    if (secureConfig) return secureConfig[name];
+    // Locked: the configuration is encrypted, and a plaintext key left over is stale
+    if (encryptionHeader) return undefined;
+
+    const data = localStorage.getItem(CONFIG_KEYS[name]);
+    return data ? JSON.parse(data) : undefined;
+}
+
+/**
+ * Write a configuration value. While encrypted the in-memory copy is updated at
+ * once and the encrypted copy after the writes queued before it; while locked the
+ * write is refused.
+ * @param {string} name - Key of CONFIG_KEYS
+ * @param {*} value - Value to store
+ * @returns {Promise} Resolves once stored
+ */
+async function writeConfig(name, value) {
+    // Never fall back to plaintext while encryption is on
+    if (encryptionHeader && !encryptionKey) throw new Error('Storage is locked');
+
+    if (!secureConfig) {
+        localStorage.setItem(CONFIG_KEYS[name], JSON.stringify(value));
+        return;
+    }
+
+    secureConfig = { ...secureConfig, [name]: value };
+    await queueConfigTask(async () => {
+        if (!encryptionKey) throw new Error('Storage is locked');
+        const payload = await encryptValue(encryptionKey, secureConfig);
+        await runTransaction(STORES.meta, 'readwrite', (tx) => {
+            tx.objectStore(STORES.meta).put({ key: 'config', ...payload });
+        });
+    });
+}
+
+/**
+ * Run a task once the configuration writes queued before it have finished
+ * @param {Function} task - Function returning a promise
+ * @returns {Promise} Result of the task
+ */
+function queueConfigTask(task) {
+    const result = configQueue.then(task);
+    configQueue = result.catch(() => {});
+    return result;
 }
@@ -0,0 +1,231 @@
+/**
+ * Transfer detection - pairs money moving between the user's own accounts
+ */
+
+/**
+ * Largest date difference, in days, between the two sides of a transfer
+ * (card payments often post a few days after they leave the bank)
+ */
+const TRANSFER_DAY_WINDOW = 4;
+
+/**
+ * Description wording typical of transfers and card payments
+ */
+const TRANSFER_HINTS = [
+    /\btransfer(red)?\b/i,
+    /\b(trf|xfer|xfr)\b/i,
+    /\bpayment\b.*\bthank you\b/i,
+    /\bautopay\b/i,
+    /\b(credit )?card payment\b/i,
+    /\b(to|from) (savings|checking|current account)\b/i,
+    /\bstanding order\b/i,
+    /\b(virement|[ÜU]berweisung|umbuchung|transferencia|bonifico|overboeking)\b/i
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a description reads like a transfer
+ * @param {string} description - Transaction description
+ * @returns {boolean} True if a transfer hint matches
+ */
+export function hasTransferHint(description) {
+    return TRANSFER_HINTS.some(pattern => pattern.test(String(description || '')));
+}
+
+/**
+ * Get the direction of a transaction's money, including for transfers
+ * @param {Object} transaction - Transaction
+ * @returns {string} 'Income' or 'Expense'
+ */
+export function getFlowType(transaction) {
+    if (transaction.type === 'Transfer') {
+        return transaction.transferDirection === 'in' ? 'Income' : 'Expense';
+    }
+    return transaction.type.toLowerCase() === 'income' ? 'Income' : 'Expense';
+}
+
+/**
+ * Find unlinked transactions that look like the two sides of a transfer: an
+ * expense and an income of the same amount, a few days apart, in different
+ * accounts. Rows without an account need a transfer hint in the description.
+ * Each transaction is used in at most one pair; closer and hinted pairs win.
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Array of { out, in, days, hint } pairs
+ */
+export function detectTransfers(transactions) {
+    const eligible = transactions.filter(t => t.type !== 'Transfer' && !t.transferDismissed);
+
+    const incomeByAmount = new Map();
+    eligible.filter(t => t.type.toLowerCase() === 'income').forEach(t => {
+        const key = Math.round(t.amount * 100);
+        if (!incomeByAmount.has(key)) incomeByAmount.set(key, []);
+        incomeByAmount.get(key).push(t);
+    });
+
+    const candidates = [];
+    eligible.filter(t => t.type.toLowerCase() === 'expense').forEach(out => {
+        (incomeByAmount.get(Math.round(out.amount * 100)) || []).forEach(into => {
+            const days = getDayDifference(out.date, into.date);
+            if (days > TRANSFER_DAY_WINDOW) return;
+
+            const hint = hasTransferHint(out.description) || hasTransferHint(into.description);
+            const bothAccounts = out.account !== undefined && into.account !== undefined;
+            if (bothAccounts ? out.account === into.account : !hint) return;
+
+            candidates.push({ out, in: into, days, hint });
+        });
+    });
+
+    candidates.sort((a, b) => (b.hint - a.hint) || (a.days - b.days));
+
+    const used = new Set();
+    return candidates.filter(pair => {
+        if (used.has(pair.out) || used.has(pair.in)) return false;
+        used.add(pair.out);
+        used.add(pair.in);
+        return true;
+    });
+}
+
+/**
+ * Mark detected pairs as transfers
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} pairs - Pairs from detectTransfers()
+ * @returns {Object} Object with the updated transactions and the changed ones
+ */
+export function linkTransfers(transactions, pairs) {
+    const updates = new Map();
+    pairs.forEach(pair => {
+        updates.set(pair.out.id, toTransfer(pair.out, pair.in.id, 'out'));
+        updates.set(pair.in.id, toTransfer(pair.in, pair.out.id, 'in'));
+    });
+    return applyUpdates(transactions, updates);
+}
+
+/**
+ * Get the linked transfer pairs, unconfirmed pairs first
+ * @param {Array} transactions - Array of transaction objects
+ * @returns {Array} Array of { out, in, days, confirmed } pairs
+ */
+export function getTransferPairs(transactions) {
+    const byId = new Map(transactions.map(t => [t.id, t]));
+
+    return transactions
+        .filter(t => t.type === 'Transfer' && t.transferDirection === 'out' && byId.has(t.transferPeer))
+        .map(out => {
+            const into = byId.get(out.transferPeer);
+            return {
+                out,
+                in: into,
+                days: getDayDifference(out.date, into.date),
+                confirmed: Boolean(out.transferConfirmed)
+            };
+        })
+        .sort((a, b) => (a.confirmed - b.confirmed) || (b.out.date - a.out.date));
+}
+
+/**
+ * Confirm or unlink transfer pairs. Unlinked transactions get their original
+ * type back and are not suggested as transfers again.
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Object} decisions - Object with confirmed and unlinked arrays of outgoing transaction ids
+ * @returns {Object} Object with the updated transactions and the changed ones
+ */
+export function resolveTransfers(transactions, decisions) {
+    const byId = new Map(transactions.map(t => [t.id, t]));
+    const updates = new Map();
+
+    decisions.confirmed.forEach(id => {
+        const out = byId.get(id);
+        [out, byId.get(out.transferPeer)].forEach(t => {
+            updates.set(t.id, { ...t, transferConfirmed: true });
+        });
+    });
+
+    decisions.unlinked.forEach(id => {
+        const out = byId.get(id);
+        [out, byId.get(out.transferPeer)].forEach(t => {
+            updates.set(t.id, fromTransfer(t));
+        });
+    });
+
+    return applyUpdates(transactions, updates);
+}
+
+/**
+ * Remove transactions; the other side of a removed transfer becomes a plain
+ * income or expense again
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Array} ids - Ids of the transactions to remove
+ * @returns {Object} Object with the remaining transactions and the changed ones
+ */
+export function removeTransactions(transactions, ids) {
+    const removed = new Set(ids);
+    const updates = new Map();
+
+    transactions.forEach(t => {
+        if (removed.has(t.id) && t.type === 'Transfer' && !removed.has(t.transferPeer)) {
+            const peer = transactions.find(p => p.id === t.transferPeer);
+            if (peer) updates.set(peer.id, fromTransfer(peer));
+        }
+    });
+
+    const { transactions: updated, changed } = applyUpdates(transactions, updates);
+    return { transactions: updated.filter(t => !removed.has(t.id)), changed };
+}
+
+/**
+ * Turn a transaction into one side of a transfer
+ * @param {Object} transaction - Transaction
+ * @param {number} peerId - Id of the other side
+ * @param {string} direction - 'out' or 'in'
+ * @returns {Object} Transfer transaction
+ */
+function toTransfer(transaction, peerId, direction) {
+    return {
+        ...transaction,
+        type: 'Transfer',
+        transferPeer: peerId,
+        transferDirection: direction,
+        transferConfirmed: false
+    };
+}
+
+/**
+ * Restore a transfer to a plain income or expense
+ * @param {Object} transaction - Transfer transaction
+ * @returns {Object} Unlinked transaction
+ */
+function fromTransfer(transaction) {
+    const restored = { ...transaction, type: getFlowType(transaction), transferDismissed: true };
+    delete restored.transferPeer;
+    delete restored.transferDirection;
+    delete restored.transferConfirmed;
+    return restored;
+}
+
+/**
+ * Replace transactions by id
+ * @param {Array} transactions - Array of transaction objects
+ * @param {Map} updates - Replacement transactions by id
+ * @returns {Object} Object with the updated transactions and the changed ones
+ */
+function applyUpdates(transactions, updates) {
+    return {
+        transactions: transactions.map(t => updates.get(t.id) || t),
+        changed: Array.from(updates.values())
+    };
+}
+
+/**
+ * Whole days between two dates
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {number} Absolute difference in days
+ */
+function getDayDifference(a, b) {
+    const dayA = new Date(a.getFullYear(), a.getMonth(), a.getDate());
+    const dayB = new Date(b.getFullYear(), b.getMonth(), b.getDate());
+    return Math.round(Math.abs(dayA - dayB) / DAY_MS);
+}
@@ -0,0 +1,128 @@
+/**
+ * Import validation - suspicious values worth a second look
+ */
+
+/**
+ * Amounts above this many times the import's median amount are flagged
+ */
+const HUGE_AMOUNT_FACTOR = 20;
+
+/**
+ * Amounts below this are never flagged as huge
+ */
+const HUGE_AMOUNT_MINIMUM = 10000;
+
+/**
+ * Find imported transactions with future dates, unusually large amounts
+ * or empty descriptions
+ * @param {Array} transactions - Imported transactions
+ * @returns {Array} Array of { transaction, reasons }
+ */
+export function getImportWarnings(transactions) {
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const hugeAmount = Math.max(HUGE_AMOUNT_MINIMUM, getMedian(transactions.map(t => t.amount)) * HUGE_AMOUNT_FACTOR);
+
+    const warnings = [];
+
+    transactions.forEach(transaction => {
+        const reasons = [];
+
+        if (transaction.date > endOfToday) {
+            reasons.push('Date is in the future');
+        }
+        if (transaction.amount > hugeAmount) {
+            reasons.push('Unusually large amount');
+        }
+        if (!transaction.description) {
+            reasons.push('Empty description');
+        }
+
+        if (reasons.length > 0) {
+            warnings.push({ transaction, reasons });
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Build a transaction from a rejected row corrected by the user
+ * @param {Object} fields - Corrected fields
+ * @param {Date|null} fields.date - Transaction date
+ * @param {string} fields.description - Description
+ * @param {string} fields.category - Category
+ * @param {number} fields.amount - Signed amount; negative is an expense
+ * @returns {Object} Object with the transaction, or an error message
+ */
+export function buildCorrectedTransaction(fields) {
+    if (!fields.date || isNaN(fields.date.getTime())) {
+        return { error: 'Enter a valid date' };
+    }
+    if (!fields.amount || isNaN(fields.amount)) {
+        return { error: 'Enter a non-zero amount' };
+    }
+
+    return {
+        transaction: {
+            date: fields.date,
+            description: fields.description.trim(),
+            category: fields.category.trim() || 'Uncategorized',
+            amount: Math.abs(fields.amount),
+            type: fields.amount > 0 ? 'Income' : 'Expense'
+        }
+    };
+}
+
+/**
+ * Validate a transaction entered or edited by hand
+ * @param {Object} fields - Entered fields
+ * @param {Date|null} fields.date - Transaction date
+ * @param {string} fields.description - Description
+ * @param {string} fields.category - Category
+ * @param {number} fields.amount - Amount without sign
+ * @param {string} fields.type - 'Income' or 'Expense'; 'Transfer' only when editing a transfer
+ * @param {boolean} allowTransfer - Whether the type may be 'Transfer'
+ * @returns {Object} Object with the validated fields, or an error message
+ */
+export function buildEditedTransaction(fields, allowTransfer = false) {
+    const description = String(fields.description || '').trim();
+    const types = allowTransfer ? ['Income', 'Expense', 'Transfer'] : ['Income', 'Expense'];
+
+    if (!fields.date || isNaN(fields.date.getTime())) {
+        return { error: 'Enter a valid date' };
+    }
+    if (!description) {
+        return { error: 'Enter a description' };
+    }
+    if (!(fields.amount > 0)) {
+        return { error: 'Enter an amount greater than zero' };
+    }
+    if (!types.includes(fields.type)) {
+        return { error: 'Choose income or expense' };
+    }
+
+    return {
+        transaction: {
+            date: fields.date,
+            description,
+            category: String(fields.category || '').trim() || 'Uncategorized',
+            amount: Math.round(fields.amount * 100) / 100,
+            type: fields.type
+        }
+    };
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} Median, or 0 for an empty list
+ */
+function getMedian(values) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
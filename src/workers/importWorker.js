@@ -0,0 +1,56 @@
+/**
+ * Import worker - reads and parses uploaded files off the main thread.
+ *
+ * Messages in:  { type: 'parse', file, callbacks }, { type: 'response', id, value }
+ * Messages out: { type: 'progress', progress }, { type: 'request', id, name, payload },
+ *               { type: 'done', result }, { type: 'error', message }
+ *
+ * Parse callbacks that need the UI or localStorage (column mapping, sheet
+ * selection, date order) are forwarded to the main thread as requests.
+ */
+import { parseImportFile } from '../utils/importer.js';
+
+// Requests waiting for a main-thread answer, keyed by id
+const pending = new Map();
+let nextRequestId = 1;
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'response') {
+        const resolve = pending.get(message.id);
+        pending.delete(message.id);
+        if (resolve) resolve(message.value);
+        return;
+    }
+
+    if (message.type !== 'parse') return;
+
+    const options = {
+        onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    };
+    message.callbacks.forEach(name => {
+        options[name] = (payload) => request(name, payload);
+    });
+
+    try {
+        const result = await parseImportFile(message.file, options);
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+/**
+ * Ask the main thread to run a parse callback
+ * @param {string} name - Callback name
+ * @param {*} payload - Callback argument
+ * @returns {Promise<*>} Callback result
+ */
+function request(name, payload) {
+    return new Promise((resolve) => {
+        const id = nextRequestId++;
+        pending.set(id, resolve);
+        self.postMessage({ type: 'request', id, name, payload });
+    });
+}